@@ -1,42 +1,34 @@
 
 import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { FontLoader } from 'three/addons/loaders/FontLoader.js';
 import { TextGeometry } from 'three/addons/geometries/TextGeometry.js'; // Import TextGeometry
-
-let scene, camera, renderer, controls;
-let textMesh = null;
-let animateId = null;
+import { createDemoContext } from '../utils/demo-context.js';
 
 // Configurable text
 const TEXT_TO_DISPLAY = 'Hello 3D';
 
-function animate() {
-    animateId = requestAnimationFrame(animate);
-    controls.update(); // Update controls in the loop
-    renderer.render(scene, camera);
-}
+export function init(container, options = {}) {
+    const { signal } = options; // Aborted by the shell when this demo is superseded or torn down
 
-export function init(container) {
-    // Scene
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x111111); // Dark background
+    const context = createDemoContext(container, {
+        background: 0x111111, // Dark background
+        cameraPosition: [0, 0, 50], // Close enough for the text to fill the view
+        loop: options.loop,
+    });
+    const { scene, camera, renderer, controls } = context;
+    let frame = null; // On-demand task registered with the shared render loop
 
-    // Camera
-    camera = new THREE.PerspectiveCamera(75, container.clientWidth / container.clientHeight, 0.1, 1000);
-    camera.position.z = 50; // Adjusted initial position closer for text visibility
+    function animate() {
+        controls.update(); // Update controls in the loop
+        renderer.render(scene, camera);
+    }
 
-    // Renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(container.clientWidth, container.clientHeight);
-    renderer.setPixelRatio(window.devicePixelRatio);
-    container.appendChild(renderer.domElement);
+    // Nothing in this scene moves by itself, so only render when the camera changes
+    function requestRender() {
+        if (frame) frame.invalidate();
+    }
 
-    // Controls
-    controls = new OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true; // Smooth camera movement
-    controls.target.set(0, 0, 0); // Ensure controls target the origin where text is centered
-    controls.update();
+    context.listen(controls, 'change', requestRender); // Also fires while damping settles
 
     // Lights
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.5); // Brighter ambient
@@ -52,6 +44,12 @@ export function init(container) {
         // For now, keeping the unpkg link as it was.
         'https://unpkg.com/three/examples/fonts/helvetiker_regular.typeface.json',
         (font) => {
+            // The demo was torn down while the font was in flight; don't touch the (disposed) scene
+            if (signal?.aborted || context.isDisposed) {
+                console.log('Font loaded after 3D Text was disposed, ignoring.');
+                return;
+            }
+
             // Use the imported TextGeometry directly
             const textGeometry = new TextGeometry(TEXT_TO_DISPLAY, {
                 font: font,
@@ -74,12 +72,11 @@ export function init(container) {
                 metalness: 0.6
              });
 
-            textMesh = new THREE.Mesh(textGeometry, material);
-            scene.add(textMesh);
+            scene.add(new THREE.Mesh(textGeometry, material)); // Disposed with the scene
 
-            // Start animation only after mesh is added
-            if (!animateId) {
-                 animate();
+            // Start rendering only after mesh is added
+            if (!frame) {
+                frame = context.animate(animate, { onDemand: true });
             }
         },
         // onProgress callback (optional)
@@ -88,10 +85,11 @@ export function init(container) {
         },
         // onError callback (optional)
         (err) => {
+            if (signal?.aborted || context.isDisposed) return;
             console.error('An error happened during font loading:', err);
             // Display an error message in the container
-            const errorDiv = document.createElement('div');
-            errorDiv.id = 'font-error-message'; // Add ID for potential removal in cleanup
+            const errorDiv = context.track(document.createElement('div')); // Removed on cleanup
+            errorDiv.id = 'font-error-message';
             errorDiv.textContent = 'Error loading font. See console for details.';
             errorDiv.style.color = 'red';
             errorDiv.style.padding = '10px';
@@ -102,77 +100,17 @@ export function init(container) {
         }
     );
 
-    // Handle window resize
-    const onWindowResize = () => {
-        if (!renderer || !camera || !container) return; // Check if objects exist
-        camera.aspect = container.clientWidth / container.clientHeight;
-        camera.updateProjectionMatrix();
-        renderer.setSize(container.clientWidth, container.clientHeight);
-    };
-    window.addEventListener('resize', onWindowResize);
-
-    // Store resize listener reference on the container for cleanup
-    container.dataset.resizeListener = onWindowResize; // Storing function directly might not work, store key/lookup
-    window.demoResizeListener = onWindowResize; // Storing globally for simple access in cleanup
-}
-
-export function cleanup() {
-    console.log("Starting 3D Text Cleanup");
-    if (animateId) {
-        cancelAnimationFrame(animateId);
-        animateId = null;
-        console.log("Animation frame cancelled");
-    }
-
-    // Remove resize listener
-    if (window.demoResizeListener) {
-        window.removeEventListener('resize', window.demoResizeListener);
-        window.demoResizeListener = null;
-        console.log("Resize listener removed");
+    function cleanup() {
+        console.log("Starting 3D Text Cleanup");
+        context.dispose(); // Stops rendering, removes the error message and disposes the text
+        console.log("3D Text Cleanup Complete");
     }
 
-    // Remove error message if it exists
-    const container = renderer?.domElement?.parentNode; // Get container reference before renderer disposal
-    if (container) {
-        const errorMsg = container.querySelector('#font-error-message');
-        if (errorMsg) {
-            container.removeChild(errorMsg);
-            console.log("Font error message removed");
-        }
-    }
-
-    // Dispose controls
-    if (controls) {
-        controls.dispose();
-        controls = null;
-        console.log("Controls disposed");
-    }
-
-    // Dispose scene objects
-    if (scene) {
-        if (textMesh) {
-            scene.remove(textMesh);
-            if (textMesh.geometry) textMesh.geometry.dispose();
-            if (textMesh.material) textMesh.material.dispose();
-            textMesh = null;
-            console.log("TextMesh removed and disposed");
-        }
-        // Optionally clean up lights if they are not managed globally
-        // scene.traverse(child => { ... });
-        scene = null; // Allow garbage collection
-        console.log("Scene nulled");
-    }
-
-    // Dispose renderer
-    if (renderer) {
-        renderer.dispose(); // Release WebGL resources
-        console.log("Renderer disposed");
-        // Renderer DOM element removal should be handled by main.js when switching demos
-        renderer = null;
-    }
-
-    camera = null;
-    console.log("Camera nulled");
-
-    console.log("3D Text Cleanup Complete");
+    return {
+        dispose: cleanup,
+        pause: () => frame?.pause(),
+        resume: () => frame?.resume(),
+        resize: requestRender, // The shell has resized the renderer, which clears the canvas
+        scene, camera, renderer, controls,
+    };
 }
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { init, cleanup as cleanupDemo } from './3d-text.js'; // Adjust path as needed
+import { init } from './3d-text.js'; // Adjust path as needed
 
 // --- Top-level Mocks ---
 let simulateFontLoadError = false; // Flag to control mock behavior
@@ -67,24 +67,20 @@ describe('3D Text Component', () => {
 
   it('should initialize without errors and add a canvas', () => {
     expect(() => {
-      cleanup = init(container); // Assign the returned cleanup function
+      cleanup = init(container).dispose; // Assign the returned dispose function
     }).not.toThrow();
     expect(container.querySelector('canvas')).not.toBeNull();
   });
 
-  it('should return a cleanup function', () => {
-    const result = init(container);
-    // In 3d-text.js, init doesn't return anything directly, cleanup is exported separately
-    // Let's adjust the test to reflect this. We'll call the exported cleanup.
-    expect(cleanupDemo).toBeInstanceOf(Function); // Check the exported cleanup
-    // We still call init to set up the component state for cleanup
-    init(container);
-    cleanup = cleanupDemo; // Assign the exported cleanup for afterEach
+  it('should return a demo instance with a dispose function', () => {
+    const instance = init(container);
+    cleanup = instance.dispose; // Assign the returned dispose for afterEach
+    expect(cleanup).toBeInstanceOf(Function);
+    expect(instance.scene).toBeDefined();
   });
 
   it('cleanup function should execute without errors', () => {
-    init(container); // Initialize component state
-    cleanup = cleanupDemo; // Assign exported cleanup
+    cleanup = init(container).dispose; // Initialize component state
 
     expect(() => {
       cleanup(); // Execute cleanup
@@ -95,13 +91,23 @@ describe('3D Text Component', () => {
     // e.g., expect(console.log).toHaveBeenCalledWith("3D Text Cleanup Complete");
   });
 
+  it('should ignore a font that finishes loading after the signal aborted', async () => {
+    const controller = new AbortController();
+    const instance = init(container, { signal: controller.signal });
+    cleanup = instance.dispose;
+    const childCountBeforeLoad = instance.scene.children.length; // Lights only
+    controller.abort();
+
+    // Let the mocked loader call back
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(instance.scene.children.length).toBe(childCountBeforeLoad);
+  });
+
    it('should handle font loading errors gracefully', async () => {
         // Set the flag to make the top-level mock simulate an error
         simulateFontLoadError = true;
 
-        cleanup = cleanupDemo; // Assign the standard cleanup
-
-        init(container); // Initialize with the error-simulating mock active
+        cleanup = init(container).dispose; // Initialize with the error-simulating mock active
 
         // Wait for the async error handling (setTimeout in mock) and DOM update
         await vi.waitFor(() => {
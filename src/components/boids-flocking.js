@@ -1,13 +1,17 @@
 import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GUI } from 'lil-gui';
+import { createDemoContext } from '../utils/demo-context.js';
+import { persistGuiSettings } from '../utils/gui-settings.js';
+import { addGuiPresets } from '../utils/gui-presets.js';
+import { createRandom } from '../utils/random.js';
 
-let scene, camera, renderer, controls, gui;
-let animationFrameId;
-const boids = [];
-let boundingBox = { xMin: -15, xMax: 15, yMin: -15, yMax: 15, zMin: -15, zMax: 15 }; // Increased bounding box slightly
+const boundingBox = { xMin: -15, xMax: 15, yMin: -15, yMax: 15, zMin: -15, zMax: 15 }; // Increased bounding box slightly
 
-const flockParams = {
+const MAX_BOIDS = 500; // Flocking is O(n²) per frame; keeps a hand-edited URL from locking up the tab
+const STEERING_FPS = 60; // maxForce and the weights were tuned as velocity changes per frame at this rate
+
+// Starting values; every instance works on its own copy so the GUI only affects that flock
+const DEFAULT_FLOCK_PARAMS = Object.freeze({
     separationWeight: 1.5,
     alignmentWeight: 1.0,
     cohesionWeight: 1.0,
@@ -15,12 +19,13 @@ const flockParams = {
     maxSpeed: 3.0,
     maxForce: 0.05,
     numBoids: 100,
-};
+});
 
 class Boid {
-    constructor(x, y, z) {
+    constructor(x, y, z, flockParams, random) {
+        this.flockParams = flockParams; // Shared with the rest of the flock and edited live by its GUI
         this.position = new THREE.Vector3(x, y, z);
-        this.velocity = new THREE.Vector3().randomDirection().multiplyScalar(Math.random() * (flockParams.maxSpeed * 0.5) + (flockParams.maxSpeed * 0.5)); // Initial speed up to maxSpeed
+        this.velocity = random.direction(new THREE.Vector3()).multiplyScalar(random.next() * (flockParams.maxSpeed * 0.5) + (flockParams.maxSpeed * 0.5)); // Initial speed up to maxSpeed
         this.acceleration = new THREE.Vector3();
         
         // Per-boid properties that can be influenced by flockParams but allow individual variation if needed later
@@ -30,15 +35,16 @@ class Boid {
 
         const geometry = new THREE.ConeGeometry(0.15, 0.5, 4); // Slightly larger boid
         geometry.rotateX(Math.PI / 2); // Orient cone to point along its local +Z (or -Z depending on lookAt)
-        const material = new THREE.MeshStandardMaterial({ color: Math.random() * 0xffffff, flatShading: true });
+        const material = new THREE.MeshStandardMaterial({ color: random.next() * 0xffffff, flatShading: true });
         this.mesh = new THREE.Mesh(geometry, material);
         this.mesh.position.copy(this.position);
     }
 
-    update() {
-        this.velocity.add(this.acceleration);
+    // Advances the boid by `delta` seconds of render loop time
+    update(delta) {
+        this.velocity.addScaledVector(this.acceleration, delta * STEERING_FPS);
         this.velocity.clampLength(0, this.maxSpeed);
-        this.position.add(this.velocity.clone().multiplyScalar(1/60)); // Assuming 60FPS for consistent speed
+        this.position.addScaledVector(this.velocity, delta); // Velocity is in units per second
 
         this.acceleration.multiplyScalar(0);
 
@@ -86,7 +92,7 @@ class Boid {
             steer.sub(this.velocity);
             steer.clampLength(0, this.maxForce);
         }
-        return steer.multiplyScalar(flockParams.separationWeight);
+        return steer.multiplyScalar(this.flockParams.separationWeight);
     }
 
     alignment(allBoids) {
@@ -106,7 +112,7 @@ class Boid {
             sum.multiplyScalar(this.maxSpeed);
             let steer = sum.sub(this.velocity);
             steer.clampLength(0, this.maxForce);
-            return steer.multiplyScalar(flockParams.alignmentWeight);
+            return steer.multiplyScalar(this.flockParams.alignmentWeight);
         }
         return new THREE.Vector3();
     }
@@ -124,17 +130,17 @@ class Boid {
         }
         if (count > 0) {
             sum.divideScalar(count);
-            return this.steer(sum).multiplyScalar(flockParams.cohesionWeight);
+            return this.steer(sum).multiplyScalar(this.flockParams.cohesionWeight);
         }
         return new THREE.Vector3();
     }
     
     behaviors(allBoids) {
-        // Update boid's internal perception, maxSpeed, maxForce from global flockParams
+        // Update boid's internal perception, maxSpeed, maxForce from the flock's params
         // This allows GUI changes to propagate to boids dynamically
-        this.perceptionRadius = flockParams.perceptionRadius;
-        this.maxSpeed = flockParams.maxSpeed;
-        this.maxForce = flockParams.maxForce;
+        this.perceptionRadius = this.flockParams.perceptionRadius;
+        this.maxSpeed = this.flockParams.maxSpeed;
+        this.maxForce = this.flockParams.maxForce;
 
         let sep = this.separation(allBoids);
         let ali = this.alignment(allBoids);
@@ -156,27 +162,22 @@ class Boid {
 }
 
 
-function init(container) {
-    // Scene
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x101010); // Darker background
-
-    // Camera
-    const aspectRatio = container.clientWidth / container.clientHeight;
-    camera = new THREE.PerspectiveCamera(75, aspectRatio, 0.1, 1000);
-    camera.position.set(0, 10, 25); // Adjusted camera for new bounding box
-
-    // Renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setPixelRatio(window.devicePixelRatio);
-    renderer.setSize(container.clientWidth, container.clientHeight);
-    container.appendChild(renderer.domElement);
+// Route parameters such as `?separationWeight=3` override the defaults, e.g. to compare flocks side by side
+function init(container, options = {}) {
+    const boids = [];
+    const random = createRandom(options.seed); // Spawn positions, headings and colors
+    const flockParams = { ...DEFAULT_FLOCK_PARAMS };
+    const routeParams = Object.keys(flockParams).filter(name => typeof options[name] === 'number' && Number.isFinite(options[name]));
+    routeParams.forEach(name => { flockParams[name] = options[name]; });
+    flockParams.numBoids = THREE.MathUtils.clamp(Math.round(flockParams.numBoids), 1, MAX_BOIDS);
 
-    // Controls
-    controls = new OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true;
-    controls.dampingFactor = 0.05;
-    controls.target.set(0, 0, 0); // Ensure controls orbit around the center of the flock
+    // Scene, camera, renderer and controls, orbiting the center of the flock
+    const context = createDemoContext(container, {
+        background: 0x101010, // Darker background
+        cameraPosition: [0, 10, 25], // Adjusted camera for new bounding box
+        loop: options.loop,
+    });
+    const { scene, camera, renderer, controls } = context;
 
     // Lights
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.7); // Brighter ambient
@@ -191,21 +192,17 @@ function init(container) {
     // scene.add(lightHelper);
 
     // Initialize Boids
-    boids.length = 0; // Clear boids array for re-initialization if called multiple times
     for (let i = 0; i < flockParams.numBoids; i++) {
-        const x = Math.random() * (boundingBox.xMax - boundingBox.xMin) + boundingBox.xMin;
-        const y = Math.random() * (boundingBox.yMax - boundingBox.yMin) + boundingBox.yMin;
-        const z = Math.random() * (boundingBox.zMax - boundingBox.zMin) + boundingBox.zMin;
-        const boid = new Boid(x, y, z);
+        const x = random.float(boundingBox.xMin, boundingBox.xMax);
+        const y = random.float(boundingBox.yMin, boundingBox.yMax);
+        const z = random.float(boundingBox.zMin, boundingBox.zMax);
+        const boid = new Boid(x, y, z, flockParams, random);
         boids.push(boid);
         scene.add(boid.mesh);
     }
 
     // GUI
-    if (gui) { // Destroy old GUI if it exists (e.g., on hot-reload or re-init)
-      gui.destroy();
-    }
-    gui = new GUI();
+    const gui = context.track(new GUI({ autoPlace: false }));
     gui.domElement.style.position = 'absolute'; // Ensure it's positioned correctly within the container
     gui.domElement.style.top = '10px';
     gui.domElement.style.right = '10px';
@@ -218,6 +215,9 @@ function init(container) {
     gui.add(flockParams, 'maxSpeed', 1, 10, 0.1).name('Max Speed');
     gui.add(flockParams, 'maxForce', 0.01, 0.5, 0.01).name('Max Force');
     // gui.add(flockParams, 'numBoids', 10, 200, 10).name('Num Boids').onChange(reinitializeBoids); // Optional: re-init boids
+    // Values tuned in earlier visits come back, except those the route sets
+    const settings = persistGuiSettings(gui, { key: 'boids-flocking', version: 1, exclude: routeParams });
+    addGuiPresets(gui, { key: 'boids-flocking', version: 1, exclude: routeParams, onApply: settings.save });
 
     // function reinitializeBoids(value) {
     //     // Clean up existing boids
@@ -233,7 +233,7 @@ function init(container) {
     //         const x = Math.random() * (boundingBox.xMax - boundingBox.xMin) + boundingBox.xMin;
     //         const y = Math.random() * (boundingBox.yMax - boundingBox.yMin) + boundingBox.yMin;
     //         const z = Math.random() * (boundingBox.zMax - boundingBox.zMin) + boundingBox.zMin;
-    //         const boid = new Boid(x, y, z);
+    //         const boid = new Boid(x, y, z, flockParams);
     //         boids.push(boid);
     //         scene.add(boid.mesh);
     //     }
@@ -250,78 +250,37 @@ function init(container) {
     // scene.add(boxMesh);
 
 
-    // Animation Loop
-    function animate() {
-        animationFrameId = requestAnimationFrame(animate);
-
-        boids.forEach(boid => {
-          boid.boundaries();
-          boid.behaviors(boids); // Pass all boids
-          boid.update();
-        });
+    // Animation Loop, called by the render loop with the seconds since the previous frame
+    function animate(delta) {
+        if (delta > 0) { // Time is paused (see utils/render-loop.js); skip the O(n²) steering
+            boids.forEach(boid => {
+              boid.boundaries();
+              boid.behaviors(boids); // Pass all boids
+              boid.update(delta);
+            });
+        }
 
         controls.update();
         renderer.render(scene, camera);
     }
 
-    animate();
-
-    // Handle window resize
-    const onWindowResize = () => {
-        if (!renderer || !camera || !container) return; // Prevent errors during cleanup
-        camera.aspect = container.clientWidth / container.clientHeight;
-        camera.updateProjectionMatrix();
-        renderer.setSize(container.clientWidth, container.clientHeight);
-    };
-    window.addEventListener('resize', onWindowResize);
-
+    // Skipped while the tab is hidden or the canvas is offscreen, which matters at O(n²) per frame
+    const frame = context.animate(animate);
 
-    // Cleanup function
-    return () => {
-        cancelAnimationFrame(animationFrameId);
-        window.removeEventListener('resize', onWindowResize);
 
-        // Dispose boids
-        boids.forEach(boid => {
-            if (boid.mesh) {
-                scene.remove(boid.mesh);
-                if (boid.mesh.geometry) boid.mesh.geometry.dispose();
-                if (boid.mesh.material) boid.mesh.material.dispose();
-            }
-        });
+    // Cleanup function; the boids are disposed with the scene
+    const cleanup = () => {
+        context.dispose();
         boids.length = 0; // Clear the array
+    };
 
-        if (gui) {
-            // Check if domElement is still part of container before removing
-            if (gui.domElement && gui.domElement.parentElement === container) {
-                container.removeChild(gui.domElement);
-            }
-            gui.destroy();
-            gui = null; 
-        }
-        
-        if (controls) {
-            controls.dispose();
-            controls = null;
-        }
-
-        if (scene) { // Dispose scene objects, but not the scene itself if it might be reused
-            // The scene.traverse method used before is good for general cleanup
-            // but here we are more specific with boids.
-            // Other objects like lights are simple and might not need explicit disposal beyond scene = null.
-        }
-
-        if (renderer) {
-            renderer.dispose();
-            if (renderer.domElement && renderer.domElement.parentElement) {
-                renderer.domElement.parentElement.removeChild(renderer.domElement);
-            }
-            renderer = null;
-        }
-        
-        // scene.dispose(); // If THREE.Scene had a dispose method
-        scene = null;
-        camera = null;
+    return {
+        dispose: cleanup,
+        pause: () => frame.pause(),
+        resume: () => frame.resume(),
+        getStats: () => ({ Boids: boids.length }),
+        scene, camera, renderer, controls, gui,
+        seed: random.seed,
     };
 }
 
@@ -1,9 +1,11 @@
 import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js'; // Import OrbitControls
+import { createDemoContext } from '../utils/demo-context.js';
+
+export function init(container, options = {}) {
+    const context = createDemoContext(container, { cameraPosition: [0, 5, 10], loop: options.loop });
+    const { scene, camera, renderer, controls } = context;
+    renderer.shadowMap.enabled = true; // Enable shadows (reset when the renderer goes back to the pool)
 
-export function init(container) {
-    let animationFrameId;
-    let scene, camera, renderer, clock, controls; // Add controls variable
     let ball, floor;
     let velocity = new THREE.Vector3(0, 0, 0); // Initial velocity
     const gravity = new THREE.Vector3(0, -9.8, 0);
@@ -12,26 +14,6 @@ export function init(container) {
     const restitution = 0.8; // Bounciness
     const ballRadius = 0.5;
 
-    // Scene setup
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x1a1a1a);
-
-    // Camera setup
-    camera = new THREE.PerspectiveCamera(75, container.clientWidth / container.clientHeight, 0.1, 1000);
-    camera.position.set(0, 5, 10);
-    camera.lookAt(0, 0, 0);
-
-    // Renderer setup
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(container.clientWidth, container.clientHeight);
-    renderer.shadowMap.enabled = true; // Enable shadows
-    container.appendChild(renderer.domElement);
-
-    // Controls
-    controls = new OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true; // Optional: makes camera movement smoother
-    controls.dampingFactor = 0.05;
-
     // Lighting
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
     scene.add(ambientLight);
@@ -65,15 +47,8 @@ export function init(container) {
     floor.receiveShadow = true; // Floor receives shadows
     scene.add(floor);
 
-    // Clock for delta time
-    clock = new THREE.Clock();
-
-    // Animation loop
-    function animate() {
-        animationFrameId = requestAnimationFrame(animate);
-
-        const deltaTime = clock.getDelta();
-
+    // Animation loop, called by the render loop with the seconds since the previous frame
+    function animate(deltaTime) {
         // Apply gravity
         velocity.addScaledVector(gravity, deltaTime);
 
@@ -98,14 +73,6 @@ export function init(container) {
         renderer.render(scene, camera);
     }
 
-    // Handle window resize
-    function onWindowResize() {
-        camera.aspect = container.clientWidth / container.clientHeight;
-        camera.updateProjectionMatrix();
-        renderer.setSize(container.clientWidth, container.clientHeight);
-    }
-    window.addEventListener('resize', onWindowResize);
-
     // Handle mouse clicks
     function onMouseDown(event) {
         // Calculate mouse position in normalized device coordinates (-1 to +1)
@@ -126,44 +93,23 @@ export function init(container) {
             ball.position.y = Math.max(ball.position.y, ballRadius + 0.01);
         }
     }
-    renderer.domElement.addEventListener('mousedown', onMouseDown);
+    context.listen(renderer.domElement, 'mousedown', onMouseDown);
 
 
     // Start animation
-    animate();
+    const frame = context.animate(animate);
 
-    // Cleanup function
+    // Cleanup function; also disposes the light's shadow map
     function cleanup() {
-        if (animationFrameId) {
-            cancelAnimationFrame(animationFrameId);
-        }
-        window.removeEventListener('resize', onWindowResize);
-        renderer.domElement.removeEventListener('mousedown', onMouseDown); // Remove click listener
-
-        // Dispose controls
-        if (controls) {
-            controls.dispose();
-        }
-
-        // Dispose Three.js objects
-        scene.remove(ball);
-        ball.geometry.dispose();
-        ball.material.dispose();
-
-        scene.remove(floor);
-        floor.geometry.dispose();
-        floor.material.dispose();
-
-        scene.remove(ambientLight);
-        scene.remove(directionalLight);
-
-        if (renderer.domElement.parentElement) {
-            container.removeChild(renderer.domElement);
-        }
-        renderer.dispose();
+        context.dispose();
         console.log('Bouncing ball demo cleaned up');
     }
 
     console.log('Bouncing ball demo initialized');
-    return cleanup;
+    return {
+        dispose: cleanup,
+        pause: () => frame.pause(),
+        resume: () => frame.resume(),
+        scene, camera, renderer, controls,
+    };
 }
@@ -1,12 +1,14 @@
 
 import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GUI } from 'lil-gui';
+import { createDemoContext, disposeObject } from '../utils/demo-context.js';
+import { persistGuiSettings } from '../utils/gui-settings.js';
+import { addGuiPresets } from '../utils/gui-presets.js';
+import { createRandom } from '../utils/random.js';
 
-export function init(container) {
-    let scene, camera, renderer, controls, clock, points, gui;
-    let geometry, material;
-    let animationFrameId;
+export function init(container, options = {}) {
+    let points, geometry, material;
+    const random = createRandom(options.seed); // Start times and launch velocities
 
     // Configuration object
     const config = {
@@ -20,17 +22,9 @@ export function init(container) {
         particleColor: 0xffffff
     };
 
-    // --- Basic Setup (Scene, Camera, Renderer, Lights, Controls, Clock) ---
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x1a1a1a);
-
-    camera = new THREE.PerspectiveCamera(75, container.clientWidth / container.clientHeight, 0.1, 1000);
-    camera.position.z = 15;
-
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(container.clientWidth, container.clientHeight);
-    renderer.setPixelRatio(window.devicePixelRatio);
-    container.appendChild(renderer.domElement);
+    // --- Basic Setup (Scene, Camera, Renderer, Controls, Lights) ---
+    const context = createDemoContext(container, { cameraPosition: [0, 0, 15], loop: options.loop });
+    const { scene, camera, renderer, controls } = context;
 
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
     scene.add(ambientLight);
@@ -38,20 +32,10 @@ export function init(container) {
     directionalLight.position.set(5, 10, 7.5);
     scene.add(directionalLight);
 
-    controls = new OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true;
-    controls.dampingFactor = 0.05;
-
-    clock = new THREE.Clock();
-
     // --- Particle System --- 
     function setupParticles() {
         // If existing points object exists, remove it and dispose geometry/material
-        if (points) {
-            scene.remove(points);
-            if (geometry) geometry.dispose();
-            if (material) material.dispose();
-        }
+        if (points) disposeObject(points);
 
         geometry = new THREE.BufferGeometry();
         const positions = new Float32Array(config.particleCount * 3);
@@ -83,7 +67,7 @@ export function init(container) {
         const i3 = index * 3;
 
         // Use current time as new start, or stagger if initializing
-        startTimes[index] = initialize ? Math.random() * config.maxLifetime : elapsedTime; 
+        startTimes[index] = initialize ? random.next() * config.maxLifetime : elapsedTime; 
 
         // Initial position (origin)
         positions[i3 + 0] = 0;
@@ -91,13 +75,17 @@ export function init(container) {
         positions[i3 + 2] = 0;
 
         // Initial velocity (using config values)
-        velocities[i3 + 0] = (Math.random() - 0.5) * config.initialVelocityRangeXZ;
-        velocities[i3 + 1] = Math.random() * config.initialVelocityRangeY + config.initialVelocityBaseY;
-        velocities[i3 + 2] = (Math.random() - 0.5) * config.initialVelocityRangeXZ;
+        velocities[i3 + 0] = random.spread(config.initialVelocityRangeXZ);
+        velocities[i3 + 1] = random.next() * config.initialVelocityRangeY + config.initialVelocityBaseY;
+        velocities[i3 + 2] = random.spread(config.initialVelocityRangeXZ);
     }
 
     // --- GUI Setup --- 
-    gui = new GUI();
+    const gui = context.track(new GUI({ autoPlace: false })); // Inside the container, not fixed over the page header
+    gui.domElement.style.position = 'absolute';
+    gui.domElement.style.top = '10px';
+    gui.domElement.style.right = '10px';
+    container.appendChild(gui.domElement);
     gui.add(config, 'gravity', -20, 20, 0.1).name('Gravity');
     gui.add(config, 'maxLifetime', 0.5, 10, 0.1).name('Max Lifetime (s)');
     gui.add(config, 'initialVelocityRangeXZ', 0, 20, 0.1).name('Velocity Range XZ');
@@ -115,14 +103,12 @@ export function init(container) {
     //       material.size = value;
     //   }
     // });
+    const settings = persistGuiSettings(gui, { key: 'particle-emitter', version: 1 }); // Restores values tuned in earlier visits
+    addGuiPresets(gui, { key: 'particle-emitter', version: 1, onApply: settings.save });
 
     // --- Animation Loop --- 
-    function animate() {
-        animationFrameId = requestAnimationFrame(animate);
-
-        const deltaTime = clock.getDelta();
-        const elapsedTime = clock.getElapsedTime();
-
+    // Called by the render loop with seconds since the previous frame and since the demo started
+    function animate(deltaTime, elapsedTime) {
         if (!geometry || !material || !points) return; // Safety check
 
         const positionsAttribute = geometry.attributes.position;
@@ -161,65 +147,27 @@ export function init(container) {
         renderer.render(scene, camera);
     }
 
-    // --- Event Listeners --- 
-    function onWindowResize() {
-        camera.aspect = container.clientWidth / container.clientHeight;
-        camera.updateProjectionMatrix();
-        renderer.setSize(container.clientWidth, container.clientHeight);
-    }
-    window.addEventListener('resize', onWindowResize);
-
     // --- Initialization --- 
     setupParticles(); // Initial particle setup
-    animate(); // Start animation
+    const frame = context.animate(animate); // Start animation
 
     // --- Cleanup Function --- 
     function cleanup() {
         console.log("Cleaning up Particle Emitter...");
-        cancelAnimationFrame(animationFrameId);
-        window.removeEventListener('resize', onWindowResize);
-
-        // Destroy GUI
-        if (gui) {
-            gui.destroy();
-            gui = null;
-        }
-
-        // Dispose Three.js objects
-        if (geometry) geometry.dispose();
-        if (material) material.dispose();
-        if (points) scene.remove(points);
-
-        scene.remove(ambientLight);
-        scene.remove(directionalLight);
-
-        if (controls) controls.dispose();
-        if (renderer) {
-            renderer.dispose();
-            // Check if the renderer element is still in the container before removing
-            if (renderer.domElement && renderer.domElement.parentNode === container) {
-                try {
-                    container.removeChild(renderer.domElement);
-                } catch (e) {
-                    console.error("Error removing renderer DOM element:", e);
-                }
-            }
-        }
-
-        // Clear references
-        scene = null;
-        camera = null;
-        renderer = null;
-        controls = null;
-        clock = null;
+        context.dispose(); // Destroys the GUI and disposes the particles
         points = null;
         geometry = null;
         material = null;
-        animationFrameId = null;
-        // config is local to init, no need to nullify explicitly
         console.log("Particle emitter cleaned up");
     }
 
-    // Return the cleanup function
-    return cleanup;
+    // Return the demo instance
+    return {
+        dispose: cleanup,
+        pause: () => frame.pause(),
+        resume: () => frame.resume(),
+        getStats: () => ({ Particles: geometry ? config.particleCount : 0 }),
+        scene, camera, renderer, controls, gui,
+        seed: random.seed,
+    };
 }
@@ -1,28 +1,31 @@
 import * as THREE from 'three';
 // Note: Adjust the path based on the actual file structure relative to this component
 import { createNoise2D } from '../vendor/simplex-noise.js';
+import { createDemoContext } from '../utils/demo-context.js';
+import { createRandom } from '../utils/random.js';
 
-export function init(container) {
+// Publishes 'chunk:generated' ({ chunkX, chunkZ, lodLevel }) through options.events for every
+// chunk built, including chunks rebuilt at another level of detail
+export function init(container, options = {}) {
   if (!container) {
     console.error('Container element is required for procedural terrain init.');
-    return () => {}; // Return a no-op cleanup function
+    return { dispose: () => {} }; // Return a no-op demo instance
   }
 
-  let animationFrameId = null;
-
-  // Scene Setup
-  const scene = new THREE.Scene();
+  // Scene Setup; the gradient sky is the background and the camera flies itself
+  const context = createDemoContext(container, {
+    background: null,
+    cameraPosition: [0, 30, 100], // Lower elevation for better terrain view
+    controls: false,
+    loop: options.loop,
+  });
+  const { scene, camera, renderer } = context;
   scene.fog = new THREE.FogExp2(0x87CEEB, 0.0012); // Sky blue fog to blend with gradient
-  const camera = new THREE.PerspectiveCamera(75, container.clientWidth / container.clientHeight, 0.1, 1000);
-  const renderer = new THREE.WebGLRenderer({ antialias: true });
-  renderer.setSize(container.clientWidth, container.clientHeight);
-  renderer.setPixelRatio(window.devicePixelRatio);
   renderer.shadowMap.enabled = true;
   renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-  container.appendChild(renderer.domElement);
 
   // Create help text
-  const helpContainer = document.createElement('div');
+  const helpContainer = context.track(document.createElement('div')); // Removed on cleanup
   helpContainer.style.cssText = `
     position: absolute;
     top: 10px;
@@ -103,9 +106,6 @@ export function init(container) {
   const sky = new THREE.Mesh(skyGeometry, skyMaterial);
   scene.add(sky);
 
-  // Camera Position - fixed height, will move forward continuously
-  camera.position.set(0, 30, 100); // Lower elevation for better terrain view
-  
   // Camera rotation for mouse look
   const cameraRotation = { x: 0, y: 0 };
   
@@ -172,13 +172,14 @@ export function init(container) {
     }
   }
   
-  container.addEventListener('mousemove', onMouseMove);
-  container.addEventListener('click', onMouseClick);
+  context.listen(container, 'mousemove', onMouseMove);
+  context.listen(container, 'click', onMouseClick);
 
-  // Noise generators for multiple octaves
-  const noise1 = createNoise2D();
-  const noise2 = createNoise2D();
-  const noise3 = createNoise2D();
+  // Noise generators for multiple octaves, permuted from the seed so a seed is always the same landscape
+  const random = createRandom(options.seed);
+  const noise1 = createNoise2D(random.next);
+  const noise2 = createNoise2D(random.next);
+  const noise3 = createNoise2D(random.next);
 
   // Terrain parameters
   const chunkSize = 100;
@@ -189,7 +190,8 @@ export function init(container) {
   const terrainChunks = new Map();
   
   // Camera movement parameters
-  const cameraSpeed = 0.5;
+  const cameraSpeed = 30; // Units per second
+  const smoothingPerFrame = 0.05; // Fraction of the remaining turn, climb or look covered per 60 FPS frame
   const cameraDirection = new THREE.Vector3(0, 0, -1);
 
   // Function to create height using multiple noise octaves
@@ -318,7 +320,8 @@ export function init(container) {
     mesh.position.set(worldX, 0, worldZ);
     mesh.castShadow = lodLevel === 0; // Only cast shadows for highest LOD
     mesh.receiveShadow = true;
-    
+
+    options.events?.emit('chunk:generated', { chunkX, chunkZ, lodLevel });
     return { mesh, geometry, material, lodLevel, chunkX, chunkZ };
   }
 
@@ -413,25 +416,27 @@ export function init(container) {
   // Initial terrain generation
   updateTerrainChunks();
 
-  // Animation Loop
-  function animate() {
+  // Animation Loop, called by the render loop with the seconds since the previous frame
+  function animate(delta) {
     if (!renderer.domElement) return;
-    animationFrameId = requestAnimationFrame(animate);
+
+    // The same easing as `smoothingPerFrame` at 60 FPS, for a frame of any length
+    const smoothing = 1 - Math.pow(1 - smoothingPerFrame, delta * 60);
     
     // Smooth turning
-    movementAngle += (targetAngle - movementAngle) * 0.05;
+    movementAngle += (targetAngle - movementAngle) * smoothing;
     
     // Smooth elevation changes
-    currentElevation += (targetElevation - currentElevation) * 0.05;
+    currentElevation += (targetElevation - currentElevation) * smoothing;
     
     // Move camera in the direction it's facing
-    camera.position.x -= Math.sin(movementAngle) * cameraSpeed;
-    camera.position.z -= Math.cos(movementAngle) * cameraSpeed;
+    camera.position.x -= Math.sin(movementAngle) * cameraSpeed * delta;
+    camera.position.z -= Math.cos(movementAngle) * cameraSpeed * delta;
     camera.position.y = currentElevation;
     
     // Update camera rotation based on mouse with damping
-    cameraRotation.x += (mouseY * 0.5 - cameraRotation.x) * 0.05;
-    cameraRotation.y += (mouseX * 0.5 - cameraRotation.y) * 0.05;
+    cameraRotation.x += (mouseY * 0.5 - cameraRotation.x) * smoothing;
+    cameraRotation.y += (mouseX * 0.5 - cameraRotation.y) * smoothing;
     
     // Apply rotation to camera (combine movement angle with mouse look)
     camera.rotation.x = -cameraRotation.x * 0.5;
@@ -453,61 +458,22 @@ export function init(container) {
     renderer.render(scene, camera);
   }
 
-  animate();
+  const frame = context.animate(animate);
 
-  // Resize Handling
-  const handleResize = () => {
-    if (!container || !renderer.domElement) return;
-    const width = container.clientWidth;
-    const height = container.clientHeight;
-    camera.aspect = width / height;
-    camera.updateProjectionMatrix();
-    renderer.setSize(width, height);
-  };
-  window.addEventListener('resize', handleResize);
-
-  // Cleanup Function
+  // Cleanup Function; the chunks, sky and lights are disposed with the scene
   const cleanup = () => {
     console.log('Cleaning up procedural terrain component...');
-    if (animationFrameId) {
-      cancelAnimationFrame(animationFrameId);
-      animationFrameId = null;
-    }
-    window.removeEventListener('resize', handleResize);
-
-    // Clean up all terrain chunks
-    terrainChunks.forEach(chunk => {
-      scene.remove(chunk.mesh);
-      chunk.geometry.dispose();
-      chunk.material.dispose();
-    });
+    context.dispose();
     terrainChunks.clear();
-
-    if(ambientLight) scene.remove(ambientLight);
-    if(directionalLight) scene.remove(directionalLight);
-    
-    if(sky) {
-      scene.remove(sky);
-      skyGeometry.dispose();
-      skyMaterial.dispose();
-    }
-
-    container.removeEventListener('mousemove', onMouseMove);
-    container.removeEventListener('click', onMouseClick);
-    
-    if(helpContainer && helpContainer.parentElement) {
-      helpContainer.parentElement.removeChild(helpContainer);
-    }
-
-    if (renderer) {
-      if (renderer.domElement && renderer.domElement.parentElement) {
-        renderer.domElement.parentElement.removeChild(renderer.domElement);
-      }
-      renderer.dispose();
-    }
-
     console.log('Procedural terrain cleanup complete.');
   };
 
-  return cleanup;
+  return {
+    dispose: cleanup,
+    pause: () => frame.pause(),
+    resume: () => frame.resume(),
+    getStats: () => ({ 'Active chunks': terrainChunks.size }),
+    scene, camera, renderer,
+    seed: random.seed,
+  };
 }
\ No newline at end of file
@@ -35,13 +35,23 @@ describe('Procedural Terrain Component', () => {
     // vi.restoreAllMocks(); // Restore mocks if used
   });
 
-  it('should initialize and return a cleanup function', () => {
-    cleanup = init(container);
+  it('should initialize and return a demo instance with a dispose function', () => {
+    const instance = init(container);
+    cleanup = instance.dispose;
     expect(cleanup).toBeInstanceOf(Function);
+    expect(instance.scene).toBeInstanceOf(THREE.Scene);
+  });
+
+  it('should publish chunk:generated for every chunk it builds', () => {
+    const chunks = [];
+    const instance = init(container, { events: { emit: (name, detail) => chunks.push({ name, ...detail }) } });
+    cleanup = instance.dispose;
+    expect(chunks.length).toBe(instance.getStats()['Active chunks']);
+    expect(chunks[0]).toEqual({ name: 'chunk:generated', chunkX: expect.any(Number), chunkZ: expect.any(Number), lodLevel: expect.any(Number) });
   });
 
   it('should add a canvas element to the container', () => {
-    cleanup = init(container);
+    cleanup = init(container).dispose;
     const canvas = container.querySelector('canvas');
     expect(canvas).not.toBeNull();
     expect(canvas).toBeInstanceOf(HTMLCanvasElement);
@@ -49,7 +59,7 @@ describe('Procedural Terrain Component', () => {
 
   it('should run init function without throwing errors', () => {
     expect(() => {
-      cleanup = init(container);
+      cleanup = init(container).dispose;
     }).not.toThrow();
   });
 
@@ -59,7 +69,7 @@ describe('Procedural Terrain Component', () => {
     // mockMath.random = vi.fn(() => 0.5); // Example: always return 0.5
     // vi.stubGlobal('Math', mockMath);
 
-    cleanup = init(container);
+    cleanup = init(container).dispose;
     // Find the mesh in the scene - difficult without direct access
     // Instead, we assume init worked if no error and canvas exists.
     // A more robust test would involve accessing the scene and mesh.
@@ -73,7 +83,7 @@ describe('Procedural Terrain Component', () => {
   });
 
   it('should run cleanup function without throwing errors', () => {
-     cleanup = init(container);
+     cleanup = init(container).dispose;
      expect(cleanup).toBeInstanceOf(Function);
      expect(() => {
        cleanup();
@@ -81,7 +91,7 @@ describe('Procedural Terrain Component', () => {
   });
 
   it('should remove the canvas element upon cleanup', () => {
-    cleanup = init(container);
+    cleanup = init(container).dispose;
     expect(container.querySelector('canvas')).not.toBeNull();
     cleanup();
     expect(container.querySelector('canvas')).toBeNull();
@@ -1,7 +1,10 @@
 import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GUI } from 'lil-gui';
 import TWEEN from '@tweenjs/tween.js';
+import { createDemoContext } from '../utils/demo-context.js';
+import { persistGuiSettings } from '../utils/gui-settings.js';
+import { addGuiPresets } from '../utils/gui-presets.js';
+import { createRandom } from '../utils/random.js';
 
 // Standard Rubik's Cube face colors
 const COLORS = {
@@ -19,8 +22,11 @@ const CUBIE_SIZE = 0.95; // Slightly smaller than 1 to create gaps
 const CUBIE_GAP = 1.0 - CUBIE_SIZE; // Gap between cubies
 const BASE_ROTATION_SPEED_MS = 300; // Base speed for face rotation animation
 const BASE_SHUFFLE_DELAY_MS = 50; 
+const MIN_SIZE = 2;
+const MAX_SIZE = 5; // Sizes come from URLs too; a huge one would build hundreds of thousands of meshes
+const DEFAULT_SIZE = 3;
 
-let isTestEnvironment = false; // Flag to indicate test environment
+const isValidSize = value => Number.isInteger(value) && value >= MIN_SIZE && value <= MAX_SIZE;
 
 // Define Cube State Enum
 const CubeState = {
@@ -32,43 +38,52 @@ const CubeState = {
 };
 
 function createRubiksCubeComponent() {
+    let context; // Scene, camera, renderer and controls, and what to release on cleanup
     let scene, camera, renderer, controls;
     let cubeGroup, cubies = [];
     let size = 3; // Default size
-    let animationFrameId;
+    let frame; // On-demand task registered with the shared render loop
     let containerElement; // Store container reference
     let currentCubeState = CubeState.IDLE; // Initialize state
     let shuffleSequence = []; // Store the sequence of shuffle moves { axis, layerIndex, direction }
+    let isTestEnvironment = false; // Flag to indicate test environment
+    let random = null; // Seeded generator for shuffles, from options.seed
+    let events = null; // options.events: 'shuffled' and 'solved' are published on the shell's event bus
 
     let gui;
     let sizeController = { size: size };
     let animationSpeedFactor = 1.0;
     let ROTATION_SPEED_MS;
     let SHUFFLE_DELAY_MS;
+    const tweens = new TWEEN.Group(); // Not the global group, so other cubes' tweens are left alone
 
-    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+    // Waits on the animation clock rather than wall time, so pauses and offline renders hold it too
+    const delay = ms => new Promise(resolve => {
+        new TWEEN.Tween({}, tweens).to({}, ms).onComplete(resolve).start(component.now());
+        component.requestRender();
+    });
 
     const component = {
-        init: function(container, initialSize = 3, options = {}) {
+        init: function(container, initialSize = DEFAULT_SIZE, options = {}) {
             containerElement = container;
+            if (!isValidSize(initialSize)) {
+                console.warn(`Invalid cube size ${JSON.stringify(initialSize)}, using ${DEFAULT_SIZE}. Sizes go from ${MIN_SIZE} to ${MAX_SIZE}.`);
+                initialSize = DEFAULT_SIZE;
+            }
             size = initialSize;
             sizeController.size = size;
             currentCubeState = CubeState.IDLE;
             shuffleSequence = [];
             isTestEnvironment = options.isTest === true;
+            random = createRandom(options.seed);
+            events = options.events ?? null;
 
             ROTATION_SPEED_MS = isTestEnvironment ? 0 : BASE_ROTATION_SPEED_MS / animationSpeedFactor;
             SHUFFLE_DELAY_MS = isTestEnvironment ? 0 : BASE_SHUFFLE_DELAY_MS / animationSpeedFactor;
 
-            scene = new THREE.Scene();
-            scene.background = new THREE.Color(0x1a1a1a);
-            camera = new THREE.PerspectiveCamera(75, container.clientWidth / container.clientHeight, 0.1, 1000);
-            camera.lookAt(0, 0, 0);
-            renderer = new THREE.WebGLRenderer({ antialias: true });
-            renderer.setSize(container.clientWidth, container.clientHeight);
-            renderer.setPixelRatio(window.devicePixelRatio);
+            context = createDemoContext(container, { controls: { dampingFactor: 0.1 }, loop: options.loop }); // The camera is placed for the size in createCube
+            ({ scene, camera, renderer, controls } = context);
             renderer.shadowMap.enabled = true;
-            container.appendChild(renderer.domElement);
 
             const ambientLight = new THREE.AmbientLight(0xffffff, 0.7);
             scene.add(ambientLight);
@@ -78,34 +93,33 @@ function createRubiksCubeComponent() {
             directionalLight.shadow.mapSize.height = 1024;
             scene.add(directionalLight);
 
-            controls = new OrbitControls(camera, renderer.domElement);
-            controls.enableDamping = true;
-            controls.dampingFactor = 0.1;
-            controls.target.set(0, 0, 0);
-            controls.update();
+            context.listen(controls, 'change', this.requestRender); // Also fires while damping settles
 
             cubeGroup = new THREE.Group();
             scene.add(cubeGroup);
             this.createCube(size);
 
             if (!isTestEnvironment) {
-                gui = new GUI({ title: "Rubik's Cube Controls" });
+                gui = context.track(new GUI({ title: "Rubik's Cube Controls", autoPlace: false }));
                 gui.domElement.style.position = 'absolute';
                 gui.domElement.style.top = '10px';
                 gui.domElement.style.right = '10px';
                 containerElement.appendChild(gui.domElement);
                 gui.add(this, 'shuffle').name('Shuffle Cube');
                 gui.add(this, 'solve').name('Solve Cube');
-                gui.add(sizeController, 'size', 2, 5, 1).name('Cube Size (N x N x N)').onChange(v => this.changeSize(v));
+                gui.add(sizeController, 'size', MIN_SIZE, MAX_SIZE, 1).name('Cube Size (N x N x N)').onChange(v => this.changeSize(v));
                 gui.add({ animationSpeedFactor }, 'animationSpeedFactor', 0.1, 5.0, 0.1).name('Animation Speed')
                    .onChange(value => {
                        animationSpeedFactor = value;
                        ROTATION_SPEED_MS = isTestEnvironment ? 0 : BASE_ROTATION_SPEED_MS / animationSpeedFactor;
                        SHUFFLE_DELAY_MS = isTestEnvironment ? 0 : BASE_SHUFFLE_DELAY_MS / animationSpeedFactor;
                    });
+                // The size comes from the route, so only the speed is remembered
+                const settings = persistGuiSettings(gui, { key: 'rubiks-cube', version: 1, exclude: ['size'] });
+                addGuiPresets(gui, { key: 'rubiks-cube', version: 1, exclude: ['size'], onApply: settings.save });
             }
-            window.addEventListener('resize', this.onWindowResize);
-            if (!isTestEnvironment) this.animate();
+            // The cube only needs frames while a face is turning or the camera moves
+            if (!isTestEnvironment) frame = context.animate(this.animate, { onDemand: true });
             return this.cleanup;
         },
 
@@ -160,12 +174,15 @@ function createRubiksCubeComponent() {
             }
         },
 
-        animate: function(){ animationFrameId=requestAnimationFrame(this.animate.bind(this)); TWEEN.update(); if(controls)controls.update(); if(renderer&&scene&&camera)renderer.render(scene,camera); },
-        onWindowResize: function(){ if(camera&&renderer&&containerElement){ camera.aspect = containerElement.clientWidth/containerElement.clientHeight; camera.updateProjectionMatrix(); renderer.setSize(containerElement.clientWidth,containerElement.clientHeight); }},
+        animate: function(){ tweens.update(component.now()); if(controls)controls.update(); if(renderer&&scene&&camera)renderer.render(scene,camera); if(tweens.getAll().length>0)component.requestRender(); },
+        // Tween time in ms: the render loop's elapsed time, so turns follow the shell's clock
+        now: function(){ return frame ? frame.elapsed * 1000 : 0; },
+        requestRender: function(){ if(frame)frame.invalidate(); },
+        pause: function(){ if(frame)frame.pause(); },
+        resume: function(){ if(frame)frame.resume(); },
 
-        _updateLogicalCoordinatesInt: function(cubieData, axis, direction, contextLog = "") {
+        _updateLogicalCoordinatesInt: function(cubieData, axis, direction) {
             const lpInt = cubieData.mesh.userData.logicalPositionInt;
-            const originalIntPosCopy = { ...lpInt }; 
 
             let x = lpInt.x, y = lpInt.y, z = lpInt.z;
             let newX = x, newY = y, newZ = z;
@@ -178,19 +195,12 @@ function createRubiksCubeComponent() {
             if(cubieData.mesh?.userData?.logicalPositionInt){
                 cubieData.mesh.userData.logicalPositionInt.x=newX; cubieData.mesh.userData.logicalPositionInt.y=newY; cubieData.mesh.userData.logicalPositionInt.z=newZ;
                 cubieData.mesh.userData.logicalPosition.x=newX/2.0; cubieData.mesh.userData.logicalPosition.y=newY/2.0; cubieData.mesh.userData.logicalPosition.z=newZ/2.0;
-                if (isTestEnvironment) {
-                    const changed = originalIntPosCopy.x !== newX || originalIntPosCopy.y !== newY || originalIntPosCopy.z !== newZ;
-                    console.log(`[Test UPDATE_INT_COORDS (${contextLog})] Original: ${JSON.stringify(originalIntPosCopy)}, New: ${JSON.stringify(cubieData.mesh.userData.logicalPositionInt)}, Axis: ${axis}, Dir: ${direction}, Changed: ${changed}`);
-                }
             } else { console.error("Missing userData/logicalPositionInt in _updateLogicalCoordinatesInt", cubieData.mesh); }
         },
 
         rotateFace: async function(axis, integerLayer, direction, parentState = null) {
             const targetState = parentState || CubeState.ROTATING;
             const finalState = parentState || CubeState.IDLE;
-            const logContext = isTestEnvironment ? (parentState === CubeState.SHUFFLING ? "SHUFFLE" : (parentState === CubeState.SOLVING ? "SOLVE" : "OTHER")) : "";
-
-            if (isTestEnvironment) console.log(`[Test ROTATE_FACE ENTRY (${logContext})] axis=${axis}, intLayer=${integerLayer}, dir=${direction}, parentState=${parentState}, currentCubeState=${currentCubeState}`);
 
             if (currentCubeState !== CubeState.IDLE && currentCubeState !== parentState) {
                 console.warn(`Rotation blocked: Cube state is ${currentCubeState}, expected IDLE or ${parentState}`);
@@ -199,7 +209,6 @@ function createRubiksCubeComponent() {
             if (currentCubeState !== parentState) currentCubeState = targetState;
 
             const layerCubiesData = cubies.filter(c => c.mesh?.userData?.logicalPositionInt?.[axis] === integerLayer);
-            if (isTestEnvironment) console.log(`[Test ROTATE_FACE CUBIES_FILTERED (${logContext})] count=${layerCubiesData.length}`);
 
             if (layerCubiesData.length === 0 && size > 1) console.warn(`${isTestEnvironment?'Test Env:':''}No cubies for layer ${integerLayer} axis ${axis} (Size ${size}).`);
             if (layerCubiesData.length === 0) {
@@ -208,12 +217,8 @@ function createRubiksCubeComponent() {
             }
 
             if (isTestEnvironment) {
-                layerCubiesData.forEach(cubieData => {
-                    if (isTestEnvironment) console.log(`[Test ROTATE_FACE PRE-UPDATE (${logContext})] Cubie: ${JSON.stringify(cubieData.mesh.userData.logicalPositionInt)}`);
-                    this._updateLogicalCoordinatesInt(cubieData, axis, direction, logContext);
-                });
+                layerCubiesData.forEach(cubieData => this._updateLogicalCoordinatesInt(cubieData, axis, direction));
                 if (currentCubeState === targetState && targetState !== parentState) currentCubeState = finalState;
-                if (isTestEnvironment) console.log(`[Test ROTATE_FACE EXIT_TEST_PATH (${logContext})] currentCubeState is now: ${currentCubeState}`);
                 return Promise.resolve();
             }
 
@@ -222,17 +227,44 @@ function createRubiksCubeComponent() {
             layerCubiesData.forEach(cData => pivot.attach(cData.mesh));
             const angle = (Math.PI/2)*direction;
             return new Promise(res => {
-                new TWEEN.Tween(pivot.rotation).to({[axis]:pivot.rotation[axis]+angle}, ROTATION_SPEED_MS).easing(TWEEN.Easing.Quadratic.InOut)
+                new TWEEN.Tween(pivot.rotation, tweens).to({[axis]:pivot.rotation[axis]+angle}, ROTATION_SPEED_MS).easing(TWEEN.Easing.Quadratic.InOut)
                 .onComplete(()=>{
                     pivot.updateMatrixWorld();
-                    layerCubiesData.forEach(cData => { const m=cData.mesh; cubeGroup.attach(m); if(m.userData?.logicalPositionInt){ const nFX=m.position.x/(CUBIE_GAP+CUBIE_SIZE),nFY=m.position.y/(CUBIE_GAP+CUBIE_SIZE),nFZ=m.position.z/(CUBIE_GAP+CUBIE_SIZE); m.userData.logicalPositionInt.x=Math.round(nFX*2);m.userData.logicalPositionInt.y=Math.round(nFY*2);m.userData.logicalPositionInt.z=Math.round(nFZ*2); m.userData.logicalPosition.x=nFX;m.userData.logicalPosition.y=nFY;m.userData.logicalPosition.z=nFZ;}else{console.error("Missing userData/logicalPositionInt in TWEEN",m);}});
+                    layerCubiesData.forEach(cData => { cubeGroup.attach(cData.mesh); this._updateLogicalPosition(cData.mesh, "TWEEN"); });
                     scene.remove(pivot);
                     if (currentCubeState === targetState && targetState !== parentState) currentCubeState = finalState;
                     res();
-                }).start(animationFrameId !== null ? undefined : 0);
+                }).start(component.now());
+                this.requestRender();
             });
         },
 
+        // Reads a cubie's logical coordinates back from where the rotation left its mesh
+        _updateLogicalPosition: function(m, contextLog) {
+            if(m.userData?.logicalPositionInt){ const nFX=m.position.x/(CUBIE_GAP+CUBIE_SIZE),nFY=m.position.y/(CUBIE_GAP+CUBIE_SIZE),nFZ=m.position.z/(CUBIE_GAP+CUBIE_SIZE); m.userData.logicalPositionInt.x=Math.round(nFX*2);m.userData.logicalPositionInt.y=Math.round(nFY*2);m.userData.logicalPositionInt.z=Math.round(nFZ*2); m.userData.logicalPosition.x=nFX;m.userData.logicalPosition.y=nFY;m.userData.logicalPosition.z=nFZ;}else{console.error(`Missing userData/logicalPositionInt in ${contextLog}`,m);}
+        },
+
+        // Turns the given faces at once, without animating, e.g. to restore a shared snapshot.
+        // They are recorded like shuffle moves, so Solve undoes them.
+        restoreMoves: function(moves) {
+            if (currentCubeState !== CubeState.IDLE) { console.warn(`Cannot restore moves: Cube state is ${currentCubeState}.`); return false; }
+            const invalid = moves.find(m => !['x','y','z'].includes(m.axis) || !Number.isInteger(m.layerIndex) || m.layerIndex < 0 || m.layerIndex >= size || Math.abs(m.direction) !== 1);
+            if (invalid) { console.error(`Cannot restore moves: ${JSON.stringify(invalid)} does not fit a ${size}x${size}x${size} cube.`); return false; }
+            moves.forEach(({ axis, layerIndex, direction }) => {
+                const integerLayer = -(size - 1) + (layerIndex * 2);
+                const layerCubiesData = cubies.filter(c => c.mesh?.userData?.logicalPositionInt?.[axis] === integerLayer);
+                const pivot = new THREE.Group(); scene.add(pivot);
+                layerCubiesData.forEach(cData => pivot.attach(cData.mesh));
+                pivot.rotation[axis] = (Math.PI/2)*direction;
+                pivot.updateMatrixWorld();
+                layerCubiesData.forEach(cData => { cubeGroup.attach(cData.mesh); this._updateLogicalPosition(cData.mesh, "RESTORE"); });
+                scene.remove(pivot);
+                shuffleSequence.push({ axis, layerIndex, direction });
+            });
+            this.requestRender();
+            return true;
+        },
+
         applyMove: async function(moveSpec, storeInSequence = false, parentState = null) {
             const { axis, layerIndex, direction } = moveSpec;
             const integerLayer = -(size - 1) + (layerIndex * 2);
@@ -244,16 +276,17 @@ function createRubiksCubeComponent() {
         shuffle: async function() {
             if (currentCubeState!==CubeState.IDLE){console.warn(`Shuffle blocked: state is ${currentCubeState}.`);return;}
             currentCubeState=CubeState.SHUFFLING;
+            let shuffleCompleted = true;
             try {
                 const numMoves = size * 10; const axes = ['x','y','z']; const dirs = [-1,1];
                 for (let i=0; i<numMoves; i++) {
-                    const ax=axes[Math.floor(Math.random()*axes.length)]; const lI=Math.floor(Math.random()*size); const dir=dirs[Math.floor(Math.random()*dirs.length)];
+                    const ax=random.pick(axes); const lI=random.int(size); const dir=random.pick(dirs);
                     const mS = {axis:ax, layerIndex:lI, direction:dir};
-                    if (isTestEnvironment) console.log(`[Test SHUFFLE_LOOP] Iteration ${i+1}/${numMoves}: moveSpec=${JSON.stringify(mS)}, currentCubeState=${currentCubeState}`);
                     await this.applyMove(mS, true, CubeState.SHUFFLING);
                     if (isTestEnvironment) { /* No delay */ } else { await delay(SHUFFLE_DELAY_MS); }
-                    if(currentCubeState!==CubeState.SHUFFLING){ console.error(`[Test SHUFFLE ERROR] State changed from SHUFFLING to ${currentCubeState} mid-shuffle after move ${i+1}. Aborting.`); break; }
+                    if(currentCubeState!==CubeState.SHUFFLING){ console.error(`Shuffle stopped: state changed from SHUFFLING to ${currentCubeState} mid-shuffle after move ${i+1}. Aborting.`); shuffleCompleted = false; break; }
                 }
+                if (shuffleCompleted) events?.emit('shuffled', { moves: numMoves, pending: shuffleSequence.length });
             } catch(e){console.error("Shuffle error during loop:",e);}
             finally{ currentCubeState=CubeState.IDLE; }
         },
@@ -267,18 +300,17 @@ function createRubiksCubeComponent() {
                 for (let i = movesToReverse.length - 1; i >= 0; i--) {
                     const originalMove = movesToReverse[i];
                     const reversedMoveSpec = { axis: originalMove.axis, layerIndex: originalMove.layerIndex, direction: -originalMove.direction };
-                    if (isTestEnvironment) console.log(`[Test SOLVE_LOOP] Iteration ${movesToReverse.length - i}/${movesToReverse.length}: moveSpec=${JSON.stringify(reversedMoveSpec)}, currentCubeState=${currentCubeState}`);
                     await this.applyMove(reversedMoveSpec, false, CubeState.SOLVING);
                     if (isTestEnvironment) { /* No delay */ } else { await delay(SHUFFLE_DELAY_MS); }
-                    if (currentCubeState !== CubeState.SOLVING) { console.error(`[Test SOLVE ERROR] State changed from SOLVING to ${currentCubeState} mid-solve. Aborting.`); solveCompleted = false; break; }
+                    if (currentCubeState !== CubeState.SOLVING) { console.error(`Solve stopped: state changed from SOLVING to ${currentCubeState} mid-solve. Aborting.`); solveCompleted = false; break; }
                 }
-                if (solveCompleted) { shuffleSequence = []; } else { console.warn("Solve interrupted, shuffle sequence not cleared."); }
+                if (solveCompleted) { shuffleSequence = []; events?.emit('solved', { moves: movesToReverse.length }); } else { console.warn("Solve interrupted, shuffle sequence not cleared."); }
             } catch (error) { console.error("Solve stopped due to error during move application:", error); solveCompleted = false; }
             finally { currentCubeState = CubeState.IDLE; }
         },
 
         changeSize: function(newSize) {
-            if (!Number.isInteger(newSize) || newSize < 2 || newSize > 5) { console.error(`Invalid size: ${newSize}.`); if (gui&&sizeController.size!==size){sizeController.size=size;gui.controllers.forEach(c=>c.property==='size'&&c.updateDisplay());} return; }
+            if (!isValidSize(newSize)) { console.error(`Invalid size: ${newSize}.`); if (gui&&sizeController.size!==size){sizeController.size=size;gui.controllers.forEach(c=>c.property==='size'&&c.updateDisplay());} return; }
             if (newSize === size) return;
             if (currentCubeState !== CubeState.IDLE && !isTestEnvironment) { console.warn(`Cannot change size: Cube state is ${currentCubeState}.`); if (gui&&sizeController.size!==size){sizeController.size=size;gui.controllers.forEach(c=>c.property==='size'&&c.updateDisplay());} return; }
             currentCubeState = CubeState.RESIZING;
@@ -288,31 +320,83 @@ function createRubiksCubeComponent() {
         },
 
         cleanup: function() {
-            if (animationFrameId) cancelAnimationFrame(animationFrameId); animationFrameId = null;
-            window.removeEventListener('resize', component.onWindowResize);
-            TWEEN.removeAll();
-            if (gui) { if (gui.domElement?.parentElement) { try { gui.domElement.parentElement.removeChild(gui.domElement); } catch (e) { console.warn("Could not remove GUI DOM element:", e); } } gui.destroy(); gui = null; }
-            if (controls) { controls.dispose(); controls = null; }
+            tweens.removeAll();
             component.clearCube();
-            if (scene && cubeGroup) { scene.remove(cubeGroup); cubeGroup = null; }
-            if (scene) { const pivot = scene.getObjectByName("pivotGroup"); if (pivot) scene.remove(pivot); scene.traverse(o => { if (o.geometry) o.geometry.dispose(); if (o.material) { if (Array.isArray(o.material)) o.material.forEach(m => m.dispose()); else if (o.material.dispose) o.material.dispose();}}); scene = null; }
-            if (renderer) { renderer.dispose(); if (renderer.domElement && containerElement?.contains(renderer.domElement)) { try { containerElement.removeChild(renderer.domElement); } catch (e) { console.warn("Could not remove renderer DOM element:", e); } } renderer = null; }
+            if (context) { context.dispose(); context = null; } // Stops rendering, destroys the GUI, disposes the lights and any pivot group and releases the renderer
+            scene = null; renderer = null; controls = null; gui = null; frame = null; cubeGroup = null;
             camera = null; cubies = []; containerElement = null;
             currentCubeState = CubeState.IDLE; shuffleSequence = [];
-            sizeController = { size: 3 }; size = 3; isTestEnvironment = false;
+            sizeController = { size: 3 }; size = 3; isTestEnvironment = false; events = null;
             animationSpeedFactor = 1.0; ROTATION_SPEED_MS = undefined; SHUFFLE_DELAY_MS = undefined;
         },
 
-        getState: function() { return { size, currentCubeState, cubies, shuffleSequence: [...shuffleSequence], currentRotationSpeed: ROTATION_SPEED_MS, currentShuffleDelay: SHUFFLE_DELAY_MS, animationSpeedFactor: animationSpeedFactor }; }
+        getState: function() { return { size, currentCubeState, cubies, shuffleSequence: [...shuffleSequence], currentRotationSpeed: ROTATION_SPEED_MS, currentShuffleDelay: SHUFFLE_DELAY_MS, animationSpeedFactor: animationSpeedFactor }; },
+
+        get scene() { return scene; },
+        get camera() { return camera; },
+        get renderer() { return renderer; },
+        get controls() { return controls; },
+        get gui() { return gui; },
+        get seed() { return random ? random.seed : null; }
     };
 
     Object.keys(component).forEach(key => { if (typeof component[key] === 'function') component[key] = component[key].bind(component); });
     return component;
 }
 
-function init(container, initialSize = 3, options = {}) {
+// Move history in share links: three characters per move, axis, layer and direction, e.g. 'x0+y2-'
+function formatMoves(moves) {
+    return moves.map(({ axis, layerIndex, direction }) => `${axis}${layerIndex}${direction > 0 ? '+' : '-'}`).join('');
+}
+
+function parseMoves(text) {
+    const moves = String(text).match(/[xyz]\d[+-]/g) ?? [];
+    if (moves.join('') !== String(text)) throw new Error(`Invalid move history "${text}".`);
+    return moves.map(move => ({ axis: move[0], layerIndex: Number(move[1]), direction: move[2] === '+' ? 1 : -1 }));
+}
+
+// Demo-contract entry point used by main.js; options.size selects the initial cube size.
+// Publishes 'shuffled' ({ moves, pending }) and 'solved' ({ moves }) through options.events,
+// where pending and moves count the turns Solve has left to undo or just undid.
+function init(container, options = {}) {
     const rubiksCubeComponent = createRubiksCubeComponent();
-    return rubiksCubeComponent.init(container, initialSize, options);
+    rubiksCubeComponent.init(container, options.size ?? DEFAULT_SIZE, options); // Out-of-range sizes fall back to the default
+
+    // Actions for the shell and embedding hosts fail while the cube is busy, rather than being skipped
+    const whenIdle = (name, action) => async () => {
+        const { currentCubeState } = rubiksCubeComponent.getState();
+        if (currentCubeState !== CubeState.IDLE) {
+            throw new DOMException(`Cannot ${name}: the cube is ${currentCubeState}.`, 'InvalidStateError');
+        }
+        await action();
+    };
+    return {
+        dispose: rubiksCubeComponent.cleanup,
+        pause: rubiksCubeComponent.pause,
+        resize: rubiksCubeComponent.requestRender, // The shell has resized the renderer, which clears the canvas
+        resume: rubiksCubeComponent.resume,
+        // Plain snapshot for share links: the size and the moves Solve would undo
+        getState: () => {
+            const { size, shuffleSequence } = rubiksCubeComponent.getState();
+            return { size, moves: formatMoves(shuffleSequence) };
+        },
+        setState: (state) => {
+            if (state.size !== undefined) rubiksCubeComponent.changeSize(state.size);
+            if (state.moves) rubiksCubeComponent.restoreMoves(parseMoves(state.moves));
+        },
+        shuffle: rubiksCubeComponent.shuffle,
+        solve: rubiksCubeComponent.solve,
+        actions: {
+            shuffle: whenIdle('shuffle', rubiksCubeComponent.shuffle),
+            solve: whenIdle('solve', rubiksCubeComponent.solve),
+        },
+        get scene() { return rubiksCubeComponent.scene; },
+        get camera() { return rubiksCubeComponent.camera; },
+        get renderer() { return rubiksCubeComponent.renderer; },
+        get controls() { return rubiksCubeComponent.controls; },
+        get gui() { return rubiksCubeComponent.gui; },
+        get seed() { return rubiksCubeComponent.seed; }
+    };
 }
 
 export { init, createRubiksCubeComponent };
@@ -1,7 +1,8 @@
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { createRubiksCubeComponent } from './rubiks-cube.js'; // Import the creator function
+import { createRubiksCubeComponent, init } from './rubiks-cube.js'; // Import the creator function
 import TWEEN from '@tweenjs/tween.js';
+import { createEventBus } from '../utils/event-bus.js';
 
 // Helper to get a simplified, sortable state representation based on INTEGER logical positions
 function getLogicalStateInt(cubies) {
@@ -219,6 +220,17 @@ describe('Rubiks Cube Component Logic (Integer Coordinates)', () => {
             expect(stateAfter.currentCubeState).toBe(CubeState.IDLE);
         });
 
+         it('init should fall back to size 3 for out-of-range or non-numeric sizes', () => {
+             const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+             [200, 1, 3.5, 'abc', NaN, null].forEach(badSize => {
+                 const instance = init(container, { size: badSize, isTest: true });
+                 expect(instance.getState().size).toBe(3);
+                 instance.dispose();
+             });
+             expect(warnSpy).toHaveBeenCalledWith('Invalid cube size 200, using 3. Sizes go from 2 to 5.');
+             expect(warnSpy).toHaveBeenCalledWith('Invalid cube size "abc", using 3. Sizes go from 2 to 5.');
+         });
+
          it('should reject invalid sizes', () => {
              // Test unchanged, functional check
             const initialSize = componentInstance.getState().size;
@@ -463,4 +475,72 @@ describe('Rubiks Cube Component Logic (Integer Coordinates)', () => {
          });
     });
 
+    describe('Events', () => {
+        let events;
+
+        beforeEach(() => {
+            events = createEventBus();
+            cleanupFunction();
+            componentInstance = createRubiksCubeComponent();
+            cleanupFunction = componentInstance.init(container, 3, { ...testOptions, events });
+        });
+
+        it('should publish shuffled and solved with the number of turns', async () => {
+            const shuffled = vi.fn();
+            const solved = vi.fn();
+            events.on('shuffled', shuffled);
+            events.on('solved', solved);
+
+            await componentInstance.shuffle();
+            expect(shuffled).toHaveBeenCalledWith({ moves: 30, pending: 30 }, 'shuffled');
+            expect(solved).not.toHaveBeenCalled();
+
+            await componentInstance.solve();
+            expect(solved).toHaveBeenCalledWith({ moves: 30 }, 'solved');
+        });
+
+        it('should not publish solved when there was nothing to solve', async () => {
+            const solved = vi.fn();
+            events.on('solved', solved);
+            await componentInstance.solve();
+            expect(solved).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Restoring Moves', () => {
+         it('restoreMoves should turn the faces at once and let solve undo them', async () => {
+             const solvedMap = getCubiePositionMap(componentInstance.getState().cubies);
+             const moves = [{ axis: 'x', layerIndex: 0, direction: 1 }, { axis: 'y', layerIndex: 2, direction: -1 }];
+
+             expect(componentInstance.restoreMoves(moves)).toBe(true);
+             expect(componentInstance.getState().shuffleSequence).toEqual(moves);
+             expect(getCubiePositionMap(componentInstance.getState().cubies)).not.toEqual(solvedMap);
+
+             await componentInstance.solve();
+             expect(getCubiePositionMap(componentInstance.getState().cubies)).toEqual(solvedMap);
+         });
+
+         it('restoreMoves should refuse moves that do not fit the cube', () => {
+             vi.spyOn(console, 'error').mockImplementation(() => {});
+             expect(componentInstance.restoreMoves([{ axis: 'x', layerIndex: 3, direction: 1 }])).toBe(false);
+             expect(componentInstance.getState().shuffleSequence).toHaveLength(0);
+         });
+
+         it('the demo instance should round-trip its size and moves as plain state', () => {
+             const other = document.createElement('div');
+             document.body.appendChild(other);
+             const first = init(other, { size: 2, isTest: true });
+             first.setState({ moves: 'x0+z1-' });
+             const state = first.getState();
+             first.dispose();
+
+             const second = init(other, { size: 2, isTest: true });
+             second.setState(state);
+             expect(second.getState()).toEqual({ size: 2, moves: 'x0+z1-' });
+             expect(JSON.parse(JSON.stringify(state))).toEqual(state);
+             second.dispose();
+             other.remove();
+         });
+    });
+
 }); // End of main describe block
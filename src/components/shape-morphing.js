@@ -1,31 +1,25 @@
 
 import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { createDemoContext } from '../utils/demo-context.js';
 
 /**
  * Initializes the shape morphing demo.
  *
  * @param {HTMLElement} container The container element to render the demo into.
- * @returns {Function} A cleanup function to stop the animation and dispose resources.
+ * @returns {{ dispose: Function, pause: Function, resume: Function, scene: THREE.Scene, camera: THREE.Camera, renderer: THREE.WebGLRenderer, controls: OrbitControls }}
+ *   The demo instance; `dispose` stops the animation and disposes resources.
  */
-export function init(container) {
+export function init(container, options = {}) {
   if (!container) {
     console.error('Shape Morphing: Container element not provided.');
-    return () => {}; // Return a no-op cleanup function
+    return { dispose: () => {} }; // Return a no-op demo instance
   }
 
   let isAnimating = true;
-  let animationFrameId;
 
-  // Basic Three.js Setup
-  const scene = new THREE.Scene();
-  const camera = new THREE.PerspectiveCamera(75, container.clientWidth / container.clientHeight, 0.1, 1000);
-  const renderer = new THREE.WebGLRenderer({ antialias: true });
-  renderer.setSize(container.clientWidth, container.clientHeight);
-  renderer.setPixelRatio(window.devicePixelRatio);
-  container.appendChild(renderer.domElement);
-
-  camera.position.z = 3;
+  // Basic Three.js Setup (no background, so the page shows through)
+  const context = createDemoContext(container, { background: null, cameraPosition: [0, 0, 3], loop: options.loop });
+  const { scene, camera, renderer, controls } = context;
 
   // Lights
   const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
@@ -76,21 +70,14 @@ export function init(container) {
   const mesh = new THREE.Mesh(baseGeometry, material);
   scene.add(mesh);
 
-  // Controls
-  const controls = new OrbitControls(camera, renderer.domElement);
-  controls.enableDamping = true;
-  controls.dampingFactor = 0.05;
-
-  // Animation Loop
-  function animate() {
+  // Animation Loop, called by the render loop with the seconds the demo has been running
+  function animate(delta, elapsed) {
     if (!isAnimating) return;
 
-    animationFrameId = requestAnimationFrame(animate);
-
     controls.update();
 
     // Calculate morph influence (oscillates between 0 and 1)
-    const influence = (Math.sin(Date.now() * 0.001) + 1) / 2;
+    const influence = (Math.sin(elapsed) + 1) / 2;
     if (mesh.morphTargetInfluences) { // Ensure morphTargetInfluences exists
         mesh.morphTargetInfluences[0] = influence;
     }
@@ -98,56 +85,21 @@ export function init(container) {
     renderer.render(scene, camera);
   }
 
-  // Handle window resize
-  const handleResize = () => {
-      if (!container) return; // Check if container still exists
-      const width = container.clientWidth;
-      const height = container.clientHeight;
-      camera.aspect = width / height;
-      camera.updateProjectionMatrix();
-      renderer.setSize(width, height);
-  };
-  window.addEventListener('resize', handleResize);
-
   // Start animation
-  animate();
+  const frame = context.animate(animate);
 
   // Cleanup function
   function cleanup() {
     isAnimating = false;
-    if (animationFrameId) {
-        cancelAnimationFrame(animationFrameId);
-    }
-    window.removeEventListener('resize', handleResize);
-
-    if (controls) controls.dispose();
-    if (baseGeometry) baseGeometry.dispose();
-    if (material) material.dispose();
-    if (renderer) {
-        if (renderer.domElement && renderer.domElement.parentNode === container) {
-            container.removeChild(renderer.domElement);
-        }
-        renderer.dispose();
-    }
-
-    // Clean up scene children if necessary (meshes, lights, etc.)
-    // Three.js doesn't automatically dispose of everything in the scene
-    while(scene.children.length > 0){
-        const object = scene.children[0];
-        if(object.geometry) object.geometry.dispose();
-        if(object.material) {
-            // If the material is an array, dispose each element
-            if (Array.isArray(object.material)) {
-                object.material.forEach(material => material.dispose());
-            } else {
-                object.material.dispose();
-            }
-        }
-        scene.remove(object);
-    }
+    context.dispose(); // Disposes the mesh and lights and releases the renderer
 
     console.log('Shape Morphing: Cleaned up resources.');
   }
 
-  return cleanup;
+  return {
+    dispose: cleanup,
+    pause: () => frame.pause(),
+    resume: () => frame.resume(),
+    scene, camera, renderer, controls,
+  };
 }
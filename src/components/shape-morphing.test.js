@@ -37,10 +37,12 @@ describe('Shape Morphing Component', () => {
     vi.restoreAllMocks();
   });
 
-  it('should initialize successfully and return a cleanup function', () => {
+  it('should initialize successfully and return a demo instance with a dispose function', () => {
     expect(container).toBeDefined();
-    cleanup = init(container);
+    const instance = init(container);
+    cleanup = instance.dispose;
     expect(cleanup).toBeInstanceOf(Function);
+    expect(instance.scene).toBeInstanceOf(THREE.Scene);
     // Check if a canvas element was created
     const canvas = container.querySelector('canvas');
     expect(canvas).not.toBeNull();
@@ -50,7 +52,7 @@ describe('Shape Morphing Component', () => {
   });
 
   it('should log an error and return a no-op cleanup if container is not provided', () => {
-    const noOpCleanup = init(null);
+    const noOpCleanup = init(null).dispose;
     expect(console.error).toHaveBeenCalledWith('Shape Morphing: Container element not provided.');
     expect(noOpCleanup).toBeInstanceOf(Function);
     // Check that calling the no-op cleanup doesn't throw
@@ -60,13 +62,13 @@ describe('Shape Morphing Component', () => {
   });
 
   it('should execute the cleanup function without errors and log message', () => {
-    cleanup = init(container);
+    cleanup = init(container).dispose;
     expect(() => cleanup()).not.toThrow();
     expect(console.log).toHaveBeenCalledWith('Shape Morphing: Cleaned up resources.');
   });
 
   it('should remove the canvas element upon cleanup', () => {
-    cleanup = init(container);
+    cleanup = init(container).dispose;
     const canvas = container.querySelector('canvas');
     expect(canvas).not.toBeNull();
     cleanup();
@@ -77,7 +79,7 @@ describe('Shape Morphing Component', () => {
       // Mock requestAnimationFrame to prevent infinite loop in test
       vi.spyOn(window, 'requestAnimationFrame').mockImplementation(() => {});
 
-      cleanup = init(container);
+      cleanup = init(container).dispose;
 
       // Need a way to access the scene or mesh. Modify init or return scene?
       // For now, let's assume init internally creates the scene and adds the mesh.
@@ -93,27 +95,15 @@ describe('Shape Morphing Component', () => {
       window.requestAnimationFrame.mockRestore();
   });
 
-    it('should remove resize listener on cleanup', () => {
+    it('should leave resizing to the shell instead of listening to window resize', () => {
         const addSpy = vi.spyOn(window, 'addEventListener');
-        const removeSpy = vi.spyOn(window, 'removeEventListener');
 
-        cleanup = init(container);
+        cleanup = init(container).dispose;
 
-        // Check if 'resize' listener was added
-        expect(addSpy).toHaveBeenCalledWith('resize', expect.any(Function));
-        // Find the specific handler function added for 'resize'
-        const resizeCall = addSpy.mock.calls.find(call => call[0] === 'resize');
-        const handler = resizeCall ? resizeCall[1] : undefined;
-        expect(handler).toBeDefined(); // Ensure the handler was found
+        // The demo adapter watches the container, so the demo must not add its own handler
+        expect(addSpy).not.toHaveBeenCalledWith('resize', expect.any(Function));
 
-        cleanup();
-
-        // Check if 'resize' listener was removed with the same handler
-        expect(removeSpy).toHaveBeenCalledWith('resize', handler);
-
-        // Restore spies
         addSpy.mockRestore();
-        removeSpy.mockRestore();
     });
 
     // Potential future test: Check if morphTargetInfluences are being updated.
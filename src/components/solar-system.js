@@ -1,26 +1,13 @@
 import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { createDemoContext } from '../utils/demo-context.js';
 
-export function init(container) {
-    let scene, camera, renderer, clock, controls, animationFrameId;
-    const planets = []; // To store pivot objects for cleanup
-    const orbitMeshes = []; // To store orbit meshes for cleanup
-
-    // Scene setup
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x1a1a1a);
-    clock = new THREE.Clock();
-
-    // Camera setup
-    camera = new THREE.PerspectiveCamera(75, container.clientWidth / container.clientHeight, 0.1, 1000);
-    camera.position.z = 35; // Adjusted for larger system
-    camera.position.y = 15; // Adjusted for larger system
-
-    // Renderer setup
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(container.clientWidth, container.clientHeight);
-    renderer.setPixelRatio(window.devicePixelRatio);
-    container.appendChild(renderer.domElement);
+export function init(container, options = {}) {
+    const context = createDemoContext(container, {
+        cameraPosition: [0, 15, 35], // Adjusted for larger system
+        loop: options.loop,
+    });
+    const { scene, camera, renderer, controls } = context;
+    const planets = []; // Pivot objects, turned by the animation
 
     // Lighting
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
@@ -61,7 +48,7 @@ export function init(container) {
         pivot.userData.speed = data.speed; // Store speed for animation
 
         scene.add(pivot);
-        planets.push(pivot); // Add pivot to array for animation and cleanup
+        planets.push(pivot); // Add pivot to array for animation
 
         // Orbit Visual
         const orbitRadius = data.orbitalRadius;
@@ -70,18 +57,10 @@ export function init(container) {
         const orbitMesh = new THREE.Mesh(orbitGeometry, orbitMaterial);
         orbitMesh.rotation.x = Math.PI / 2; // Rotate to lie flat on the XZ plane
         scene.add(orbitMesh);
-        orbitMeshes.push(orbitMesh); // Add orbit mesh for cleanup
     });
 
-    // Controls
-    controls = new OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true;
-
-    // Animation loop
-    function animate() {
-        animationFrameId = requestAnimationFrame(animate);
-
-        const elapsedTime = clock.getElapsedTime();
+    // Animation loop, called by the render loop with the seconds the demo has been running
+    function animate(delta, elapsedTime) {
 
         // Animate planets
         planets.forEach(pivot => {
@@ -92,60 +71,19 @@ export function init(container) {
         renderer.render(scene, camera);
     }
 
-    // Handle Resize
-    function onWindowResize() {
-        camera.aspect = container.clientWidth / container.clientHeight;
-        camera.updateProjectionMatrix();
-        renderer.setSize(container.clientWidth, container.clientHeight);
-    }
-    window.addEventListener('resize', onWindowResize);
-
     // Start animation
-    animate();
+    const frame = context.animate(animate);
 
-    // Cleanup function
+    // Cleanup function; everything added to the scene is disposed with it, however it got there
     function cleanup() {
         console.log('Cleaning up Solar System demo');
-        cancelAnimationFrame(animationFrameId);
-        window.removeEventListener('resize', onWindowResize);
-
-        controls.dispose();
-
-        // Dispose geometries and materials
-        sunGeometry.dispose();
-        sunMaterial.dispose();
-
-        planets.forEach(pivot => {
-            const planetMesh = pivot.children[0]; // Assuming the first child is the planet mesh
-            if (planetMesh && planetMesh.geometry) {
-                planetMesh.geometry.dispose();
-            }
-            if (planetMesh && planetMesh.material) {
-                planetMesh.material.dispose();
-            }
-            scene.remove(pivot); // Remove pivot from scene
-        });
-
-        // Dispose orbit geometries and materials
-        orbitMeshes.forEach(orbitMesh => {
-            if (orbitMesh.geometry) {
-                orbitMesh.geometry.dispose();
-            }
-            if (orbitMesh.material) {
-                orbitMesh.material.dispose();
-            }
-            scene.remove(orbitMesh); // Remove orbit mesh from scene
-        });
-
-        scene.remove(sun);
-        scene.remove(ambientLight);
-        scene.remove(directionalLight);
-
-        renderer.dispose();
-        if (renderer.domElement.parentNode === container) {
-            container.removeChild(renderer.domElement);
-        }
+        context.dispose(); // Also releases the renderer, which removes the canvas
     }
 
-    return cleanup;
+    return {
+        dispose: cleanup,
+        pause: () => frame.pause(),
+        resume: () => frame.resume(),
+        scene, camera, renderer, controls,
+    };
 }
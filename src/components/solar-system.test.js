@@ -25,7 +25,7 @@ describe('Solar System Component', () => {
         document.body.appendChild(container);
         // Mock requestAnimationFrame for non-browser/headless environments if needed
         // vi.stubGlobal('requestAnimationFrame', (cb) => setTimeout(cb, 16)); // Example mock
-        cleanupFn = init(container); // Assign the returned cleanup function
+        cleanupFn = init(container).dispose; // Assign the returned dispose function
     });
 
     afterEach(() => {
@@ -41,9 +41,9 @@ describe('Solar System Component', () => {
         // vi.restoreAllMocks(); // Restore any mocks
     });
 
-    it('should initialize without errors and return a cleanup function', () => { // Modified test description
+    it('should initialize without errors and return a dispose function', () => { // Modified test description
         expect(cleanupFn).toBeDefined();
-        // Check that the returned value is a function
+        // Check that the returned dispose is a function
         expect(cleanupFn).toBeInstanceOf(Function);
         // Removed checks for scene, camera, renderer, animate as they are not returned
     });
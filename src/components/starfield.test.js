@@ -37,10 +37,10 @@ describe('Starfield Component', () => {
     scene = null; // Reset scene reference
   });
 
-  it('should initialize successfully and return cleanup function and scene object', () => {
+  it('should initialize successfully and return dispose function and scene object', () => {
     expect(container).toBeDefined();
     const result = init(container);
-    cleanup = result.cleanup;
+    cleanup = result.dispose;
     scene = result.scene; // Store scene reference
     expect(cleanup).toBeInstanceOf(Function);
     expect(scene).toBeInstanceOf(THREE.Scene); // Check if scene is a THREE.Scene
@@ -52,7 +52,7 @@ describe('Starfield Component', () => {
 
   it('should set the scene background to black', () => {
     const result = init(container);
-    cleanup = result.cleanup;
+    cleanup = result.dispose;
     scene = result.scene;
     expect(scene).not.toBeNull();
     // Check background color
@@ -63,7 +63,7 @@ describe('Starfield Component', () => {
 
   it('should add a THREE.Points object to the scene', () => {
     const result = init(container);
-    cleanup = result.cleanup;
+    cleanup = result.dispose;
     scene = result.scene;
     expect(scene).not.toBeNull();
     let pointsObject = null;
@@ -84,7 +84,7 @@ describe('Starfield Component', () => {
 
   it('should append a canvas element to the container', () => {
     const result = init(container);
-    cleanup = result.cleanup; // Assign cleanup
+    cleanup = result.dispose; // Assign cleanup
     const canvas = container.querySelector('canvas');
     expect(canvas).toBeInstanceOf(HTMLCanvasElement);
     expect(container.contains(canvas)).toBe(true);
@@ -92,13 +92,13 @@ describe('Starfield Component', () => {
 
   it('should execute the cleanup function without errors', () => {
     const result = init(container);
-    cleanup = result.cleanup; // Assign cleanup
+    cleanup = result.dispose; // Assign cleanup
     expect(() => cleanup()).not.toThrow();
   });
 
   it('should remove the canvas element upon cleanup', () => {
     const result = init(container);
-    cleanup = result.cleanup; // Assign cleanup
+    cleanup = result.dispose; // Assign cleanup
     const canvas = container.querySelector('canvas');
     expect(canvas).not.toBeNull();
     cleanup();
@@ -108,59 +108,69 @@ describe('Starfield Component', () => {
   it('should log an error and return a no-op cleanup and null scene if container is not provided', () => {
     const result = init(null);
     expect(console.error).toHaveBeenCalledWith('Container element not provided for Starfield');
-    expect(result.cleanup).toBeInstanceOf(Function);
+    expect(result.dispose).toBeInstanceOf(Function);
     expect(result.scene).toBeNull();
     // Check that calling the no-op cleanup doesn't throw
-    expect(() => result.cleanup()).not.toThrow();
+    expect(() => result.dispose()).not.toThrow();
     // Ensure no canvas was added to body accidentally
     expect(document.body.querySelector('canvas')).toBeNull();
   });
 
-  it('should warn and cleanup previous instance if initialized multiple times', () => {
-    // First initialization
+  it('should run independent instances side by side', () => {
+    const otherContainer = document.createElement('div');
+    document.body.appendChild(otherContainer);
+
     const result1 = init(container);
-    const cleanup1 = result1.cleanup; // Extract cleanup
-    const scene1 = result1.scene; // Extract scene
-    const canvas1 = container.querySelector('canvas');
-    expect(canvas1).not.toBeNull();
-    expect(scene1).toBeInstanceOf(THREE.Scene);
-    expect(console.warn).not.toHaveBeenCalled();
+    const result2 = init(otherContainer);
+    cleanup = result2.dispose; // The afterEach disposes the second instance
+    scene = result2.scene;
 
-    // Second initialization
-    const result2 = init(container); // Assign to the global cleanup for afterEach
-    cleanup = result2.cleanup; // Update global cleanup
-    scene = result2.scene; // Update global scene
-    const canvas2 = container.querySelector('canvas');
-    expect(console.warn).toHaveBeenCalledWith('Starfield already initialized. Cleaning up previous instance.');
-    expect(canvas2).not.toBeNull();
-    expect(scene).toBeInstanceOf(THREE.Scene);
-    expect(canvas2).not.toBe(canvas1); // Should be a new canvas
-    expect(container.childElementCount).toBe(1); // Only one canvas should exist
-
-    // Ensure original cleanup function was called implicitly (check if canvas1 is gone - tricky, but canvas2 !== canvas1 implies it)
-    // and the new cleanup works
-    expect(() => cleanup()).not.toThrow();
+    expect(console.warn).not.toHaveBeenCalled();
+    expect(result1.scene).toBeInstanceOf(THREE.Scene);
+    expect(scene).not.toBe(result1.scene);
+    expect(result2.renderer).not.toBe(result1.renderer);
+    expect(container.querySelector('canvas')).toBe(result1.renderer.domElement);
+    expect(otherContainer.querySelector('canvas')).toBe(result2.renderer.domElement);
+
+    // Disposing the first instance leaves the second one intact
+    const objectCount = scene.children.length;
+    result1.dispose();
     expect(container.querySelector('canvas')).toBeNull();
+    expect(otherContainer.querySelector('canvas')).toBe(result2.renderer.domElement);
+    expect(scene.children.length).toBe(objectCount);
+    expect(() => result2.renderer.render(scene, result2.camera)).not.toThrow();
+
+    otherContainer.remove();
   });
 
-  it('should remove resize listener on cleanup', () => {
+  it('should place the stars the same way for the same seed', () => {
+    const positionsOf = result => Array.from(result.scene.children.find(child => child.isPoints).geometry.attributes.position.array);
+    const otherContainer = document.createElement('div');
+    document.body.appendChild(otherContainer);
+
+    const first = init(container, { seed: 42 });
+    const second = init(otherContainer, { seed: '42' });
+    expect(first.seed).toBe(42);
+    expect(positionsOf(second)).toEqual(positionsOf(first));
+    second.dispose();
+
+    const third = init(otherContainer, { seed: 43 });
+    expect(positionsOf(third)).not.toEqual(positionsOf(first));
+    third.dispose();
+    first.dispose();
+    otherContainer.remove();
+  });
+
+  it('should leave resizing to the shell instead of listening to window resize', () => {
     const addSpy = vi.spyOn(window, 'addEventListener');
-    const removeSpy = vi.spyOn(window, 'removeEventListener');
 
-    const { cleanup: localCleanup } = init(container);
+    const { dispose: localCleanup } = init(container);
 
-    // Check if 'resize' listener was added
-    expect(addSpy).toHaveBeenCalledWith('resize', expect.any(Function));
-    const handler = addSpy.mock.calls.find(call => call[0] === 'resize')[1];
+    // The demo adapter watches the container, so the demo must not add its own handler
+    expect(addSpy).not.toHaveBeenCalledWith('resize', expect.any(Function));
 
     localCleanup();
-
-    // Check if 'resize' listener was removed with the same handler
-    expect(removeSpy).toHaveBeenCalledWith('resize', handler);
-
-    // Restore spies
     addSpy.mockRestore();
-    removeSpy.mockRestore();
     cleanup = () => {}; // Ensure global cleanup is reset if needed
   });
 });
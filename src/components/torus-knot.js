@@ -1,141 +1,70 @@
 import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-
-let scene, camera, renderer, mesh, controls, ambientLight, directionalLight;
-let animationFrameId;
-let resizeHandler = null;
-
-function setupScene(container) {
-    // Scene
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x1a1a1a); // Standardized dark background
-
-    // Camera
-    camera = new THREE.PerspectiveCamera(75, container.clientWidth / container.clientHeight, 0.1, 1000);
-    camera.position.z = 5;
-
-    // Renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(container.clientWidth, container.clientHeight);
-    renderer.setPixelRatio(window.devicePixelRatio);
-    container.appendChild(renderer.domElement);
-
-    // Controls
-    controls = new OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true;
-    controls.dampingFactor = 0.05;
-    controls.screenSpacePanning = false;
-    controls.minDistance = 2;
-    controls.maxDistance = 10;
-
-    // Geometry and Material
-    const geometry = new THREE.TorusKnotGeometry(1, 0.4, 100, 16);
-    const material = new THREE.MeshNormalMaterial(); // Simple material
-    // Or use MeshStandardMaterial for more realistic lighting:
-    // const material = new THREE.MeshStandardMaterial({ color: 0x0077ff, roughness: 0.5, metalness: 0.5 });
-
-    // Mesh
-    mesh = new THREE.Mesh(geometry, material);
-    scene.add(mesh);
-
-    // Lights
-    ambientLight = new THREE.AmbientLight(0xffffff, 0.5); // Soft white light
-    scene.add(ambientLight);
-
-    directionalLight = new THREE.DirectionalLight(0xffffff, 1);
-    directionalLight.position.set(5, 5, 5).normalize();
-    scene.add(directionalLight);
-
-    // Resize handler
-    resizeHandler = () => onWindowResize(container);
-    window.addEventListener('resize', resizeHandler);
-}
-
-function onWindowResize(container) {
-    if (!camera || !renderer) return;
-    camera.aspect = container.clientWidth / container.clientHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(container.clientWidth, container.clientHeight);
-}
-
-function animate() {
-    animationFrameId = requestAnimationFrame(animate);
-
-    if (!mesh || !controls || !renderer || !scene || !camera) return;
-
-    // Rotate the torus knot
-    mesh.rotation.x += 0.005;
-    mesh.rotation.y += 0.005;
-
-    controls.update();
-    renderer.render(scene, camera);
-}
+import { createDemoContext } from '../utils/demo-context.js';
 
 // Export the init function
-export function init(container) {
+export function init(container, options = {}) {
     if (!container) {
         console.error("Initialization failed: container element not provided.");
-        return () => { console.log("No cleanup needed for failed init."); };
+        return { dispose: () => { console.log("No cleanup needed for failed init."); } };
+    }
+
+    const context = createDemoContext(container, {
+        cameraPosition: [0, 0, 5],
+        controls: { screenSpacePanning: false, minDistance: 2, maxDistance: 10 },
+        loop: options.loop,
+    });
+    const { scene, camera, renderer, controls } = context;
+    let mesh, frame;
+
+    function setupScene() {
+        // Geometry and Material
+        const geometry = new THREE.TorusKnotGeometry(1, 0.4, 100, 16);
+        const material = new THREE.MeshNormalMaterial(); // Simple material
+        // Or use MeshStandardMaterial for more realistic lighting:
+        // const material = new THREE.MeshStandardMaterial({ color: 0x0077ff, roughness: 0.5, metalness: 0.5 });
+
+        // Mesh
+        mesh = new THREE.Mesh(geometry, material);
+        scene.add(mesh);
+
+        // Lights
+        const ambientLight = new THREE.AmbientLight(0xffffff, 0.5); // Soft white light
+        scene.add(ambientLight);
+
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
+        directionalLight.position.set(5, 5, 5).normalize();
+        scene.add(directionalLight);
     }
+
+    function animate(delta) {
+        // Rotate the torus knot (radians per second)
+        mesh.rotation.x += 0.3 * delta;
+        mesh.rotation.y += 0.3 * delta;
+
+        controls.update();
+        renderer.render(scene, camera);
+    }
+
     try {
-        setupScene(container);
-        animate();
+        setupScene();
+        frame = context.animate(animate);
     } catch (error) {
         console.error("Error during torus knot initialization:", error);
-        // Perform partial cleanup if setup failed midway
-        if (renderer && renderer.domElement && renderer.domElement.parentNode === container) {
-            container.removeChild(renderer.domElement);
-        }
-        if (resizeHandler) {
-            window.removeEventListener('resize', resizeHandler);
-        }
-        return () => { console.log("Cleanup after failed init."); };
+        context.dispose(); // Partial cleanup if setup failed midway
+        return { dispose: () => { console.log("Cleanup after failed init."); } };
     }
 
-    // Return the cleanup function specific to this instance
-    return function cleanup() {
+    // Cleanup function specific to this instance
+    function cleanup() {
         console.log("Cleaning up torus knot component...");
-        cancelAnimationFrame(animationFrameId);
-
-        if (resizeHandler) {
-            window.removeEventListener('resize', resizeHandler);
-            resizeHandler = null;
-        }
-
-        if (controls) {
-            controls.dispose();
-            controls = null;
-        }
-
-        if (mesh) {
-            if (mesh.geometry) mesh.geometry.dispose();
-            if (mesh.material) {
-                if (Array.isArray(mesh.material)) {
-                    mesh.material.forEach(mat => mat.dispose());
-                } else {
-                    mesh.material.dispose();
-                }
-            }
-            if (scene) scene.remove(mesh);
-            mesh = null;
-        }
-
-        if (ambientLight && scene) scene.remove(ambientLight);
-        if (directionalLight && scene) scene.remove(directionalLight);
-        ambientLight = null;
-        directionalLight = null;
-
-        if (renderer) {
-            if (renderer.domElement && renderer.domElement.parentNode) {
-                 renderer.domElement.parentNode.removeChild(renderer.domElement);
-            }
-            renderer.dispose();
-            renderer = null;
-        }
-
-        scene = null;
-        camera = null;
-        animationFrameId = null;
+        context.dispose(); // Also releases the renderer, which removes the canvas
         console.log("Torus knot cleanup finished.");
+    }
+
+    return {
+        dispose: cleanup,
+        pause: () => frame.pause(),
+        resume: () => frame.resume(),
+        scene, camera, renderer, controls,
     };
 }
@@ -33,16 +33,18 @@ describe('Torus Knot Component', () => {
     vi.restoreAllMocks();
   });
 
-  it('should initialize successfully and return a cleanup function', () => {
+  it('should initialize successfully and return a demo instance with a dispose function', () => {
     expect(container).toBeDefined();
-    cleanup = init(container);
+    const instance = init(container);
+    cleanup = instance.dispose;
     expect(cleanup).toBeInstanceOf(Function);
+    expect(instance.scene).toBeInstanceOf(THREE.Scene);
     // Check if initialization logged any errors
     expect(console.error).not.toHaveBeenCalled();
   });
 
   it('should append a canvas element to the container upon initialization', () => {
-    cleanup = init(container);
+    cleanup = init(container).dispose;
     const canvas = container.querySelector('canvas');
     expect(canvas).toBeInstanceOf(HTMLCanvasElement);
     expect(container.contains(canvas)).toBe(true);
@@ -53,7 +55,7 @@ describe('Torus Knot Component', () => {
   // These tests focus on the observable effects (canvas creation/removal, cleanup execution).
 
   it('should execute the cleanup function without errors', () => {
-    cleanup = init(container);
+    cleanup = init(container).dispose;
     // Ensure canvas exists before cleanup
     const canvas = container.querySelector('canvas');
     expect(canvas).not.toBeNull();
@@ -63,7 +65,7 @@ describe('Torus Knot Component', () => {
   });
 
   it('should remove the canvas element upon cleanup', () => {
-    cleanup = init(container);
+    cleanup = init(container).dispose;
     const canvas = container.querySelector('canvas');
     expect(canvas).not.toBeNull(); // Canvas should be there initially
     cleanup();
@@ -71,8 +73,8 @@ describe('Torus Knot Component', () => {
     expect(container.querySelector('canvas')).toBeNull();
   });
 
-   it('should log an error and return a no-op function if container is not provided', () => {
-    const noopCleanup = init(null);
+   it('should log an error and return a no-op dispose function if container is not provided', () => {
+    const noopCleanup = init(null).dispose;
     // Check the specific error message logged in torus-knot.js
     expect(console.error).toHaveBeenCalledWith('Initialization failed: container element not provided.');
     expect(noopCleanup).toBeInstanceOf(Function);
@@ -37,10 +37,10 @@ describe('Wireframe Sphere Component', () => {
     vi.restoreAllMocks();
   });
 
-  it('should initialize successfully and return cleanup function and scene object', () => {
+  it('should initialize successfully and return dispose function and scene object', () => {
     expect(container).toBeDefined();
     const result = init(container);
-    cleanup = result.cleanup;
+    cleanup = result.dispose;
     scene = result.scene; // Store scene reference
     expect(cleanup).toBeInstanceOf(Function);
     expect(scene).toBeInstanceOf(THREE.Scene); // Check if scene is a THREE.Scene
@@ -53,7 +53,7 @@ describe('Wireframe Sphere Component', () => {
 
   it('should set the scene background to the standard dark color', () => {
     const result = init(container);
-    cleanup = result.cleanup;
+    cleanup = result.dispose;
     scene = result.scene;
     expect(scene).not.toBeNull();
     // Check background color (ensure THREE is imported)
@@ -65,7 +65,7 @@ describe('Wireframe Sphere Component', () => {
 
   it('should append a canvas element to the container', () => {
     const result = init(container);
-    cleanup = result.cleanup; // Assign cleanup
+    cleanup = result.dispose; // Assign cleanup
     const canvas = container.querySelector('canvas');
     expect(canvas).toBeInstanceOf(HTMLCanvasElement);
     expect(container.contains(canvas)).toBe(true);
@@ -73,13 +73,13 @@ describe('Wireframe Sphere Component', () => {
 
   it('should execute the cleanup function without errors', () => {
     const result = init(container);
-    cleanup = result.cleanup; // Assign cleanup
+    cleanup = result.dispose; // Assign cleanup
     expect(() => cleanup()).not.toThrow();
   });
 
   it('should remove the canvas element upon cleanup', () => {
     const result = init(container);
-    cleanup = result.cleanup; // Assign cleanup
+    cleanup = result.dispose; // Assign cleanup
     const canvas = container.querySelector('canvas');
     expect(canvas).not.toBeNull();
     cleanup();
@@ -90,39 +90,39 @@ describe('Wireframe Sphere Component', () => {
   it('should log an error and return a no-op cleanup and null scene if container is not provided', () => {
     const result = init(null);
     expect(console.error).toHaveBeenCalledWith('Container element not provided for Wireframe Sphere');
-    expect(result.cleanup).toBeInstanceOf(Function);
+    expect(result.dispose).toBeInstanceOf(Function);
     expect(result.scene).toBeNull();
     // Check that calling the no-op cleanup doesn't throw
-    expect(() => result.cleanup()).not.toThrow();
+    expect(() => result.dispose()).not.toThrow();
     // Ensure no canvas was added to body accidentally
     expect(document.body.querySelector('canvas')).toBeNull();
   });
 
-  it('should warn and cleanup previous instance if initialized multiple times', () => {
-    // First initialization
+  it('should run independent instances side by side', () => {
+    const otherContainer = document.createElement('div');
+    document.body.appendChild(otherContainer);
+
     const result1 = init(container);
-    const cleanup1 = result1.cleanup; // Extract cleanup
-    const scene1 = result1.scene; // Extract scene
-    const canvas1 = container.querySelector('canvas');
-    expect(canvas1).not.toBeNull();
-    expect(scene1).toBeInstanceOf(THREE.Scene);
+    const result2 = init(otherContainer);
+    cleanup = result2.dispose; // The afterEach disposes the second instance
+    scene = result2.scene;
+
     expect(console.warn).not.toHaveBeenCalled();
+    expect(result1.scene).toBeInstanceOf(THREE.Scene);
+    expect(scene).not.toBe(result1.scene);
+    expect(result2.renderer).not.toBe(result1.renderer);
+    expect(container.querySelector('canvas')).toBe(result1.renderer.domElement);
+    expect(otherContainer.querySelector('canvas')).toBe(result2.renderer.domElement);
 
-    // Second initialization
-    const result2 = init(container); // Assign to the global cleanup for afterEach
-    cleanup = result2.cleanup; // Update global cleanup
-    scene = result2.scene; // Update global scene
-    const canvas2 = container.querySelector('canvas');
-    expect(console.warn).toHaveBeenCalledWith('Wireframe Sphere already initialized. Cleaning up previous instance.');
-    expect(canvas2).not.toBeNull();
-    expect(scene).toBeInstanceOf(THREE.Scene);
-    expect(canvas2).not.toBe(canvas1); // Should be a new canvas
-    expect(container.childElementCount).toBe(1); // Only one canvas should exist
-
-    // Ensure original cleanup function was called implicitly (check if canvas1 is gone - tricky, but canvas2 !== canvas1 implies it)
-    // and the new cleanup works
-    expect(() => cleanup()).not.toThrow();
+    // Disposing the first instance leaves the second one intact
+    const objectCount = scene.children.length;
+    result1.dispose();
     expect(container.querySelector('canvas')).toBeNull();
+    expect(otherContainer.querySelector('canvas')).toBe(result2.renderer.domElement);
+    expect(scene.children.length).toBe(objectCount);
+    expect(() => result2.renderer.render(scene, result2.camera)).not.toThrow();
+
+    otherContainer.remove();
   });
 
   // Potential future test: Check if sphere material has wireframe: true
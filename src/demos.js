@@ -0,0 +1,145 @@
+/**
+ * Demo manifest.
+ *
+ * Every demo is registered here with the metadata the shell needs before the demo module
+ * is loaded (sidebar entries, search, tag filters), plus a `load` thunk that lazily imports
+ * the module implementing the demo lifecycle contract (see utils/demo-adapter.js).
+ *
+ * Fields:
+ *   title        Display name.
+ *   description  One-sentence summary shown under the title.
+ *   category     Sidebar section the demo is grouped under.
+ *   tags         Lower-case keywords used by the tag filters and search.
+ *   controls     Short summary of how to interact with the demo.
+ *   thumbnail    Image URL for the demo's icon.
+ *   source       URL of the demo module, used to tell when generated thumbnails are out of date.
+ *   load         () => Promise<module>
+ */
+
+const thumbnail = name => new URL(`./assets/thumbnails/${name}.svg`, import.meta.url).href;
+const component = name => new URL(`./components/${name}.js`, import.meta.url).href;
+
+const ORBIT_CONTROLS = 'Drag to orbit, scroll to zoom.';
+
+export const demos = {
+    'spinning-cube': {
+        title: 'Spinning Cube',
+        description: 'A lit cube turning slowly on its vertical axis.',
+        category: 'Geometry',
+        tags: ['geometry', 'lighting'],
+        controls: ORBIT_CONTROLS,
+        thumbnail: thumbnail('spinning-cube'),
+        source: component('spinning-cube'),
+        load: () => import('./components/spinning-cube.js'),
+    },
+    'bouncing-ball': {
+        title: 'Bouncing Ball',
+        description: 'A ball falling under gravity and bouncing off a shadowed floor.',
+        category: 'Simulation',
+        tags: ['physics', 'interactive', 'shadows'],
+        controls: `Click the ball to kick it upwards. ${ORBIT_CONTROLS}`,
+        thumbnail: thumbnail('bouncing-ball'),
+        source: component('bouncing-ball'),
+        load: () => import('./components/bouncing-ball.js'),
+    },
+    '3d-text': {
+        title: '3D Text',
+        description: 'Extruded, bevelled text built from a typeface font.',
+        category: 'Geometry',
+        tags: ['geometry', 'text'],
+        controls: ORBIT_CONTROLS,
+        thumbnail: thumbnail('3d-text'),
+        source: component('3d-text'),
+        load: () => import('./components/3d-text.js'),
+    },
+    'rubiks-cube': {
+        title: "Rubik's Cube",
+        description: 'An N×N×N Rubik\'s cube with animated shuffle and solve.',
+        category: 'Interactive',
+        tags: ['interactive', 'puzzle', 'animation', 'gui'],
+        controls: `Shuffle, solve, resize and change speed from the control panel. ${ORBIT_CONTROLS}`,
+        thumbnail: thumbnail('rubiks-cube'),
+        source: component('rubiks-cube'),
+        load: () => import('./components/rubiks-cube.js'),
+    },
+    'solar-system': {
+        title: 'Solar System',
+        description: 'Eight planets orbiting the sun at different speeds.',
+        category: 'Simulation',
+        tags: ['animation', 'space'],
+        controls: ORBIT_CONTROLS,
+        thumbnail: thumbnail('solar-system'),
+        source: component('solar-system'),
+        load: () => import('./components/solar-system.js'),
+    },
+    'particle-emitter': {
+        title: 'Particle Emitter',
+        description: 'A fountain of thousands of particles with gravity and lifetimes.',
+        category: 'Simulation',
+        tags: ['particles', 'physics', 'gui'],
+        controls: `Tune gravity, lifetime, velocity and color from the control panel. ${ORBIT_CONTROLS}`,
+        thumbnail: thumbnail('particle-emitter'),
+        source: component('particle-emitter'),
+        load: () => import('./components/particle-emitter.js'),
+    },
+    'torus-knot': {
+        title: 'Torus Knot',
+        description: 'A torus knot shaded by its surface normals.',
+        category: 'Geometry',
+        tags: ['geometry'],
+        controls: ORBIT_CONTROLS,
+        thumbnail: thumbnail('torus-knot'),
+        source: component('torus-knot'),
+        load: () => import('./components/torus-knot.js'),
+    },
+    'wireframe-sphere': {
+        title: 'Wireframe Sphere',
+        description: 'A slowly rotating sphere rendered as a wireframe.',
+        category: 'Geometry',
+        tags: ['geometry', 'wireframe'],
+        controls: ORBIT_CONTROLS,
+        thumbnail: thumbnail('wireframe-sphere'),
+        source: component('wireframe-sphere'),
+        load: () => import('./components/wireframe-sphere.js'),
+    },
+    'starfield': {
+        title: 'Starfield',
+        description: 'Flying through an endless field of stars.',
+        category: 'Procedural',
+        tags: ['particles', 'procedural', 'space'],
+        controls: 'None, just watch.',
+        thumbnail: thumbnail('starfield'),
+        source: component('starfield'),
+        load: () => import('./components/starfield.js'),
+    },
+    'shape-morphing': {
+        title: 'Shape Morphing',
+        description: 'A sphere morphing into a cube and back with morph targets.',
+        category: 'Geometry',
+        tags: ['animation', 'morph-targets'],
+        controls: ORBIT_CONTROLS,
+        thumbnail: thumbnail('shape-morphing'),
+        source: component('shape-morphing'),
+        load: () => import('./components/shape-morphing.js'),
+    },
+    'boids-flocking': {
+        title: 'Boids Flocking',
+        description: 'A flock steered by separation, alignment and cohesion rules.',
+        category: 'Simulation',
+        tags: ['simulation', 'physics', 'gui'],
+        controls: `Tune the flocking weights, perception and speed from the control panel. ${ORBIT_CONTROLS}`,
+        thumbnail: thumbnail('boids-flocking'),
+        source: component('boids-flocking'),
+        load: () => import('./components/boids-flocking.js'),
+    },
+    'procedural-terrain': {
+        title: 'Procedural Terrain',
+        description: 'An endless flight over noise-generated terrain with level of detail.',
+        category: 'Procedural',
+        tags: ['procedural', 'interactive', 'noise'],
+        controls: 'Click the screen edges to turn, climb or descend. Move the mouse to look around.',
+        thumbnail: thumbnail('procedural-terrain'),
+        source: component('procedural-terrain'),
+        load: () => import('./components/procedural-terrain.js'),
+    },
+};
@@ -0,0 +1,9 @@
+import { demos } from './demos.js';
+import { defineDemoElement } from './utils/demo-element.js';
+
+/**
+ * Entry point for pages that embed demos with `<repobird-demo>` (see utils/demo-element.js).
+ * The page needs the same import map as index.html for three, lil-gui and tween.
+ */
+
+defineDemoElement({ demos });
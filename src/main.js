@@ -1,4 +1,24 @@
 import * as THREE from 'three';
+import { createRouter, formatHash } from './utils/router.js';
+import { createDemoPane } from './utils/demo-pane.js';
+import { COMPARE_ROUTE, createComparisonView, formatComparison, parseComparison } from './utils/comparison.js';
+import { GALLERY_ROUTE, createGallery } from './utils/gallery.js';
+import { createThumbnailService } from './utils/thumbnails.js';
+import { SNAPSHOT_PARAM, applySnapshot, decodeSnapshot, formatShareUrl, snapshotParams } from './utils/snapshot.js';
+import { createSidebar } from './utils/sidebar.js';
+import { createPerfHud } from './utils/perf-hud.js';
+import { createEmbedApi } from './utils/embed-api.js';
+import { eventBus } from './utils/event-bus.js';
+import { getGuiControllers } from './utils/gui-settings.js';
+import { validatePreset } from './utils/gui-presets.js';
+import { renderLoop } from './utils/render-loop.js';
+import { isWebGLAvailable } from './utils/renderer-pool.js';
+import { leakDetector } from './utils/leak-detector.js';
+import { isValidSeed, randomSeed } from './utils/random.js';
+import { captureDemo, captureFilename, downloadBlob } from './utils/capture.js';
+import { createCanvasRecorder, formatElapsed, isRecordingSupported } from './utils/recorder.js';
+import { renderOffline, createZipSink, createDirectorySink, isDirectoryOutputSupported } from './utils/offline-render.js';
+import { demos } from './demos.js';
 
 console.log('Three.js version:', THREE.REVISION);
 
@@ -6,127 +26,153 @@ const appContainer = document.getElementById('app-container');
 const sidebarContainer = document.getElementById('sidebar'); // Get the sidebar container
 const menuToggle = document.getElementById('menu-toggle'); // Get the menu toggle button
 const closeSidebarButton = document.getElementById('close-sidebar'); // Get the close sidebar button
+const perfToggle = document.getElementById('perf-toggle');
+const captureButton = document.getElementById('capture-button');
+const captureScaleSelect = document.getElementById('capture-scale');
+const captureTransparentCheckbox = document.getElementById('capture-transparent');
+const recordButton = document.getElementById('record-button');
+const recordFpsSelect = document.getElementById('record-fps');
+const recordBitrateSelect = document.getElementById('record-bitrate');
+const renderButton = document.getElementById('render-button');
+const renderDialog = document.getElementById('render-dialog');
+const renderForm = document.getElementById('render-form');
+const compareLayoutSelect = document.getElementById('compare-layout');
+const galleryLink = document.getElementById('gallery-link');
+const shareButton = document.getElementById('share-button');
+const timePauseButton = document.getElementById('time-pause');
+const timeStepButton = document.getElementById('time-step');
+const timeScaleSelect = document.getElementById('time-scale');
+const seedInput = document.getElementById('seed-input');
+const seedButton = document.getElementById('seed-button');
+
+const perfHud = createPerfHud(); // Toggled with the header button or the ` key
+
+// Dev mode: served by `npm run dev` on localhost, or any page opened with ?dev
+const devMode = ['localhost', '127.0.0.1'].includes(window.location.hostname)
+    || new URLSearchParams(window.location.search).has('dev');
+if (devMode) leakDetector.enable(); // Before any demo mounts, so every cleanup is checked
+
+// Embed mode (?embed=1): only the demo, for iframes in docs and slides; the hash still picks the demo
+const embedMode = new URLSearchParams(window.location.search).get('embed') === '1';
+if (embedMode) document.body.classList.add('embed-mode');
+
+let currentDemo = null; // Normalized instance the header tools act on (see utils/demo-adapter.js)
+let activeRecording = null; // { recorder, demo, demoKey, startedAt, timer } while recording
+let activeOfflineRender = null; // AbortController of a running offline render
+
+const DEMO_LOAD_TIMEOUT_MS = 15000; // Give up on a demo module that hasn't resolved by then
+
+// Makes `demo` the one the HUD, capture, recording and offline render buttons use
+function setCurrentDemo(demo) {
+    if (currentDemo === demo) return;
+    perfHud.detach();
+    currentDemo = demo;
+    if (demo) perfHud.attach(demo);
+    showSeed(demo);
+}
 
-let currentCleanup = null; // To store the cleanup function of the active demo
-let activeListItem = null; // To track the currently active list item
-
-// Define available demos
-const demos = {
-    'spinning-cube': () => import('./components/spinning-cube.js'),
-    'bouncing-ball': () => import('./components/bouncing-ball.js'),
-    '3d-text': () => import('./components/3d-text.js'),
-    'rubiks-cube': () => import('./components/rubiks-cube.js').then(module => module.createRubiksCubeComponent), // Updated import
-    'solar-system': () => import('./components/solar-system.js'),
-    'particle-emitter': () => import('./components/particle-emitter.js'),
-    'torus-knot': () => import('./components/torus-knot.js'),
-    'wireframe-sphere': () => import('./components/wireframe-sphere.js'), // Added wireframe sphere
-    'starfield': () => import('./components/starfield.js'),
-    'shape-morphing': () => import('./components/shape-morphing.js'),
-    'boids-flocking': () => import('./components/boids-flocking.js'),
-    'procedural-terrain': () => import('./components/procedural-terrain.js'),
-};
-
-async function loadDemo(demoKey) {
-    // 1. Cleanup previous demo
-    if (currentCleanup) {
-        console.log('Cleaning up previous demo...');
-        currentCleanup();
-        currentCleanup = null;
+// Called by panes right before a demo is disposed
+function releaseDemo(demo) {
+    if (activeRecording?.demo === demo) stopRecording(); // Save what was recorded before the canvas goes to the next demo
+    if (demo === currentDemo) {
+        if (activeOfflineRender) activeOfflineRender.abort();
+        setCurrentDemo(null);
     }
+}
 
-    // 2. Clear container content
-    appContainer.innerHTML = '';
+// A single demo filling the app container; replaced by `comparisonView` on the compare route
+// and by `gallery` on the gallery route
+const demoPane = createDemoPane(appContainer, {
+    demos,
+    loadTimeout: DEMO_LOAD_TIMEOUT_MS,
+    onMount: setCurrentDemo,
+    onUnmount: releaseDemo,
+});
+let demoLoad = Promise.resolve(null); // The pane's latest load, resolving with the mounted demo or null
+let comparisonView = null;
+let gallery = null;
+
+// Generated gallery thumbnails, cached in IndexedDB (see utils/thumbnails.js)
+const thumbnails = createThumbnailService({ demos });
+
+function closeGallery() {
+    if (!gallery) return;
+    gallery.dispose();
+    gallery = null;
+    if (galleryLink) galleryLink.classList.remove('active');
+}
 
-    // 3. Check if demo exists
-    if (!demos[demoKey]) {
-        console.error(`Demo "${demoKey}" not found.`);
-        appContainer.innerHTML = `<p>Error: Demo "${demoKey}" not found.</p>`;
-        return;
+function showDemo(demoKey, params) {
+    closeGallery();
+    if (comparisonView) {
+        comparisonView.dispose();
+        comparisonView = null;
     }
-
-    // 4. Show loading message
-    const loadingMessage = document.createElement('p');
-    // Format name for display in loading message
-    const formattedName = demoKey.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
-    loadingMessage.textContent = `Loading ${formattedName}...`;
-    appContainer.appendChild(loadingMessage);
-
-    let componentInstance = null; // Define outside try block for error handling scope
-
-    // 5. Dynamically import and run the demo
-    try {
-        console.log(`Attempting to load demo: ${demoKey}`);
-        const demoLoader = demos[demoKey]; // Get the loader function
-        const demoModuleOrFactory = await demoLoader(); // Execute the loader
-
-        // Clear loading message only after successful import/load
-        if (appContainer.contains(loadingMessage)) {
-            appContainer.removeChild(loadingMessage);
+    if (sidebar) sidebar.setActive(demoKey);
+
+    // A share link carries the demo's parameters, seed, GUI values, camera and state (see utils/snapshot.js)
+    if (params[SNAPSHOT_PARAM] !== undefined) {
+        let snapshot;
+        try {
+            snapshot = decodeSnapshot(params[SNAPSHOT_PARAM]);
+        } catch (error) {
+            console.error(error.message);
         }
-
-        // Check if it's the factory function from Rubik's Cube
-        if (demoKey === 'rubiks-cube' && typeof demoModuleOrFactory === 'function') {
-            console.log(`Creating Rubik's Cube component instance...`);
-            componentInstance = demoModuleOrFactory(); // Call the factory
-        } else if (demoModuleOrFactory && typeof demoModuleOrFactory.init === 'function') {
-            // Handle regular modules with an init function
-            componentInstance = demoModuleOrFactory;
-        } else {
-             console.error(`Error: Demo module/factory for "${demoKey}" is not in expected format.`);
-             appContainer.innerHTML = `<p>Error loading demo: ${formattedName}. Invalid format.</p>`;
-             return; // Exit early
+        if (snapshot) {
+            demoLoad = demoPane.load(demoKey, snapshotParams(snapshot)).then(demo => {
+                if (demo) applySnapshot(demo, snapshot);
+                return demo;
+            });
+            return;
         }
-
-        // Now initialize the component instance
-        if (componentInstance && typeof componentInstance.init === 'function') {
-            console.log(`Initializing demo component: ${demoKey}`);
-            // Pass the container and store the returned cleanup function
-            currentCleanup = componentInstance.init(appContainer);
-            if (typeof currentCleanup !== 'function') {
-                console.warn(`Demo "${demoKey}" init function did not return a valid cleanup function.`);
-                currentCleanup = null; // Ensure it's null if not a function
-            }
-        } else {
-             console.error(`Error: Demo component instance for "${demoKey}" does not have an init function.`);
-             appContainer.innerHTML = `<p>Error loading demo: ${formattedName}. Failed to initialize.</p>`;
-             // Ensure potential partial cleanup if instance was created but init failed
-             if (componentInstance && typeof componentInstance.cleanup === 'function') {
-                 componentInstance.cleanup();
-             }
-             currentCleanup = null;
+    }
+    demoLoad = demoPane.load(demoKey, params).then(demo => {
+        // Put a generated seed in the URL, so reloading or copying the address shows the same scene
+        if (demo && demo.seed !== null && params.seed === undefined) {
+            window.history.replaceState(null, '', formatHash(demoKey, { ...params, seed: demo.seed }));
         }
+        return demo;
+    });
+}
 
-    } catch (error) {
-        console.error(`Error loading demo "${demoKey}":`, error);
-        // Ensure loading message is removed on error too
-        if (appContainer.contains(loadingMessage)) {
-            appContainer.removeChild(loadingMessage);
-        }
-        appContainer.innerHTML = `<p>Error loading demo: ${formattedName}. Check console for details.</p>`;
-        // Ensure cleanup state is reset on error
-        if (currentCleanup) {
-             try {
-                 currentCleanup();
-             } catch (cleanupError) {
-                 console.error("Error during cleanup after load error:", cleanupError);
-             }
-             currentCleanup = null;
-        }
-        // Also attempt cleanup if the component instance was created but failed during init
-        if (componentInstance && typeof componentInstance.cleanup === 'function') {
-             try {
-                 componentInstance.cleanup();
-             } catch (cleanupError) {
-                 console.error("Error during component instance cleanup after load error:", cleanupError);
-             }
-        }
+function showGallery() {
+    if (comparisonView) {
+        comparisonView.dispose();
+        comparisonView = null;
     }
+    demoPane.dispose();
+    // Without WebGL the cards keep their icons instead of failing to render every thumbnail
+    if (!gallery) gallery = createGallery(appContainer, { demos, thumbnails: isWebGLAvailable() ? thumbnails : undefined });
+    if (sidebar) sidebar.setActive(null);
+    if (galleryLink) galleryLink.classList.add('active');
+}
+
+function showComparison(comparison) {
+    closeGallery();
+    if (!comparisonView) {
+        demoPane.dispose(); // Also clears the app container for the grid
+        comparisonView = createComparisonView(appContainer, {
+            demos,
+            loadTimeout: DEMO_LOAD_TIMEOUT_MS,
+            onChange: next => router.navigate(COMPARE_ROUTE, formatComparison(next)),
+            onMount: (demo, pane) => {
+                if (pane === comparisonView.activePane) setCurrentDemo(demo);
+            },
+            onUnmount: releaseDemo,
+            onActivate: (pane) => {
+                setCurrentDemo(pane.demo);
+                if (sidebar) sidebar.setActive(pane.key);
+            },
+        });
+    }
+    comparisonView.update(comparison);
+    if (sidebar) sidebar.setActive(comparisonView.activePane?.key);
 }
 
 function populateSidebar(demosData) {
     if (!sidebarContainer) {
         console.error('Sidebar container not found!');
-        return;
+        return null;
     }
 
     // Find existing close button or create one if needed (though it should exist from HTML)
@@ -140,93 +186,72 @@ function populateSidebar(demosData) {
         sidebarContainer.prepend(closeButton); // Add it at the beginning
     }
 
-    const ul = document.createElement('ul');
-    ul.id = 'demo-list'; // Add an ID for easier targeting
-
-    Object.keys(demosData).forEach(key => {
-        const li = document.createElement('li');
-        // Format name for display
-        li.textContent = key.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
-        li.dataset.demoKey = key; // Store the original key
-        ul.appendChild(li);
-    });
+    const sidebar = createSidebar(sidebarContainer, demosData, {
+        onSelect: (demoKey) => {
+            // The router updates the hash, highlights the item and loads the demo
+            if (comparisonView) {
+                // Swap the demo in the focused pane and leave the others running
+                const { layout, panes } = comparisonView.comparison;
+                const index = comparisonView.activeIndex;
+                const next = panes.map((pane, i) => (i === index ? { ...pane, key: demoKey, params: {} } : pane));
+                router.navigate(COMPARE_ROUTE, formatComparison({ layout, panes: next }));
+            } else {
+                router.navigate(demoKey);
+            }
 
-    // Add event listener using delegation for demo links
-    ul.addEventListener('click', (event) => {
-        if (event.target && event.target.nodeName === 'LI') {
-            const demoKey = event.target.dataset.demoKey;
-            if (demoKey) {
-                // Remove active class from previous item
-                if (activeListItem) {
-                    activeListItem.classList.remove('active');
-                }
-                // Add active class to clicked item
-                event.target.classList.add('active');
-                activeListItem = event.target; // Update tracker
-
-                loadDemo(demoKey);
-
-                // Automatically close sidebar on mobile after selecting a demo
-                if (window.innerWidth <= 768) {
-                    sidebarContainer.classList.remove('sidebar-visible');
-                }
+            // Automatically close sidebar on mobile after selecting a demo
+            if (window.innerWidth <= 768) {
+                sidebarContainer.classList.remove('sidebar-visible');
             }
-        }
+        },
     });
 
-    // Clear previous content *except* the close button
-    const existingList = sidebarContainer.querySelector('#demo-list');
-    if (existingList) {
-        sidebarContainer.removeChild(existingList);
-    }
-    sidebarContainer.appendChild(ul); // Append the new list
-
     console.log('Sidebar populated with demos.');
-
-    // Return the list element for potential initial load targeting
-    return ul;
+    return sidebar;
 }
 
 // --- Initialization ---
 
-// 1. Populate the sidebar (this also ensures the close button exists)
-const demoListElement = populateSidebar(demos);
-
-// 2. Set the desired default demo
-const defaultDemoKey = 'starfield';
+// 1. Populate the sidebar from the manifest (this also ensures the close button exists)
+const sidebar = populateSidebar(demos);
 
-// 3. Load the default demo
-if (demos[defaultDemoKey] && demoListElement) {
-    console.log(`Loading initial demo: ${defaultDemoKey}`);
-    loadDemo(defaultDemoKey);
-
-    // Find the corresponding list item and mark it as active
-    const defaultLi = demoListElement.querySelector(`li[data-demo-key="${defaultDemoKey}"]`);
-    if (defaultLi) {
-        defaultLi.classList.add('active');
-        activeListItem = defaultLi;
-    } else {
-        console.warn(`Could not find sidebar item for default demo: ${defaultDemoKey}`);
-    }
-} else if (!demos[defaultDemoKey]) {
+// 2. Set the desired default demo, used for an empty or unknown location hash
+let defaultDemoKey = 'starfield';
+if (!demos[defaultDemoKey]) {
     console.error(`Default demo key "${defaultDemoKey}" not found in demos object.`);
-    const firstDemoKey = Object.keys(demos)[0]; // Fallback to first demo if default is invalid
-    if (firstDemoKey && demoListElement) {
-        console.warn(`Falling back to loading first demo: ${firstDemoKey}`);
-        loadDemo(firstDemoKey);
-        const firstLi = demoListElement.querySelector(`li[data-demo-key="${firstDemoKey}"]`);
-        if (firstLi) {
-            firstLi.classList.add('active');
-            activeListItem = firstLi;
+    defaultDemoKey = Object.keys(demos)[0]; // Fallback to first demo if default is invalid
+}
+
+// 3. Route to the demo named in the hash (e.g. #/rubiks-cube?size=4), or the default,
+// a comparison of several demos (#/compare?a=...&b=..., see utils/comparison.js) or the gallery
+const router = createRouter({
+    isKnownRoute: key => Boolean(demos[key]) || key === COMPARE_ROUTE || key === GALLERY_ROUTE,
+    defaultKey: defaultDemoKey,
+    onRoute: ({ key, params }) => {
+        console.log(`Routing to demo: ${key}`, params);
+        if (key === COMPARE_ROUTE) {
+            const comparison = parseComparison(params, { isKnownKey: k => Boolean(demos[k]), fallbackKey: defaultDemoKey });
+            if (compareLayoutSelect) compareLayoutSelect.value = String(comparison.layout);
+            showComparison(comparison);
+        } else if (key === GALLERY_ROUTE) {
+            if (compareLayoutSelect) compareLayoutSelect.value = '1';
+            showGallery();
+        } else {
+            if (compareLayoutSelect) compareLayoutSelect.value = '1';
+            showDemo(key, params);
         }
-    } else {
-        appContainer.innerHTML = '<p>No demos defined or sidebar error.</p>';
-        console.warn('No demos found or sidebar failed to populate.');
-    }
+    },
+});
+
+if (!isWebGLAvailable()) {
+    console.warn('WebGL 2 is not available; demos will explain what is missing instead of loading.');
+}
+
+if (defaultDemoKey) {
+    router.start();
 } else {
-    // This case should ideally not happen if sidebar was populated
-    appContainer.innerHTML = '<p>Could not load initial demo.</p>';
-    console.error('Failed to find the demo list element for initial load styling.');
+    appContainer.innerHTML = '<p>No demos defined.</p>';
+    console.warn('No demos found, router not started.');
 }
 
 
@@ -265,4 +290,425 @@ if (closeSidebarButton && sidebarContainer) {
 }
 
 
+// --- Comparison Mode ---
+
+// Switches between a single demo and a 2 or 4 pane comparison, keeping the demo in focus
+function setCompareLayout(layout) {
+    if (layout === 1) {
+        const pane = comparisonView?.activePane;
+        if (pane?.key) router.navigate(pane.key, pane.params);
+        return;
+    }
+    // Panes missing from the route repeat the first one, or the default demo from the gallery (see parseComparison)
+    let comparison = { panes: [] };
+    if (comparisonView) {
+        comparison = comparisonView.comparison;
+    } else if (demos[router.current?.key]) {
+        comparison = { panes: [{ ...router.current, sync: false }] };
+    }
+    router.navigate(COMPARE_ROUTE, formatComparison({ ...comparison, layout }));
+}
+
+if (compareLayoutSelect) {
+    compareLayoutSelect.addEventListener('change', () => setCompareLayout(Number(compareLayoutSelect.value)));
+}
+
+
+// --- Share Links ---
+
+async function copyShareLink() {
+    const pane = comparisonView ? comparisonView.activePane : demoPane;
+    if (!currentDemo || !pane) {
+        console.warn('Share: no demo is running.');
+        return;
+    }
+    const url = formatShareUrl(currentDemo.metadata.key, currentDemo, pane.params);
+    try {
+        await navigator.clipboard.writeText(url);
+        shareButton.textContent = 'Copied';
+        setTimeout(() => { shareButton.textContent = 'Share'; }, 1500);
+        console.log(`Copied share link for ${currentDemo.metadata.key}.`);
+    } catch (error) {
+        // Clipboard access needs a secure context and permission; let the user copy it instead
+        window.prompt('Copy this link:', url);
+    }
+}
+
+if (shareButton) {
+    shareButton.addEventListener('click', copyShareLink);
+}
+
+
+// --- Time Controls ---
+
+// Time is shell-wide: every demo, in every pane, runs on the shared render loop's clock
+function updateTimeControls() {
+    if (timePauseButton) {
+        timePauseButton.textContent = renderLoop.isTimePaused ? 'Play' : 'Pause';
+        timePauseButton.setAttribute('aria-pressed', String(renderLoop.isTimePaused));
+    }
+}
+
+function toggleTimePaused() {
+    renderLoop.setTimePaused(!renderLoop.isTimePaused);
+    updateTimeControls();
+}
+
+function stepTime() {
+    renderLoop.step(); // Pauses first if time is running
+    updateTimeControls();
+}
+
+if (timePauseButton) {
+    timePauseButton.addEventListener('click', toggleTimePaused);
+}
+
+if (timeStepButton) {
+    timeStepButton.addEventListener('click', stepTime);
+}
+
+if (timeScaleSelect) {
+    timeScaleSelect.addEventListener('change', () => {
+        renderLoop.setTimeScale(Number(timeScaleSelect.value));
+    });
+}
+
+window.addEventListener('keydown', (event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest?.('input, textarea, select, [contenteditable]')) return; // Typing, not a shortcut
+    if (event.key === 'p' || event.key === 'P') toggleTimePaused();
+    if (event.key === '.') stepTime();
+});
+
+
+// --- Seeds ---
+
+function showSeed(demo) {
+    const seed = demo?.seed ?? null; // Demos without randomness have no seed
+    if (seedInput) {
+        seedInput.value = seed === null ? '' : String(seed);
+        seedInput.disabled = seed === null;
+    }
+    if (seedButton) seedButton.disabled = seed === null;
+}
+
+// Reloads the current demo (the focused pane's, when comparing) with another seed
+function reseedCurrentDemo(seed) {
+    if (comparisonView) {
+        const { layout, panes } = comparisonView.comparison;
+        const index = comparisonView.activeIndex;
+        const next = panes.map((pane, i) => (i === index ? { ...pane, params: { ...pane.params, seed } } : pane));
+        router.navigate(COMPARE_ROUTE, formatComparison({ layout, panes: next }));
+    } else if (demoPane.key) {
+        router.navigate(demoPane.key, { ...demoPane.params, seed });
+    }
+}
+
+if (seedInput) {
+    seedInput.addEventListener('change', () => {
+        const seed = seedInput.value.trim();
+        if (!isValidSeed(seed)) {
+            showSeed(currentDemo); // Put the current seed back
+            return;
+        }
+        reseedCurrentDemo(seed);
+    });
+}
+
+if (seedButton) {
+    seedButton.addEventListener('click', () => reseedCurrentDemo(randomSeed()));
+}
+
+
+// --- Performance HUD Toggle ---
+
+function togglePerfHud() {
+    perfHud.toggle();
+    if (perfToggle) perfToggle.setAttribute('aria-pressed', String(perfHud.visible));
+}
+
+if (perfToggle) {
+    perfToggle.addEventListener('click', togglePerfHud);
+}
+
+window.addEventListener('keydown', (event) => {
+    if (event.key !== '`' || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest?.('input, textarea, select, [contenteditable]')) return; // Typing, not a shortcut
+    togglePerfHud();
+});
+
+
+// --- Screenshot Capture ---
+
+async function captureCurrentDemo() {
+    if (!currentDemo) {
+        console.warn('Capture: no demo is running.');
+        return;
+    }
+    const demoKey = currentDemo.metadata.key;
+    const scale = Number(captureScaleSelect?.value) || 1;
+    const transparent = Boolean(captureTransparentCheckbox?.checked);
+
+    captureButton.disabled = true;
+    try {
+        const { blob, width, height } = await captureDemo(currentDemo, { scale, transparent });
+        downloadBlob(blob, captureFilename(demoKey));
+        console.log(`Captured ${demoKey} at ${width}x${height}.`);
+    } catch (error) {
+        console.error(`Capture of "${demoKey}" failed:`, error);
+    } finally {
+        captureButton.disabled = false;
+    }
+}
+
+if (captureButton) {
+    captureButton.addEventListener('click', captureCurrentDemo);
+}
+
+
+// --- Video Recording ---
+
+function startRecording() {
+    const canvas = currentDemo?.renderer?.domElement;
+    if (!canvas) {
+        console.warn('Recording: the current demo has no canvas to record.');
+        return;
+    }
+
+    const recorder = createCanvasRecorder(canvas, {
+        fps: Number(recordFpsSelect?.value) || 30,
+        bitrate: Number(recordBitrateSelect?.value) || 5000000,
+    });
+    recorder.start();
+
+    activeRecording = {
+        recorder,
+        demo: currentDemo,
+        demoKey: currentDemo.metadata.key,
+        startedAt: new Date(),
+        timer: setInterval(updateRecordButton, 250),
+    };
+    console.log(`Recording ${activeRecording.demoKey} as ${recorder.mimeType}.`);
+    updateRecordButton();
+}
+
+async function stopRecording() {
+    if (!activeRecording) return;
+    const { recorder, demoKey, startedAt, timer } = activeRecording;
+    activeRecording = null;
+    clearInterval(timer);
+    updateRecordButton();
+
+    try {
+        const blob = await recorder.stop();
+        downloadBlob(blob, captureFilename(demoKey, startedAt, 'webm'));
+        console.log(`Saved recording of ${demoKey} (${Math.round(blob.size / 1024)} KB).`);
+    } catch (error) {
+        console.error(`Recording of "${demoKey}" failed:`, error);
+    }
+}
+
+function updateRecordButton() {
+    if (!recordButton) return;
+    const recording = Boolean(activeRecording);
+    recordButton.textContent = recording ? `Stop ${formatElapsed(activeRecording.recorder.elapsed)}` : 'Record';
+    recordButton.classList.toggle('recording', recording);
+    if (recordFpsSelect) recordFpsSelect.disabled = recording;
+    if (recordBitrateSelect) recordBitrateSelect.disabled = recording;
+}
+
+if (recordButton) {
+    if (isRecordingSupported()) {
+        recordButton.addEventListener('click', () => {
+            if (activeRecording) {
+                stopRecording();
+                return;
+            }
+            try {
+                startRecording();
+            } catch (error) {
+                console.error('Could not start recording:', error);
+            }
+        });
+    } else {
+        recordButton.disabled = true;
+        recordButton.title = 'Recording is not supported in this browser';
+    }
+}
+
+
+// --- Offline Rendering ---
+
+function setRenderStatus(message) {
+    renderForm.querySelector('#render-status').textContent = message;
+}
+
+function setRenderFormBusy(busy) {
+    renderForm.querySelectorAll('input, select, #render-start').forEach(field => { field.disabled = busy; });
+    renderForm.querySelector('#render-cancel').textContent = busy ? 'Cancel' : 'Close';
+}
+
+function openRenderDialog() {
+    if (!currentDemo) {
+        console.warn('Offline render: no demo is running.');
+        return;
+    }
+    renderForm.querySelector('#render-progress').value = 0;
+    setRenderStatus(`Renders "${currentDemo.metadata.title}" from its current state.`);
+    renderDialog.showModal();
+}
+
+async function startOfflineRender(event) {
+    event.preventDefault(); // Keep the dialog open while rendering
+    if (!currentDemo || activeOfflineRender) return;
+
+    const demo = currentDemo;
+    const demoKey = demo.metadata.key;
+    const fps = Number(renderForm.querySelector('#render-fps').value);
+    const frames = Math.max(1, Math.round(Number(renderForm.querySelector('#render-duration').value) * fps));
+    const scale = Number(renderForm.querySelector('#render-scale').value);
+    const transparent = renderForm.querySelector('#render-transparent').checked;
+    const output = renderForm.querySelector('#render-output').value;
+    const progress = renderForm.querySelector('#render-progress');
+    const startedAt = new Date();
+
+    const controller = new AbortController();
+    activeOfflineRender = controller;
+    setRenderFormBusy(true);
+    progress.value = 0;
+
+    try {
+        const sink = output === 'directory' ? await createDirectorySink(demoKey) : createZipSink(demoKey);
+        console.log(`Offline render of ${demoKey}: ${frames} frames at ${fps} fps.`);
+        await renderOffline(demo, {
+            frames,
+            fps,
+            scale,
+            transparent,
+            onFrame: sink.onFrame,
+            signal: controller.signal,
+            onProgress: (done, total) => {
+                progress.value = done / total;
+                setRenderStatus(`Frame ${done} of ${total}`);
+            },
+        });
+        if (sink.finish) {
+            downloadBlob(sink.finish(), captureFilename(demoKey, startedAt, 'zip'));
+            setRenderStatus(`Rendered ${frames} frames to a ZIP archive.`);
+        } else {
+            setRenderStatus(`Rendered ${frames} frames to "${sink.name}".`);
+        }
+    } catch (error) {
+        if (error?.name === 'AbortError') {
+            setRenderStatus('Render cancelled.');
+        } else {
+            console.error(`Offline render of "${demoKey}" failed:`, error);
+            setRenderStatus('Render failed. Check console for details.');
+        }
+    } finally {
+        activeOfflineRender = null;
+        setRenderFormBusy(false);
+    }
+}
+
+if (renderButton && renderDialog && renderForm) {
+    if (!isDirectoryOutputSupported()) {
+        renderForm.querySelector('#render-output option[value="directory"]').disabled = true;
+    }
+    renderButton.addEventListener('click', openRenderDialog);
+    renderForm.addEventListener('submit', startOfflineRender);
+    renderForm.querySelector('#render-cancel').addEventListener('click', () => {
+        if (activeOfflineRender) {
+            activeOfflineRender.abort();
+        } else {
+            renderDialog.close();
+        }
+    });
+    renderDialog.addEventListener('cancel', (event) => {
+        if (!activeOfflineRender) return;
+        event.preventDefault(); // Escape cancels the render first; the dialog closes on the next press
+        activeOfflineRender.abort();
+    });
+}
+
+
+// --- Embedding API ---
+
+// Origins besides this page's own that may drive it when framed, e.g. 'https://docs.example.com'
+const EMBED_HOST_ORIGINS = [];
+
+// What hosts learn about a demo: enough to build controls for it
+function describeDemo(demo) {
+    const params = {};
+    if (demo.gui) getGuiControllers(demo.gui).forEach((controller, property) => { params[property] = controller.getValue(); });
+    return {
+        key: demo.metadata.key,
+        title: demo.metadata.title,
+        seed: demo.seed,
+        params,
+        actions: demo.actions,
+        paused: demo.isPaused,
+    };
+}
+
+// Bus events as plain data that survives postMessage: no elements, instances or Error objects
+function toHostEvent(type, { element, demo, error, ...detail }) {
+    if (type === 'demo:ready') return describeDemo(demo);
+    if (error) return { ...detail, name: error.name ?? 'Error', message: error.message ?? String(error) };
+    return detail;
+}
+
+function requireDemo() {
+    if (!currentDemo) throw new DOMException('No demo is running.', 'InvalidStateError');
+    return currentDemo;
+}
+
+// Hosts framing the page load demos, set GUI values, run actions and pause (see utils/embed-api.js)
+const embedApi = window.parent !== window ? createEmbedApi({
+    allowedOrigins: EMBED_HOST_ORIGINS,
+    commands: {
+        // { key, params }: params go to the route, like #/key?params; replaces the history entry
+        async load({ key, params = {} }) {
+            if (typeof key !== 'string' || !demos[key]) throw new DOMException(`There is no demo "${key}".`, 'NotFoundError');
+            router.navigate(key, params, { replace: true });
+            const demo = await demoLoad;
+            if (!demo || demo.metadata.key !== key) throw new DOMException(`Demo "${key}" could not be loaded.`, 'OperationError');
+            return describeDemo(demo);
+        },
+        // { values }: GUI values by property, checked like presets and applied all or nothing
+        setParams({ values }) {
+            const demo = requireDemo();
+            if (!demo.gui) throw new DOMException(`Demo "${demo.metadata.key}" has no parameters.`, 'NotSupportedError');
+            const controllers = getGuiControllers(demo.gui);
+            const problems = validatePreset(controllers, values);
+            if (problems.length > 0) throw new DOMException(problems.join('; '), 'DataError');
+            Object.entries(values).forEach(([property, value]) => controllers.get(property).setValue(value));
+            return describeDemo(demo);
+        },
+        // { name, args }: resolves once the action has finished, e.g. the cube is solved
+        async action({ name, args = [] }) {
+            const demo = requireDemo();
+            const result = await demo.runAction(name, ...args);
+            embedApi.emit('action:done', { key: demo.metadata.key, name });
+            return { name, result: result ?? null };
+        },
+        pause() {
+            const demo = requireDemo();
+            demo.pause();
+            return describeDemo(demo);
+        },
+        resume() {
+            const demo = requireDemo();
+            demo.resume();
+            return describeDemo(demo);
+        },
+        getState() {
+            const demo = requireDemo();
+            return { ...describeDemo(demo), state: demo.getState() };
+        },
+    },
+}) : null;
+// Hosts hear everything the event bus carries: lifecycle, parameter edits and the demos' own events
+if (embedApi) eventBus.on('*', (detail, type) => embedApi.emit(type, toHostEvent(type, detail)));
+
 console.log('Application initialized.');
@@ -0,0 +1,48 @@
+/**
+ * Small promise helpers shared by the shell.
+ */
+
+/**
+ * Races a promise against a timeout and an optional AbortSignal.
+ * Rejects with a `TimeoutError` DOMException when the timeout elapses first, or with
+ * the signal's reason (an `AbortError` by default) when the signal aborts first.
+ *
+ * The underlying work is not cancelled; callers should check the signal before using the result.
+ *
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} timeoutMs
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+export function withTimeout(promise, timeoutMs, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            reject(signal.reason);
+        };
+        const timeoutId = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            reject(new DOMException(`Timed out after ${timeoutMs}ms`, 'TimeoutError'));
+        }, timeoutMs);
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        promise.then(
+            value => {
+                clearTimeout(timeoutId);
+                signal?.removeEventListener('abort', onAbort);
+                resolve(value);
+            },
+            error => {
+                clearTimeout(timeoutId);
+                signal?.removeEventListener('abort', onAbort);
+                reject(error);
+            }
+        );
+    });
+}
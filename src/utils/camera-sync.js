@@ -0,0 +1,122 @@
+/**
+ * Camera synchronisation.
+ *
+ * Keeps the cameras of several demo instances aligned: whenever one member's controls report a
+ * change, every other member gets the same camera position, orientation, zoom and controls
+ * target. Used by the comparison view so panes can be inspected from the same viewpoint.
+ *
+ *   const cameraSync = createCameraSync();
+ *   cameraSync.add(left);   // Demo instances exposing `camera` and `controls`
+ *   cameraSync.add(right);  // Snaps to `left`'s view
+ *   cameraSync.remove(left);
+ *
+ * Only demos with `controls` that dispatch 'change' events (OrbitControls and friends) can take
+ * part. A member's own limits still apply, so e.g. a tighter `maxDistance` clamps the copied
+ * position for that demo only.
+ */
+
+/**
+ * Copies the camera and controls target of `source` onto `target`.
+ *
+ * @param {object} source Demo instance to copy from.
+ * @param {object} target Demo instance to update.
+ */
+export function copyCamera(source, target) {
+    const from = source.camera;
+    const to = target.camera;
+    to.position.copy(from.position);
+    to.quaternion.copy(from.quaternion);
+    if (to.zoom !== from.zoom) {
+        to.zoom = from.zoom;
+        to.updateProjectionMatrix();
+    }
+    if (source.controls?.target && target.controls?.target) {
+        target.controls.target.copy(source.controls.target);
+    }
+    target.controls?.update(); // Applies the demo's own limits and notifies its on-demand renderer
+}
+
+/**
+ * Whether a demo instance can take part in camera sync.
+ *
+ * @param {object} demo
+ * @returns {boolean}
+ */
+export function canSyncCamera(demo) {
+    return Boolean(demo?.camera && typeof demo.controls?.addEventListener === 'function');
+}
+
+/**
+ * Creates a camera sync group.
+ *
+ * @returns {{ add: (demo: object) => boolean, remove: (demo: object) => void, clear: Function,
+ *   has: (demo: object) => boolean, readonly size: number }}
+ */
+export function createCameraSync() {
+    const members = new Map(); // Demo instance -> its controls 'change' listener
+    let syncing = false; // Set while copying, so followers' own 'change' events don't echo back
+
+    function propagate(source) {
+        if (syncing) return;
+        syncing = true;
+        try {
+            members.forEach((_, demo) => {
+                if (demo !== source && !demo.isDisposed) copyCamera(source, demo);
+            });
+        } finally {
+            syncing = false;
+        }
+    }
+
+    function remove(demo) {
+        const listener = members.get(demo);
+        if (!listener) return;
+        demo.controls?.removeEventListener('change', listener);
+        members.delete(demo);
+    }
+
+    return {
+        get size() {
+            return members.size;
+        },
+
+        has(demo) {
+            return members.has(demo);
+        },
+
+        /**
+         * Adds a demo to the group and aligns it with the existing members.
+         *
+         * @param {object} demo
+         * @returns {boolean} False if the demo has no camera controls to follow.
+         */
+        add(demo) {
+            if (members.has(demo)) return true;
+            if (!canSyncCamera(demo)) {
+                console.warn(`Camera sync: "${demo?.metadata?.key ?? 'unknown'}" has no camera controls to sync.`);
+                return false;
+            }
+
+            const leader = members.keys().next().value;
+            const listener = () => propagate(demo);
+            demo.controls.addEventListener('change', listener);
+            members.set(demo, listener);
+
+            if (leader) {
+                syncing = true;
+                try {
+                    copyCamera(leader, demo);
+                } finally {
+                    syncing = false;
+                }
+            }
+            return true;
+        },
+
+        remove,
+
+        clear() {
+            [...members.keys()].forEach(remove);
+        },
+    };
+}
@@ -0,0 +1,178 @@
+import * as THREE from 'three';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+
+/**
+ * Still image capture.
+ *
+ * Renders a demo's scene into offscreen render targets at a multiple of its canvas size and
+ * encodes the result as a PNG. Works from the `renderer`, `scene` and `camera` every demo
+ * instance exposes, so it doesn't depend on how the demo configured its renderer (e.g. no
+ * `preserveDrawingBuffer` is needed) and the on-screen canvas is left untouched.
+ *
+ * Three.js skips tone mapping and the sRGB conversion when rendering into a render target, so
+ * the scene is rendered linearly first and then passed through an `OutputPass` that applies
+ * the renderer's output settings, matching what the demo shows on screen.
+ */
+
+export const CAPTURE_SCALES = [1, 2, 4];
+
+/**
+ * Builds the download name for a capture, e.g. `rubiks-cube-2024-05-01T12-30-05.png`.
+ *
+ * @param {string} demoKey
+ * @param {Date} [date]
+ * @param {string} [extension]
+ * @returns {string}
+ */
+export function captureFilename(demoKey, date = new Date(), extension = 'png') {
+    const timestamp = date.toISOString().slice(0, 19).replace(/:/g, '-');
+    return `${demoKey}-${timestamp}.${extension}`;
+}
+
+/**
+ * Largest scale (at most `scale`) at which a `width` x `height` capture fits the GPU limits.
+ *
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {number} width Drawing buffer width.
+ * @param {number} height Drawing buffer height.
+ * @param {number} scale Requested scale.
+ * @returns {number}
+ */
+export function clampCaptureScale(renderer, width, height, scale) {
+    const { maxTextureSize } = renderer.capabilities;
+    return Math.max(1, Math.min(scale, Math.floor(maxTextureSize / Math.max(width, height))));
+}
+
+/**
+ * Renders `scene` offscreen and reads the pixels back.
+ *
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Scene} scene
+ * @param {THREE.Camera} camera
+ * @param {number} width Pixels.
+ * @param {number} height Pixels.
+ * @param {object} [options]
+ * @param {boolean} [options.transparent=false] Drop the scene background and clear to transparent.
+ * @returns {ImageData} Top-down, non-premultiplied RGBA.
+ */
+export function renderToImageData(renderer, scene, camera, width, height, { transparent = false } = {}) {
+    const sceneTarget = new THREE.WebGLRenderTarget(width, height, { type: THREE.HalfFloatType, samples: 4 });
+    const outputTarget = new THREE.WebGLRenderTarget(width, height);
+    const outputPass = new OutputPass();
+
+    const previousTarget = renderer.getRenderTarget();
+    const previousClearColor = renderer.getClearColor(new THREE.Color());
+    const previousClearAlpha = renderer.getClearAlpha();
+    const previousBackground = scene.background;
+
+    try {
+        if (transparent) {
+            scene.background = null;
+            renderer.setClearColor(0x000000, 0);
+        }
+
+        renderer.setRenderTarget(sceneTarget);
+        renderer.clear();
+        renderer.render(scene, camera);
+        outputPass.render(renderer, outputTarget, sceneTarget);
+
+        const pixels = new Uint8Array(width * height * 4);
+        renderer.readRenderTargetPixels(outputTarget, 0, 0, width, height, pixels);
+        return toImageData(pixels, width, height);
+    } finally {
+        scene.background = previousBackground;
+        renderer.setClearColor(previousClearColor, previousClearAlpha);
+        renderer.setRenderTarget(previousTarget);
+        sceneTarget.dispose();
+        outputTarget.dispose();
+        outputPass.dispose();
+    }
+}
+
+// WebGL rows run bottom-up and blending leaves color premultiplied by alpha; ImageData wants
+// top-down rows and straight alpha.
+function toImageData(pixels, width, height) {
+    const imageData = new ImageData(width, height);
+    const rowLength = width * 4;
+    for (let y = 0; y < height; y++) {
+        const source = (height - 1 - y) * rowLength;
+        imageData.data.set(pixels.subarray(source, source + rowLength), y * rowLength);
+    }
+
+    const data = imageData.data;
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3];
+        if (alpha === 0 || alpha === 255) continue;
+        data[i] = Math.min(255, Math.round(data[i] * 255 / alpha));
+        data[i + 1] = Math.min(255, Math.round(data[i + 1] * 255 / alpha));
+        data[i + 2] = Math.min(255, Math.round(data[i + 2] * 255 / alpha));
+    }
+    return imageData;
+}
+
+/**
+ * Encodes image data as a PNG.
+ *
+ * @param {ImageData} imageData
+ * @returns {Promise<Blob>}
+ */
+export function encodePng(imageData) {
+    const canvas = document.createElement('canvas');
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Could not encode the capture as PNG.'));
+            }
+        }, 'image/png');
+    });
+}
+
+/**
+ * Captures a demo instance as a PNG at a multiple of its current canvas size.
+ *
+ * @param {object} demo A normalized demo instance (see utils/demo-adapter.js).
+ * @param {object} [options]
+ * @param {number} [options.scale=1] 1, 2 or 4; lowered if the GPU can't render that large.
+ * @param {boolean} [options.transparent=false]
+ * @returns {Promise<{ blob: Blob, width: number, height: number, scale: number }>}
+ */
+export async function captureDemo(demo, { scale = 1, transparent = false } = {}) {
+    const { renderer, scene, camera } = demo;
+    if (!renderer || !scene || !camera) {
+        throw new Error(`Demo "${demo.metadata?.key ?? 'unknown'}" does not expose a renderer, scene and camera to capture.`);
+    }
+
+    const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+    const actualScale = clampCaptureScale(renderer, size.x, size.y, scale);
+    if (actualScale < scale) {
+        console.warn(`Capture: ${scale}x exceeds the GPU texture size limit, using ${actualScale}x.`);
+    }
+
+    const width = size.x * actualScale;
+    const height = size.y * actualScale;
+    const imageData = renderToImageData(renderer, scene, camera, width, height, { transparent });
+    const blob = await encodePng(imageData);
+    return { blob, width, height, scale: actualScale };
+}
+
+/**
+ * Saves a blob through a temporary download link.
+ *
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0); // After the download has started
+}
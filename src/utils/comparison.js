@@ -0,0 +1,284 @@
+import { formatHash, parseHash } from './router.js';
+import { createDemoPane } from './demo-pane.js';
+import { canSyncCamera, createCameraSync } from './camera-sync.js';
+
+/**
+ * Comparison view.
+ *
+ * Splits a container into two or four panes, each running its own demo with its own parameters,
+ * e.g. boids with separation 1.5 next to 3.0, or a 3x3 Rubik's cube next to a 5x5 one. The view
+ * is described by the `#/compare` route:
+ *
+ *   #/compare?layout=2&a=boids-flocking%3FseparationWeight%3D1.5&b=boids-flocking%3FseparationWeight%3D3&sync=a,b
+ *
+ * Panes are named a-d and each one's value is a demo route without the leading `#/`. `sync` lists
+ * the panes whose cameras follow each other (see utils/camera-sync.js).
+ *
+ * Every pane is a utils/demo-pane.js pane with its own cleanup. `update()` only reloads panes whose
+ * demo or parameters changed, so editing one pane leaves the others running.
+ */
+
+export const COMPARE_ROUTE = 'compare';
+export const COMPARE_LAYOUTS = [2, 4];
+export const PANE_IDS = ['a', 'b', 'c', 'd'];
+
+/**
+ * Formats a pane's demo and parameters as a route without the leading `#/`.
+ *
+ * @param {string} key
+ * @param {object} [params]
+ * @returns {string} e.g. 'rubiks-cube?size=5'
+ */
+export function formatPaneRoute(key, params = {}) {
+    return formatHash(key, params).slice(2);
+}
+
+/**
+ * Parses a pane route written by `formatPaneRoute`.
+ *
+ * @param {string} value
+ * @returns {{ key: string|null, params: object }}
+ */
+export function parsePaneRoute(value) {
+    return parseHash(`#/${value}`);
+}
+
+/**
+ * Reads a comparison from the query parameters of the compare route.
+ * Missing panes repeat the first pane; unknown demos fall back to `fallbackKey`.
+ *
+ * @param {object} params
+ * @param {object} options
+ * @param {(key: string) => boolean} options.isKnownKey
+ * @param {string} options.fallbackKey
+ * @returns {{ layout: number, panes: Array<{ key: string, params: object, sync: boolean }> }}
+ */
+export function parseComparison(params, { isKnownKey, fallbackKey }) {
+    let layout = Number(params.layout);
+    if (!COMPARE_LAYOUTS.includes(layout)) {
+        layout = params.c !== undefined || params.d !== undefined ? 4 : 2;
+    }
+    const synced = String(params.sync ?? '').split(',').map(id => id.trim());
+
+    const panes = [];
+    PANE_IDS.slice(0, layout).forEach(id => {
+        let route = params[id] !== undefined ? parsePaneRoute(String(params[id])) : null;
+        if (route?.key && !isKnownKey(route.key)) {
+            console.warn(`Comparison: unknown demo "${route.key}" in pane ${id}, falling back to "${fallbackKey}".`);
+            route = { key: fallbackKey, params: {} };
+        }
+        if (!route?.key) {
+            route = panes.length > 0 ? { key: panes[0].key, params: { ...panes[0].params } } : { key: fallbackKey, params: {} };
+        }
+        panes.push({ key: route.key, params: route.params, sync: synced.includes(id) });
+    });
+    return { layout, panes };
+}
+
+/**
+ * Turns a comparison back into query parameters for the compare route.
+ *
+ * @param {{ layout: number, panes: Array<{ key: string, params: object, sync: boolean }> }} comparison
+ * @returns {object}
+ */
+export function formatComparison({ layout, panes }) {
+    const params = { layout };
+    panes.slice(0, layout).forEach((pane, index) => {
+        params[PANE_IDS[index]] = formatPaneRoute(pane.key, pane.params);
+    });
+    const synced = PANE_IDS.slice(0, layout).filter((id, index) => panes[index]?.sync);
+    if (synced.length > 0) params.sync = synced.join(',');
+    return params;
+}
+
+// Query string shown in a pane's parameter field, e.g. 'size=5'
+function formatParams(params) {
+    const route = formatPaneRoute('_', params);
+    const queryIndex = route.indexOf('?');
+    return queryIndex === -1 ? '' : route.slice(queryIndex + 1);
+}
+
+function parseParams(text) {
+    return parseHash(`#/_?${text.trim().replace(/^\?/, '')}`).params;
+}
+
+/**
+ * Renders a comparison into `container`.
+ *
+ * @param {HTMLElement} container
+ * @param {object} options
+ * @param {object} options.demos Demo manifest keyed by demo key.
+ * @param {number} [options.loadTimeout] See utils/demo-pane.js.
+ * @param {(comparison: object) => void} [options.onChange] Called when a pane's toolbar is edited;
+ *   the shell navigates and calls `update()` with the result. Without it the view updates itself.
+ * @param {(demo: object, pane: object) => void} [options.onMount] Called when a pane's demo mounts.
+ * @param {(demo: object, pane: object) => void} [options.onUnmount] Called before a pane's demo is disposed.
+ * @param {(pane: object) => void} [options.onActivate] Called when the user focuses another pane.
+ * @returns {{ element: HTMLElement, update: Function, dispose: Function, readonly comparison: object,
+ *   readonly activeIndex: number, readonly activePane: object|null, readonly panes: object[] }}
+ */
+export function createComparisonView(container, { demos, loadTimeout, onChange, onMount, onUnmount, onActivate }) {
+    const cameraSync = createCameraSync();
+    const views = []; // { root, select, paramsInput, syncCheckbox, pane, sync }
+    let comparison = { layout: 2, panes: [] };
+    let activeIndex = -1;
+
+    const grid = document.createElement('div');
+    grid.className = 'compare-grid';
+    container.innerHTML = '';
+    container.appendChild(grid);
+
+    function applySync(view) {
+        const demo = view.pane.demo;
+        if (!demo) return;
+        view.syncCheckbox.disabled = !canSyncCamera(demo);
+        if (view.sync && canSyncCamera(demo)) {
+            cameraSync.add(demo);
+        } else {
+            cameraSync.remove(demo);
+        }
+    }
+
+    function emitChange(index, changes) {
+        const next = {
+            layout: comparison.layout,
+            panes: comparison.panes.map((pane, i) => (i === index ? { ...pane, ...changes } : pane)),
+        };
+        if (onChange) {
+            onChange(next);
+        } else {
+            update(next);
+        }
+    }
+
+    function setActive(index) {
+        const changed = index !== activeIndex;
+        activeIndex = index;
+        views.forEach((view, i) => view.root.classList.toggle('active', i === index));
+        if (changed && onActivate && views[index]) onActivate(views[index].pane);
+    }
+
+    function createView(index) {
+        const root = document.createElement('section');
+        root.className = 'compare-pane';
+        root.dataset.pane = PANE_IDS[index];
+
+        const toolbar = document.createElement('form');
+        toolbar.className = 'compare-toolbar';
+        toolbar.addEventListener('submit', event => event.preventDefault());
+
+        const select = document.createElement('select');
+        select.setAttribute('aria-label', `Pane ${PANE_IDS[index].toUpperCase()} demo`);
+        Object.entries(demos).forEach(([key, entry]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = entry.title || key;
+            select.appendChild(option);
+        });
+
+        const paramsInput = document.createElement('input');
+        paramsInput.type = 'text';
+        paramsInput.placeholder = 'name=value&...';
+        paramsInput.spellcheck = false;
+        paramsInput.setAttribute('aria-label', `Pane ${PANE_IDS[index].toUpperCase()} parameters`);
+
+        const syncLabel = document.createElement('label');
+        syncLabel.className = 'compare-sync';
+        const syncCheckbox = document.createElement('input');
+        syncCheckbox.type = 'checkbox';
+        syncLabel.append(syncCheckbox, ' Sync camera');
+
+        toolbar.append(select, paramsInput, syncLabel);
+
+        const stage = document.createElement('div');
+        stage.className = 'compare-stage';
+        root.append(toolbar, stage);
+
+        const view = { root, select, paramsInput, syncCheckbox, sync: false, pane: null };
+        view.pane = createDemoPane(stage, {
+            demos,
+            loadTimeout,
+            onMount: (demo) => {
+                applySync(view);
+                if (onMount) onMount(demo, view.pane);
+            },
+            onUnmount: (demo) => {
+                cameraSync.remove(demo);
+                if (onUnmount) onUnmount(demo, view.pane);
+            },
+        });
+
+        // A new demo starts from its defaults; the old parameters rarely mean anything to it
+        select.addEventListener('change', () => emitChange(views.indexOf(view), { key: select.value, params: {} }));
+        paramsInput.addEventListener('change', () => emitChange(views.indexOf(view), { params: parseParams(paramsInput.value) }));
+        syncCheckbox.addEventListener('change', () => emitChange(views.indexOf(view), { sync: syncCheckbox.checked }));
+        // Capture phase, so demos that stop propagation (orbit controls, lil-gui) still activate the pane
+        root.addEventListener('pointerdown', () => setActive(views.indexOf(view)), true);
+
+        grid.appendChild(root);
+        return view;
+    }
+
+    function removeView(view) {
+        view.pane.dispose();
+        view.root.remove();
+    }
+
+    /**
+     * Shows `next`, reloading only the panes whose demo or parameters changed.
+     *
+     * @param {{ layout: number, panes: Array<{ key: string, params: object, sync: boolean }> }} next
+     */
+    function update(next) {
+        comparison = { layout: next.layout, panes: next.panes.slice(0, next.layout) };
+        grid.dataset.layout = String(next.layout);
+
+        while (views.length > next.layout) removeView(views.pop());
+        while (views.length < next.layout) views.push(createView(views.length));
+
+        views.forEach((view, index) => {
+            const { key, params, sync } = comparison.panes[index];
+            view.select.value = key;
+            view.paramsInput.value = formatParams(params);
+            view.syncCheckbox.checked = sync;
+            view.sync = sync;
+
+            const unchanged = view.pane.key === key && formatParams(view.pane.params) === formatParams(params);
+            if (unchanged) {
+                applySync(view);
+            } else {
+                view.pane.load(key, params);
+            }
+        });
+
+        setActive(Math.max(0, Math.min(activeIndex, views.length - 1)));
+    }
+
+    return {
+        element: grid,
+        update,
+
+        get comparison() {
+            return comparison;
+        },
+
+        get activeIndex() {
+            return activeIndex;
+        },
+
+        get activePane() {
+            return views[activeIndex]?.pane ?? null;
+        },
+
+        get panes() {
+            return views.map(view => view.pane);
+        },
+
+        /** Disposes every pane and removes the view. */
+        dispose() {
+            cameraSync.clear();
+            views.splice(0).forEach(removeView);
+            grid.remove();
+        },
+    };
+}
@@ -0,0 +1,187 @@
+import { resizeService, fitRendererToSize } from './resize-service.js';
+import { leakDetector } from './leak-detector.js';
+
+/**
+ * Demo lifecycle contract
+ *
+ * Every module registered in `demos.js` exports `init(container, options)`.
+ * `init` renders into `container` and returns a demo instance:
+ *
+ *   {
+ *     dispose(),              // required: stop loops, release GPU resources, remove DOM
+ *     pause(), resume(),      // optional: suspend/continue animation
+ *     resize(width, height),  // optional: extra work after a container size change
+ *     getState(), setState(), // optional: JSON-serializable snapshot of the demo (share links)
+ *     getStats(),             // optional: { label: number } counters for the performance HUD
+ *     scene, camera,          // optional: exposed for tests and shell tooling
+ *     renderer, controls,
+ *     gui,                    // optional: the demo's lil-gui panel
+ *     seed,                   // optional: seed of the demo's random numbers
+ *     actions,                // optional: { name: (...args) => result or Promise } the shell
+ *                             //   and embedding hosts can trigger, e.g. the cube's shuffle
+ *   }
+ *
+ * `options` holds the route parameters plus `signal`, `events` (see utils/event-bus.js) and, for
+ * thumbnails, a `loop` of their own that demos hand to `createDemoContext`.
+ *
+ * Metadata ({ title, description, tags, ... }) comes from the demo's manifest entry in
+ * `demos.js`; a module may also export a `metadata` object to override it.
+ *
+ * Demos don't handle resizing themselves. `mount` watches the container and, on every size or
+ * pixel ratio change, updates the instance's camera and renderer before calling its `resize`.
+ * In dev mode `mount` also checks that `dispose` released everything `init` took (see
+ * utils/leak-detector.js).
+ *
+ * Older demos returned a bare cleanup function, a `{ cleanup }` object or
+ * nothing at all (with a module-level `cleanup` export). `normalizeDemoInstance`
+ * accepts all of those so the shell can treat every demo the same way.
+ */
+
+/**
+ * Turns a demo key such as 'boids-flocking' into a display title ('Boids Flocking').
+ *
+ * @param {string} demoKey
+ * @returns {string}
+ */
+export function formatDemoTitle(demoKey) {
+    return demoKey.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Wraps whatever a demo's `init` returned in an object that implements the full contract.
+ * Missing optional methods become no-ops and `dispose` is made idempotent.
+ *
+ * @param {*} result The value returned by the demo's `init`.
+ * @param {object} [demoModule] The demo module, used for the legacy `cleanup` export.
+ * @param {object} [metadata] Metadata to attach to the instance.
+ * @returns {object} A normalized demo instance.
+ */
+export function normalizeDemoInstance(result, demoModule = {}, metadata = {}) {
+    let source = {};
+    let disposeFn = null;
+
+    if (typeof result === 'function') {
+        disposeFn = result;
+    } else if (result && typeof result === 'object') {
+        source = result;
+        if (typeof result.dispose === 'function') {
+            disposeFn = result.dispose;
+        } else if (typeof result.cleanup === 'function') {
+            disposeFn = result.cleanup;
+        }
+    }
+
+    if (!disposeFn && typeof demoModule.cleanup === 'function') {
+        disposeFn = demoModule.cleanup;
+    }
+
+    if (!disposeFn) {
+        console.warn(`Demo "${metadata.key ?? 'unknown'}" did not provide a dispose function.`);
+        disposeFn = () => {};
+    }
+
+    let disposed = false;
+    let paused = false;
+
+    return {
+        metadata,
+        get scene() { return source.scene ?? null; },
+        get camera() { return source.camera ?? null; },
+        get renderer() { return source.renderer ?? null; },
+        get controls() { return source.controls ?? null; },
+        get gui() { return source.gui ?? null; },
+        get seed() { return source.seed ?? null; },
+        /** Names of the demo's actions. */
+        get actions() { return Object.keys(source.actions ?? {}); },
+        get isDisposed() { return disposed; },
+        get isPaused() { return paused; },
+
+        dispose() {
+            if (disposed) return;
+            disposed = true;
+            disposeFn.call(source);
+        },
+        pause() {
+            if (disposed || paused) return;
+            paused = true;
+            if (typeof source.pause === 'function') source.pause();
+        },
+        resume() {
+            if (disposed || !paused) return;
+            paused = false;
+            if (typeof source.resume === 'function') source.resume();
+        },
+        resize(width, height, pixelRatio) {
+            if (disposed) return;
+            if (source.renderer) fitRendererToSize(source.renderer, source.camera, width, height, pixelRatio);
+            if (typeof source.resize === 'function') source.resize(width, height);
+        },
+        getState() {
+            return typeof source.getState === 'function' ? source.getState() : {};
+        },
+        setState(state) {
+            if (disposed) return;
+            if (typeof source.setState === 'function') source.setState(state);
+        },
+        getStats() {
+            if (disposed || typeof source.getStats !== 'function') return {};
+            return source.getStats();
+        },
+        /**
+         * Runs one of the demo's actions. Resolves once it has finished, with what it returned.
+         * Rejects with a `NotFoundError` for unknown names and an `InvalidStateError` once disposed.
+         */
+        async runAction(name, ...args) {
+            const action = Object.hasOwn(source.actions ?? {}, name) ? source.actions[name] : null;
+            if (typeof action !== 'function') {
+                throw new DOMException(`Demo "${metadata.key ?? 'unknown'}" has no action "${name}".`, 'NotFoundError');
+            }
+            if (disposed) {
+                throw new DOMException(`Demo "${metadata.key ?? 'unknown'}" has been disposed.`, 'InvalidStateError');
+            }
+            return action(...args);
+        },
+    };
+}
+
+/**
+ * Adapts a loaded demo module to the lifecycle contract.
+ *
+ * @param {object} demoModule The result of the demo's dynamic import.
+ * @param {string} demoKey The key the demo is registered under.
+ * @param {object} [manifestEntry] The demo's entry in the manifest.
+ * @returns {{ metadata: object, mount: (container: HTMLElement, options?: object) => object }}
+ */
+export function adaptDemoModule(demoModule, demoKey, manifestEntry = {}) {
+    if (!demoModule || typeof demoModule.init !== 'function') {
+        throw new Error(`Demo "${demoKey}" does not export an init function.`);
+    }
+
+    const { load, ...manifestMetadata } = manifestEntry; // The loader is not metadata
+    const metadata = {
+        key: demoKey,
+        title: formatDemoTitle(demoKey),
+        ...manifestMetadata,
+        ...(demoModule.metadata || {}),
+    };
+
+    return {
+        metadata,
+        mount(container, options = {}) {
+            const leakCheck = leakDetector.start(demoKey);
+            const result = demoModule.init(container, options);
+            const instance = normalizeDemoInstance(result, demoModule, metadata);
+            leakCheck?.mounted(instance);
+
+            const stopResizing = resizeService.observe(container, instance.resize);
+            const dispose = instance.dispose;
+            instance.dispose = () => {
+                if (instance.isDisposed) return;
+                stopResizing();
+                dispose();
+                leakCheck?.disposed();
+            };
+            return instance;
+        },
+    };
+}
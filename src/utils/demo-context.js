@@ -0,0 +1,207 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { renderLoop } from './render-loop.js';
+import { rendererPool } from './renderer-pool.js';
+import { fitRendererToSize } from './resize-service.js';
+
+/**
+ * Demo scaffolding.
+ *
+ * Sets up what nearly every demo starts with (a scene with the standard dark background, a
+ * perspective camera, a pooled renderer sized to the container and damped OrbitControls) and
+ * takes care of tearing it down again:
+ *
+ *   const context = createDemoContext(container, { cameraPosition: [0, 0, 5] });
+ *   const { scene, camera, renderer, controls } = context;
+ *   scene.add(new THREE.Mesh(geometry, material));
+ *   const gui = context.track(new GUI({ autoPlace: false }));
+ *   context.listen(renderer.domElement, 'mousedown', onMouseDown);
+ *   const frame = context.animate(delta => { ...; renderer.render(scene, camera); });
+ *   ...
+ *   return { dispose: context.dispose, pause: () => frame.pause(), ... };
+ *
+ * `dispose` undoes everything passed to `track` (newest first), disposes the controls, then
+ * disposes whatever is still in the scene: geometries, materials with their textures, and lights
+ * with their shadow maps. Objects added to the scene later, such as terrain chunks, are therefore
+ * covered without extra code; only resources taken out of the scene need tracking. Finally the
+ * renderer goes back to the pool, which also removes its canvas.
+ *
+ * Resizing is left to the shell (see utils/demo-adapter.js).
+ */
+
+export const DEFAULT_BACKGROUND = 0x1a1a1a;
+
+/**
+ * Disposes a material and the textures assigned to it.
+ *
+ * @param {THREE.Material} material
+ */
+function disposeMaterial(material) {
+    Object.values(material).forEach(value => {
+        if (value?.isTexture) value.dispose();
+    });
+    material.dispose();
+}
+
+/**
+ * Releases the GPU resources of an object and its descendants and detaches it from its parent.
+ *
+ * @param {THREE.Object3D} root
+ */
+export function disposeObject(root) {
+    root.traverse(object => {
+        object.geometry?.dispose();
+        if (Array.isArray(object.material)) {
+            object.material.forEach(disposeMaterial);
+        } else if (object.material) {
+            disposeMaterial(object.material);
+        }
+        if (object.isLight) object.dispose(); // Frees the shadow map of shadow-casting lights
+    });
+    root.removeFromParent();
+}
+
+// Undoes one tracked resource
+function release(resource) {
+    if (typeof resource === 'function') {
+        resource();
+    } else if (resource.isObject3D) {
+        disposeObject(resource);
+    } else if (resource.isMaterial) {
+        disposeMaterial(resource);
+    } else if (typeof resource.destroy === 'function') {
+        resource.destroy(); // lil-gui, which also removes its element
+    } else if (typeof resource.dispose === 'function') {
+        resource.dispose(); // Geometries, textures, render targets, controls
+    } else if (typeof resource.stop === 'function') {
+        resource.stop(); // Render loop tasks
+    } else if (typeof Node !== 'undefined' && resource instanceof Node) {
+        resource.remove();
+    } else {
+        console.warn('Demo context: does not know how to release', resource);
+    }
+}
+
+/**
+ * Creates the scene, camera, renderer and controls of a demo, plus a registry of everything to
+ * release when it is disposed.
+ *
+ * @param {HTMLElement} container Element the renderer's canvas is appended to.
+ * @param {object} [options]
+ * @param {number|null} [options.background=0x1a1a1a] Scene background color; null for none.
+ * @param {number} [options.fov=75]
+ * @param {number} [options.near=0.1]
+ * @param {number} [options.far=1000]
+ * @param {number[]} [options.cameraPosition=[0, 0, 5]]
+ * @param {object|false} [options.controls] OrbitControls properties to set on top of damping
+ *   (`{ minDistance: 2 }`), or false for a demo that moves its camera itself.
+ * @param {object} [options.loop] Render loop `animate` adds to. Demos pass on `options.loop` from
+ *   `init`, which is unset (the shared loop) except for thumbnails rendered on a loop of their own.
+ * @returns {{ scene: THREE.Scene, camera: THREE.PerspectiveCamera, renderer: THREE.WebGLRenderer,
+ *   controls: OrbitControls|null, track: Function, listen: Function, animate: Function,
+ *   dispose: Function, readonly isDisposed: boolean }}
+ */
+export function createDemoContext(container, {
+    background = DEFAULT_BACKGROUND,
+    fov = 75,
+    near = 0.1,
+    far = 1000,
+    cameraPosition = [0, 0, 5],
+    controls: controlOptions = {},
+    loop = renderLoop,
+} = {}) {
+    const tracked = [];
+    let disposed = false;
+
+    const scene = new THREE.Scene();
+    if (background !== null) scene.background = new THREE.Color(background);
+
+    const camera = new THREE.PerspectiveCamera(fov, container.clientWidth / container.clientHeight, near, far);
+    camera.position.set(...cameraPosition);
+
+    const renderer = rendererPool.acquire(container);
+    fitRendererToSize(renderer, camera, container.clientWidth, container.clientHeight);
+
+    let controls = null;
+    if (controlOptions) {
+        controls = new OrbitControls(camera, renderer.domElement);
+        controls.enableDamping = true;
+        controls.dampingFactor = 0.05;
+        Object.assign(controls, controlOptions);
+        controls.update();
+    }
+
+    const context = {
+        scene,
+        camera,
+        renderer,
+        controls,
+
+        /**
+         * Registers something to release when the demo is disposed and returns it. Accepts
+         * objects (disposed with their descendants and removed from their parent), geometries,
+         * materials (with their textures), textures, render targets, lil-gui panels, DOM nodes,
+         * render loop tasks, anything else with a `dispose` method and cleanup functions.
+         *
+         * @template T
+         * @param {T} resource
+         * @returns {T}
+         */
+        track(resource) {
+            if (disposed) {
+                release(resource); // Late arrivals, e.g. a font that loaded after the demo closed
+            } else {
+                tracked.push(resource);
+            }
+            return resource;
+        },
+
+        /**
+         * Adds an event listener that is removed when the demo is disposed.
+         *
+         * @param {EventTarget} target
+         * @param {string} type
+         * @param {Function} listener
+         * @param {object|boolean} [options]
+         */
+        listen(target, type, listener, options) {
+            target.addEventListener(type, listener, options);
+            context.track(() => target.removeEventListener(type, listener, options));
+        },
+
+        /**
+         * Registers a frame callback with the shared render loop, skipped while the canvas is
+         * offscreen and stopped when the demo is disposed.
+         *
+         * @param {(delta: number, elapsed: number) => void} callback
+         * @param {object} [options] Render loop options, e.g. `{ onDemand: true }`.
+         * @returns {object} The render loop task.
+         */
+        animate(callback, options = {}) {
+            return context.track(loop.add(callback, { element: renderer.domElement, ...options }));
+        },
+
+        /** Releases everything. Safe to call more than once. */
+        dispose() {
+            if (disposed) return;
+            disposed = true;
+            tracked.splice(0).reverse().forEach(resource => {
+                try {
+                    release(resource);
+                } catch (error) {
+                    console.error('Demo context: error while releasing', resource, error);
+                }
+            });
+            controls?.dispose();
+            [...scene.children].forEach(disposeObject);
+            if (scene.background?.isTexture) scene.background.dispose();
+            scene.environment?.dispose();
+            rendererPool.release(renderer); // Also removes the canvas
+        },
+
+        get isDisposed() {
+            return disposed;
+        },
+    };
+    return context;
+}
@@ -0,0 +1,153 @@
+import { createDemoPane } from './demo-pane.js';
+
+/**
+ * Embeddable demo element.
+ *
+ * `<repobird-demo>` shows one demo from the manifest on any page, such as docs or slides:
+ *
+ *   <repobird-demo name="boids-flocking" seed="42" controls="false"></repobird-demo>
+ *
+ * - `name`: demo key, as in `#/boids-flocking`
+ * - `seed`: random seed (see utils/random.js); a random one is picked when it is left out
+ * - `controls`: "false" hides the demo's lil-gui panel and turns off its camera controls
+ *
+ * The demo module is only imported once the element comes near the viewport, and the demo is
+ * disposed when the element is removed from the page (moving it within the page keeps it running).
+ * Changing `name` or `seed` reloads the demo, `controls` applies straight away. Loading and error
+ * states come from the demo pane (see utils/demo-pane.js). The element is 400px high and as wide
+ * as its parent unless the page styles it otherwise.
+ *
+ * The shell doesn't use the element; pages embedding demos load `src/embed.js`, which defines it.
+ */
+
+export const DEMO_ELEMENT_TAG = 'repobird-demo';
+
+const STYLE_ID = 'repobird-demo-styles';
+
+// :where() keeps the specificity at zero, so any rule on the host page wins
+const ELEMENT_STYLES = `
+:where(${DEMO_ELEMENT_TAG}) { display: block; position: relative; height: 400px; overflow: hidden; background: #1a1a1a; color: #aaa; }
+:where(.repobird-demo-pane) { position: absolute; inset: 0; display: flex; align-items: center; justify-content: center; }
+:where(.repobird-demo-pane) canvas { display: block; }
+`;
+
+const LOAD_MARGIN = '200px'; // Start loading a little before the element scrolls into view
+
+function injectStyles() {
+    if (document.getElementById(STYLE_ID)) return;
+    const style = document.createElement('style');
+    style.id = STYLE_ID;
+    style.textContent = ELEMENT_STYLES;
+    document.head.appendChild(style);
+}
+
+/**
+ * Reads a boolean attribute written as text, e.g. `controls="false"`. A missing attribute, an
+ * empty one and anything other than "false", "0", "off" or "no" count as true.
+ *
+ * @param {string|null} value
+ * @returns {boolean}
+ */
+export function parseBooleanAttribute(value) {
+    if (value === null) return true;
+    return !['false', '0', 'off', 'no'].includes(value.trim().toLowerCase());
+}
+
+/**
+ * Defines the `<repobird-demo>` element for a demo manifest. Returns the element class already
+ * registered under the tag name, if any.
+ *
+ * @param {object} options
+ * @param {object} options.demos Demo manifest keyed by demo key.
+ * @param {string} [options.tagName='repobird-demo']
+ * @param {CustomElementRegistry} [options.registry]
+ * @returns {CustomElementConstructor}
+ */
+export function defineDemoElement({ demos, tagName = DEMO_ELEMENT_TAG, registry = window.customElements }) {
+    const existing = registry.get(tagName);
+    if (existing) return existing;
+
+    class DemoElement extends HTMLElement {
+        static observedAttributes = ['name', 'seed', 'controls'];
+
+        #pane = null;
+        #observer = null;
+        #loaded = false; // A load has started since the element was attached
+
+        /** The mounted demo instance (see utils/demo-adapter.js), or null. */
+        get demo() {
+            return this.#pane?.demo ?? null;
+        }
+
+        connectedCallback() {
+            if (this.#pane) return; // Moved within the page; still running
+            injectStyles();
+            const element = document.createElement('div');
+            element.className = 'repobird-demo-pane';
+            this.appendChild(element);
+            this.#pane = createDemoPane(element, { demos });
+
+            if (typeof IntersectionObserver === 'undefined') {
+                this.#load();
+                return;
+            }
+            this.#observer = new IntersectionObserver(entries => {
+                if (!entries.some(entry => entry.isIntersecting)) return;
+                this.#observer.disconnect();
+                this.#observer = null;
+                this.#load();
+            }, { rootMargin: LOAD_MARGIN });
+            this.#observer.observe(this);
+        }
+
+        disconnectedCallback() {
+            // Moving the element detaches and re-attaches it in the same task
+            queueMicrotask(() => {
+                if (!this.isConnected) this.#teardown();
+            });
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (oldValue === newValue || !this.#loaded) return;
+            if (name === 'controls') {
+                this.#applyControls(this.demo);
+            } else {
+                this.#load();
+            }
+        }
+
+        #load() {
+            const key = this.getAttribute('name');
+            if (!key) {
+                console.warn(`<${tagName}> needs a name attribute naming the demo to show.`);
+                return;
+            }
+            this.#loaded = true;
+            const params = {};
+            const seed = this.getAttribute('seed');
+            if (seed !== null && seed.trim() !== '') params.seed = seed.trim();
+            this.#pane.load(key, params).then(demo => {
+                if (demo) this.#applyControls(demo);
+            });
+        }
+
+        #applyControls(demo) {
+            if (!demo) return;
+            const enabled = parseBooleanAttribute(this.getAttribute('controls'));
+            demo.gui?.show(enabled);
+            if (demo.controls) demo.controls.enabled = enabled;
+        }
+
+        #teardown() {
+            this.#observer?.disconnect();
+            this.#observer = null;
+            this.#pane?.dispose();
+            this.#pane?.element.remove();
+            this.#pane = null;
+            this.#loaded = false;
+        }
+    }
+
+    registry.define(tagName, DemoElement);
+    return DemoElement;
+}
@@ -0,0 +1,303 @@
+import { adaptDemoModule, formatDemoTitle } from './demo-adapter.js';
+import { withTimeout } from './async.js';
+import { isWebGLAvailable } from './renderer-pool.js';
+import { applySnapshot, captureSnapshot, snapshotParams } from './snapshot.js';
+import { eventBus } from './event-bus.js';
+import { getGuiControllers } from './gui-settings.js';
+
+/**
+ * Demo pane.
+ *
+ * Owns whatever demo is mounted in one element. `load()` supersedes a load still in flight,
+ * disposes the previous demo and shows loading and error states in place:
+ *
+ *   const pane = createDemoPane(element, { demos });
+ *   await pane.load('rubiks-cube', { size: 4 });
+ *   pane.dispose();
+ *
+ * The shell uses a single pane filling `#app-container`, and one per pane in the comparison view
+ * (see utils/comparison.js), so a pane can be switched or torn down without touching the others.
+ *
+ * Without WebGL 2 the pane explains what is missing instead of loading anything. If the mounted
+ * demo's WebGL context is lost (e.g. the GPU process restarted), the demo is paused behind a
+ * notice and, once the browser restores the context, loaded again with the same parameters, seed,
+ * GUI values and camera (see utils/snapshot.js).
+ *
+ * Every pane publishes `demo:loading`, `demo:ready`, `demo:error`, `demo:disposed` and
+ * `param:changed` on the event bus, and hands each demo an `options.events` emitter for its own
+ * events (see utils/event-bus.js). Watching GUI values claims the panel's `onChange`, which
+ * demos therefore must not set on the root GUI.
+ */
+
+const WEBGL_HELP_URL = 'https://get.webgl.org/webgl2/';
+
+const DEFAULT_LOAD_TIMEOUT_MS = 15000; // Give up on a demo module that hasn't resolved by then
+
+/**
+ * Creates a pane that loads demos from the manifest into `element`.
+ *
+ * @param {HTMLElement} element Container the demo renders into; its content is replaced.
+ * @param {object} options
+ * @param {object} options.demos Demo manifest keyed by demo key.
+ * @param {number} [options.loadTimeout=15000] Milliseconds before a pending import is abandoned.
+ * @param {(demo: object) => void} [options.onMount] Called with each demo instance after it mounts.
+ * @param {(demo: object) => void} [options.onUnmount] Called before a mounted demo is disposed.
+ * @param {(key: string, error: Error) => void} [options.onError] Called when a demo can't be
+ *   shown: unknown key, no WebGL, a failed or timed-out import or an error in `init`.
+ * @param {() => boolean} [options.supportsWebGL] Defaults to `isWebGLAvailable`.
+ * @param {object} [options.events] Event bus the pane publishes on; defaults to the shared `eventBus`.
+ * @returns {{ element: HTMLElement, load: (key: string, params?: object) => Promise<object|null>,
+ *   dispose: Function, readonly demo: object|null, readonly key: string|null, readonly params: object }}
+ */
+export function createDemoPane(element, {
+    demos,
+    loadTimeout = DEFAULT_LOAD_TIMEOUT_MS,
+    onMount,
+    onUnmount,
+    onError,
+    supportsWebGL = isWebGLAvailable,
+    events = eventBus,
+}) {
+    let demo = null; // Normalized instance of the mounted demo (see utils/demo-adapter.js)
+    let key = null;
+    let params = {};
+    let unwatchContext = null; // Removes the mounted demo's context loss listeners
+
+    // Controls the most recent load. Aborting it abandons a pending import and tells the
+    // mounted demo (via options.signal) to drop any async work it still has in flight.
+    let loadController = null;
+
+    function unmount() {
+        if (!demo) return;
+        const instance = demo;
+        demo = null;
+        unwatchContext?.();
+        unwatchContext = null;
+        console.log(`Cleaning up previous demo: ${instance.metadata.key}`);
+        try {
+            if (onUnmount) onUnmount(instance);
+            instance.dispose();
+        } catch (error) {
+            console.error(`Error during cleanup of "${instance.metadata.key}":`, error);
+        }
+        events.emit('demo:disposed', { key: instance.metadata.key, element });
+    }
+
+    function fail(demoKey, demoParams, error) {
+        if (onError) onError(demoKey, error);
+        events.emit('demo:error', { key: demoKey, params: demoParams, element, error });
+    }
+
+    // Publishes edits to the demo's parameters, the same controllers settings and presets cover
+    function watchParams(instance, demoKey) {
+        const gui = instance.gui;
+        if (typeof gui?.onChange !== 'function') return;
+        const controllers = getGuiControllers(gui);
+        gui.onChange(({ property, value, controller }) => {
+            if (demo !== instance || controllers.get(property) !== controller) return;
+            events.emit('param:changed', { key: demoKey, element, demo: instance, property, value });
+        });
+    }
+
+    // What a demo gets as `options.events`: its events go out under its key until it is replaced
+    function createDemoEmitter(demoKey, signal) {
+        return {
+            emit(name, detail = {}) {
+                if (signal.aborted) return;
+                events.emit(`${demoKey}:${name}`, { ...detail, key: demoKey, element });
+            },
+        };
+    }
+
+    function showError(message, retry) {
+        element.innerHTML = '';
+        const status = document.createElement('div');
+        status.className = 'demo-status demo-status-error';
+        const text = document.createElement('p');
+        text.textContent = message;
+        status.appendChild(text);
+        if (retry) {
+            const retryButton = document.createElement('button');
+            retryButton.textContent = 'Retry';
+            retryButton.addEventListener('click', retry);
+            status.appendChild(retryButton);
+        }
+        element.appendChild(status);
+    }
+
+    function showWebGLUnavailable(formattedName) {
+        element.innerHTML = '';
+        const status = document.createElement('div');
+        status.className = 'demo-status demo-status-error demo-status-webgl';
+        const title = document.createElement('h2');
+        title.textContent = 'WebGL is not available';
+        const text = document.createElement('p');
+        text.textContent = `${formattedName} draws with WebGL 2, which this browser can't provide. It may be `
+            + 'turned off in the browser settings or by policy, or the graphics driver may not support it, '
+            + 'as in virtual machines without GPU acceleration. Enabling hardware acceleration or opening '
+            + 'the page in another browser usually helps.';
+        const link = document.createElement('a');
+        link.href = WEBGL_HELP_URL;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = 'Check WebGL 2 support';
+        status.append(title, text, link);
+        element.appendChild(status);
+    }
+
+    // Pauses the demo while its context is gone and reloads it once the browser brings it back
+    function watchContext(instance, demoKey, demoParams) {
+        const canvas = instance.renderer?.domElement;
+        if (!canvas) return null;
+        let snapshot = null;
+        let notice = null;
+
+        function onLost(event) {
+            event.preventDefault(); // Without this the browser never restores the context
+            console.warn(`WebGL context of "${demoKey}" was lost, pausing it until the context is restored.`);
+            snapshot = captureSnapshot(instance, demoParams);
+            instance.pause();
+            notice = document.createElement('div');
+            notice.className = 'demo-status demo-status-overlay';
+            const text = document.createElement('p');
+            text.textContent = 'The graphics context was lost. Waiting for the browser to restore it...';
+            const reloadButton = document.createElement('button');
+            reloadButton.textContent = 'Reload now';
+            reloadButton.addEventListener('click', reload);
+            notice.append(text, reloadButton);
+            element.appendChild(notice);
+        }
+
+        function reload() {
+            console.log(`Reloading "${demoKey}" after the loss of its WebGL context.`);
+            const restored = snapshot ?? captureSnapshot(instance, demoParams);
+            pane.load(demoKey, snapshotParams(restored)).then(next => {
+                if (next) applySnapshot(next, restored);
+            });
+        }
+
+        canvas.addEventListener('webglcontextlost', onLost);
+        canvas.addEventListener('webglcontextrestored', reload);
+        return () => {
+            canvas.removeEventListener('webglcontextlost', onLost);
+            canvas.removeEventListener('webglcontextrestored', reload);
+            notice?.remove();
+        };
+    }
+
+    const pane = {
+        element,
+
+        get demo() {
+            return demo;
+        },
+
+        /** Key of the demo most recently requested, whether or not it has mounted yet. */
+        get key() {
+            return key;
+        },
+
+        get params() {
+            return params;
+        },
+
+        /**
+         * Replaces the pane's demo. Resolves with the mounted instance, or null if the load
+         * failed or was superseded.
+         *
+         * @param {string} demoKey
+         * @param {object} [demoParams] Passed to the demo's `init` options.
+         * @returns {Promise<object|null>}
+         */
+        async load(demoKey, demoParams = {}) {
+            // 1. Supersede any load still in flight and cleanup previous demo
+            if (loadController) {
+                loadController.abort();
+            }
+            const controller = new AbortController();
+            loadController = controller;
+            const { signal } = controller;
+            key = demoKey;
+            params = demoParams;
+            unmount();
+
+            // 2. Clear container content
+            element.innerHTML = '';
+            events.emit('demo:loading', { key: demoKey, params: demoParams, element });
+
+            // 3. Check if demo exists
+            if (!demos[demoKey]) {
+                console.error(`Demo "${demoKey}" not found.`);
+                showError(`Error: Demo "${demoKey}" not found.`);
+                fail(demoKey, demoParams, new DOMException(`Demo "${demoKey}" not found.`, 'NotFoundError'));
+                return null;
+            }
+
+            // 4. Show loading message, or why nothing can be shown
+            const formattedName = demos[demoKey].title || formatDemoTitle(demoKey);
+            if (!supportsWebGL()) {
+                console.error(`Demo "${demoKey}" needs WebGL 2, which is not available.`);
+                showWebGLUnavailable(formattedName);
+                fail(demoKey, demoParams, new DOMException('WebGL 2 is not available.', 'NotSupportedError'));
+                return null;
+            }
+            const loadingMessage = document.createElement('p');
+            loadingMessage.textContent = `Loading ${formattedName}...`;
+            element.appendChild(loadingMessage);
+
+            const retry = () => pane.load(demoKey, demoParams);
+
+            // 5. Dynamically import, adapt and mount the demo
+            try {
+                console.log(`Attempting to load demo: ${demoKey}`);
+                const demoModule = await withTimeout(demos[demoKey].load(), loadTimeout, signal);
+                signal.throwIfAborted();
+                const adapted = adaptDemoModule(demoModule, demoKey, demos[demoKey]);
+
+                // Clear loading message only after successful import
+                loadingMessage.remove();
+
+                console.log(`Initializing demo component: ${demoKey}`);
+                demo = adapted.mount(element, { ...demoParams, signal, events: createDemoEmitter(demoKey, signal) });
+                unwatchContext = watchContext(demo, demoKey, demoParams);
+                watchParams(demo, demoKey);
+                if (onMount) onMount(demo);
+                events.emit('demo:ready', { key: demoKey, params: demoParams, element, demo });
+                return demo;
+            } catch (error) {
+                if (signal.aborted) {
+                    // A newer load took over; it owns the element now
+                    console.log(`Load of "${demoKey}" was superseded before init.`);
+                    return null;
+                }
+                loadingMessage.remove();
+                unmount();
+                if (error?.name === 'TimeoutError') {
+                    console.error(`Demo "${demoKey}" did not load within ${loadTimeout}ms.`);
+                    showError(`${formattedName} is taking too long to load.`, retry);
+                } else if (error?.name === 'NotSupportedError') {
+                    console.error(`Demo "${demoKey}" could not create a WebGL renderer:`, error);
+                    showWebGLUnavailable(formattedName);
+                } else {
+                    console.error(`Error loading demo "${demoKey}":`, error);
+                    showError(`Error loading demo: ${formattedName}. Check console for details.`, retry);
+                }
+                fail(demoKey, demoParams, error);
+                return null;
+            }
+        },
+
+        /** Abandons any pending load, disposes the demo and empties the element. */
+        dispose() {
+            if (loadController) {
+                loadController.abort();
+                loadController = null;
+            }
+            unmount();
+            element.innerHTML = '';
+            key = null;
+            params = {};
+        },
+    };
+    return pane;
+}
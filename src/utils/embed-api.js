@@ -0,0 +1,126 @@
+/**
+ * Embedding API.
+ *
+ * Lets a page that frames the demo page (`index.html?embed=1`, see README) drive it with
+ * postMessage. Every message carries the protocol name and version; the host picks an `id` and
+ * gets exactly one response with the same `id`:
+ *
+ *   iframe.contentWindow.postMessage({ protocol: 'repobird-demo', version: 1, id: 1, type: 'hello' }, demoOrigin);
+ *   iframe.contentWindow.postMessage({ protocol: 'repobird-demo', version: 1, id: 2, type: 'action', name: 'shuffle' }, demoOrigin);
+ *
+ *   { protocol: 'repobird-demo', version: 1, id: 2, type: 'response', ok: true, result: { ... } }
+ *   { protocol: 'repobird-demo', version: 1, id: 2, type: 'response', ok: false, error: { name: 'InvalidStateError', message: '...' } }
+ *
+ * Hosts that have sent a valid message also receive events, e.g. when a demo is ready:
+ *
+ *   { protocol: 'repobird-demo', version: 1, type: 'event', event: 'demo:ready', detail: { key: 'rubiks-cube', ... } }
+ *
+ * Only this page's own origin and the origins passed as `allowedOrigins` are answered; messages
+ * from anywhere else are dropped with a warning, and replies and events are only ever posted to
+ * the origin they are meant for. Messages without the protocol name are someone else's and
+ * ignored quietly. A message with another version gets a `NotSupportedError` response.
+ *
+ * The commands themselves come from the shell (see main.js); `hello` is built in and answers
+ * with the protocol version and the command names.
+ */
+
+export const EMBED_PROTOCOL = 'repobird-demo';
+export const EMBED_PROTOCOL_VERSION = 1;
+
+// Errors cross the frame boundary as plain objects; DOMException names say what went wrong
+function serializeError(error) {
+    return {
+        name: error?.name ?? 'Error',
+        message: error?.message ?? String(error),
+    };
+}
+
+/**
+ * Starts answering embedding hosts.
+ *
+ * @param {object} options
+ * @param {object} options.commands Handlers by message type: `(message) => result or Promise`.
+ *   Throw (or reject) to send an error response; results must survive structured cloning.
+ * @param {string[]} [options.allowedOrigins] Origins besides this page's own that may drive it.
+ * @param {Window} [options.target] Window whose messages are handled.
+ * @returns {{ emit: (event: string, detail?: object) => void, dispose: Function, readonly hostCount: number }}
+ */
+export function createEmbedApi({ commands, allowedOrigins = [], target = window }) {
+    const hosts = new Map(); // Origin -> window of each host that has talked to the page
+    const ownOrigin = target.location.origin;
+
+    function isAllowed(origin) {
+        return origin === ownOrigin || allowedOrigins.includes(origin);
+    }
+
+    function post(source, origin, body) {
+        try {
+            source.postMessage({ protocol: EMBED_PROTOCOL, version: EMBED_PROTOCOL_VERSION, ...body }, origin);
+        } catch (error) {
+            // A result that can't be cloned still gets an answer
+            if (body.type !== 'response' || !body.ok) throw error;
+            post(source, origin, { type: 'response', id: body.id, ok: false, error: serializeError(error) });
+        }
+    }
+
+    async function handle(message) {
+        if (message.version !== EMBED_PROTOCOL_VERSION) {
+            throw new DOMException(`Protocol version ${message.version} is not supported; this page speaks version ${EMBED_PROTOCOL_VERSION}.`, 'NotSupportedError');
+        }
+        if (message.type === 'hello') {
+            return { version: EMBED_PROTOCOL_VERSION, commands: ['hello', ...Object.keys(commands)] };
+        }
+        if (!Object.hasOwn(commands, message.type)) {
+            throw new DOMException(`Unknown command "${message.type}".`, 'NotFoundError');
+        }
+        return commands[message.type](message);
+    }
+
+    async function onMessage(event) {
+        const message = event.data;
+        if (!message || typeof message !== 'object' || message.protocol !== EMBED_PROTOCOL) return;
+        if (!isAllowed(event.origin)) {
+            console.warn(`Embed API: ignoring a message from ${event.origin}, which is not an allowed host.`);
+            return;
+        }
+        if (!event.source) return; // Nowhere to reply to
+
+        if (message.version === EMBED_PROTOCOL_VERSION) hosts.set(event.origin, event.source);
+        try {
+            const result = await handle(message);
+            post(event.source, event.origin, { type: 'response', id: message.id, ok: true, result: result ?? null });
+        } catch (error) {
+            post(event.source, event.origin, { type: 'response', id: message.id, ok: false, error: serializeError(error) });
+        }
+    }
+
+    target.addEventListener('message', onMessage);
+
+    return {
+        /**
+         * Sends an event to every host that has talked to the page.
+         *
+         * @param {string} event e.g. 'demo:ready'
+         * @param {object} [detail]
+         */
+        emit(event, detail = {}) {
+            hosts.forEach((source, origin) => {
+                try {
+                    post(source, origin, { type: 'event', event, detail });
+                } catch (error) {
+                    console.warn(`Embed API: could not send "${event}" to ${origin}.`, error);
+                }
+            });
+        },
+
+        /** Stops answering and forgets the hosts. */
+        dispose() {
+            target.removeEventListener('message', onMessage);
+            hosts.clear();
+        },
+
+        get hostCount() {
+            return hosts.size;
+        },
+    };
+}
@@ -0,0 +1,110 @@
+/**
+ * Event bus.
+ *
+ * What happens to demos is published here, so overlays, the embedding API and tests can react
+ * to it without scraping console output:
+ *
+ *   const off = eventBus.on('demo:ready', ({ key, demo }) => console.log(`${key} is running`));
+ *   eventBus.on('rubiks-cube:solved', ({ moves }) => showToast(`Solved in ${moves} moves`));
+ *   off();
+ *
+ * Demo panes (see utils/demo-pane.js) publish the lifecycle of every demo they load:
+ *
+ *   demo:loading   { key, params, element }         the pane started loading a demo
+ *   demo:ready     { key, params, element, demo }   the demo mounted and is running
+ *   demo:error     { key, params, element, error }  it could not be shown (unknown, no WebGL, failed)
+ *   demo:disposed  { key, element }                 it was disposed, e.g. the user switched away
+ *   param:changed  { key, element, demo, property, value }  a value in its lil-gui panel changed
+ *
+ * Demos publish their own events through `options.events.emit(name, detail)`. They arrive here
+ * prefixed with the demo key and with `key` and `element` added to the detail, e.g.
+ * `rubiks-cube:solved` or `procedural-terrain:chunk:generated`. Each demo documents the events
+ * it emits next to `init`.
+ *
+ * `element` is the pane's element and tells the main view, comparison panes and embedded
+ * elements apart. Listeners that throw are reported in the console and don't stop the others.
+ */
+
+/**
+ * Creates an event bus. The shell and the demo panes use the shared `eventBus`.
+ *
+ * @returns {{ on: (type: string, listener: Function) => Function,
+ *   once: (type: string, listener: Function) => Function, emit: (type: string, detail?: object) => void,
+ *   listenerCount: (type: string) => number, clear: Function }}
+ */
+export function createEventBus() {
+    const listeners = new Map(); // Event type, or '*' for every event -> Set of listeners
+
+    function off(type, listener) {
+        const set = listeners.get(type);
+        if (!set) return;
+        set.delete(listener);
+        if (set.size === 0) listeners.delete(type);
+    }
+
+    function call(listener, detail, type) {
+        try {
+            listener(detail, type);
+        } catch (error) {
+            console.error(`Error in a "${type}" event listener:`, error);
+        }
+    }
+
+    return {
+        /**
+         * Calls `listener(detail, type)` for every `type` event, or for every event at all when
+         * `type` is '*'.
+         *
+         * @param {string} type
+         * @param {(detail: object, type: string) => void} listener
+         * @returns {() => void} Removes the listener.
+         */
+        on(type, listener) {
+            if (!listeners.has(type)) listeners.set(type, new Set());
+            listeners.get(type).add(listener);
+            return () => off(type, listener);
+        },
+
+        /**
+         * Like `on`, for the next `type` event only.
+         *
+         * @param {string} type
+         * @param {(detail: object, type: string) => void} listener
+         * @returns {() => void} Removes the listener before it has been called.
+         */
+        once(type, listener) {
+            const remove = this.on(type, (detail, eventType) => {
+                remove();
+                listener(detail, eventType);
+            });
+            return remove;
+        },
+
+        /**
+         * Calls the listeners of `type`, then the '*' listeners, with `detail`.
+         *
+         * @param {string} type
+         * @param {object} [detail]
+         */
+        emit(type, detail = {}) {
+            // Copies, so listeners may unsubscribe or subscribe others while being called
+            [...(listeners.get(type) ?? [])].forEach(listener => call(listener, detail, type));
+            if (type !== '*') [...(listeners.get('*') ?? [])].forEach(listener => call(listener, detail, type));
+        },
+
+        /** Number of listeners for `type`, not counting '*' listeners. */
+        listenerCount(type) {
+            return listeners.get(type)?.size ?? 0;
+        },
+
+        /** Removes every listener. */
+        clear() {
+            listeners.clear();
+        },
+    };
+}
+
+/**
+ * The bus shared by the shell and every demo pane on the page.
+ */
+export const eventBus = createEventBus();
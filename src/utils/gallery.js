@@ -0,0 +1,82 @@
+import { formatHash } from './router.js';
+import { THUMBNAIL_HEIGHT, THUMBNAIL_WIDTH } from './thumbnails.js';
+
+/**
+ * Gallery view.
+ *
+ * A grid of cards, one per demo in the manifest, shown on the `#/gallery` route. Every card links
+ * to its demo and shows the demo's icon until the generated thumbnail (utils/thumbnails.js)
+ * arrives. Thumbnails are requested in manifest order, so the first cards fill in first.
+ */
+
+export const GALLERY_ROUTE = 'gallery';
+
+/**
+ * Renders the gallery into `container`, replacing its content.
+ *
+ * @param {HTMLElement} container
+ * @param {object} options
+ * @param {object} options.demos Demo manifest keyed by demo key.
+ * @param {{ get: (key: string, options?: object) => Promise<Blob> }} [options.thumbnails]
+ *   Thumbnail service; without it cards keep their icons.
+ * @returns {{ element: HTMLElement, dispose: Function }}
+ */
+export function createGallery(container, { demos, thumbnails }) {
+    const controller = new AbortController(); // Abandons thumbnail requests on dispose
+    const objectUrls = [];
+
+    const grid = document.createElement('div');
+    grid.className = 'gallery-grid';
+
+    function createCard(key, entry) {
+        const card = document.createElement('a');
+        card.className = 'gallery-card';
+        card.href = formatHash(key);
+        card.dataset.demoKey = key;
+
+        const image = document.createElement('img');
+        image.className = 'gallery-thumbnail placeholder';
+        image.alt = '';
+        image.width = THUMBNAIL_WIDTH; // Reserves the space before the image loads
+        image.height = THUMBNAIL_HEIGHT;
+        if (entry.thumbnail) image.src = entry.thumbnail;
+
+        const title = document.createElement('h3');
+        title.textContent = entry.title || key;
+
+        const description = document.createElement('p');
+        description.textContent = entry.description || '';
+
+        card.append(image, title, description);
+
+        if (thumbnails) {
+            thumbnails.get(key, { signal: controller.signal }).then(blob => {
+                if (controller.signal.aborted) return;
+                const url = URL.createObjectURL(blob);
+                objectUrls.push(url);
+                image.src = url;
+                image.classList.remove('placeholder');
+            }).catch(error => {
+                if (controller.signal.aborted) return;
+                console.warn(`Gallery: no thumbnail for "${key}".`, error);
+            });
+        }
+        return card;
+    }
+
+    Object.entries(demos).forEach(([key, entry]) => grid.appendChild(createCard(key, entry)));
+
+    container.innerHTML = '';
+    container.appendChild(grid);
+
+    return {
+        element: grid,
+
+        /** Stops thumbnail requests, frees their images and removes the grid. */
+        dispose() {
+            controller.abort();
+            objectUrls.splice(0).forEach(url => URL.revokeObjectURL(url));
+            grid.remove();
+        },
+    };
+}
@@ -0,0 +1,258 @@
+import { createSettingsStore, getGuiControllers, markToolFolder } from './gui-settings.js';
+import { downloadBlob } from './capture.js';
+
+/**
+ * Named GUI presets.
+ *
+ * Adds a "Presets" folder to a demo's lil-gui panel for saving the current values under a name
+ * ("tight flock", "loose swarm"), switching between saved presets and sharing them as JSON files:
+ *
+ *   const settings = persistGuiSettings(gui, { key: 'boids-flocking', version: 1 });
+ *   addGuiPresets(gui, { key: 'boids-flocking', version: 1, onApply: settings.save });
+ *
+ * The folder's own fields are marked with `markToolFolder`, so they are never taken for demo settings.
+ * Presets are kept in localStorage per demo key and settings version (see utils/gui-settings.js).
+ * Exported files look like:
+ *
+ *   { "format": "repobird-demo-presets", "demo": "boids-flocking", "version": 1,
+ *     "presets": { "tight flock": { "separationWeight": 3, "cohesionWeight": 2.5 } } }
+ *
+ * Every preset is checked against the panel before it is imported or applied: each value must
+ * belong to a controller, have its type and lie within the min/max passed to `gui.add` (or be
+ * one of a dropdown's options). Presets that don't fit are rejected with the reason, never clamped.
+ */
+
+export const PRESET_FILE_FORMAT = 'repobird-demo-presets';
+
+const presetStore = createSettingsStore({ prefix: 'repobird-demo:presets:' });
+
+function formatValue(value) {
+    return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+/**
+ * Lists the reasons a preset can't be applied to a set of controllers.
+ *
+ * @param {Map<string, object>} controllers From `getGuiControllers`.
+ * @param {object} values Preset values by property.
+ * @returns {string[]} Empty if the preset fits.
+ */
+export function validatePreset(controllers, values) {
+    if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+        return ['it is not an object of parameter values'];
+    }
+    const errors = [];
+    Object.entries(values).forEach(([property, value]) => {
+        const controller = controllers.get(property);
+        if (!controller) {
+            errors.push(`"${property}" is not a parameter of this demo`);
+            return;
+        }
+        const expected = typeof controller.getValue();
+        if (typeof value !== expected || (expected === 'number' && !Number.isFinite(value))) {
+            errors.push(`"${property}" must be a ${expected}, got ${JSON.stringify(value)}`);
+            return;
+        }
+        const { _min: min, _max: max, _values: options } = controller;
+        if (options && !options.includes(value)) {
+            errors.push(`"${property}" must be one of ${options.map(formatValue).join(', ')}, got ${formatValue(value)}`);
+        } else if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+            errors.push(`"${property}" must be between ${min ?? '-∞'} and ${max ?? '∞'}, got ${value}`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Serializes presets for export.
+ *
+ * @param {string} key Demo key.
+ * @param {number} version Settings version.
+ * @param {object} presets Preset values by name.
+ * @returns {string} JSON text.
+ */
+export function formatPresetFile(key, version, presets) {
+    return `${JSON.stringify({ format: PRESET_FILE_FORMAT, demo: key, version, presets }, null, 2)}\n`;
+}
+
+/**
+ * Reads an exported preset file, keeping the presets that fit the demo's controllers.
+ *
+ * @param {string} text File content.
+ * @param {object} options
+ * @param {string} options.key Demo key the presets must be for.
+ * @param {number} options.version Settings version they must have been exported with.
+ * @param {Map<string, object>} options.controllers From `getGuiControllers`.
+ * @returns {{ presets: object, errors: string[] }} Accepted presets by name and a message for
+ *   everything rejected.
+ */
+export function parsePresetFile(text, { key, version, controllers }) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch {
+        return { presets: {}, errors: ['The file is not valid JSON.'] };
+    }
+    if (file?.format !== PRESET_FILE_FORMAT || typeof file.presets !== 'object' || file.presets === null) {
+        return { presets: {}, errors: ['The file is not a preset export.'] };
+    }
+    if (file.demo !== key) {
+        return { presets: {}, errors: [`The file holds presets for "${file.demo}", not "${key}".`] };
+    }
+    if (file.version !== version) {
+        return { presets: {}, errors: [`The presets were saved with settings version ${file.version}, this demo uses version ${version}.`] };
+    }
+
+    const presets = {};
+    const errors = [];
+    Object.entries(file.presets).forEach(([name, values]) => {
+        const problems = validatePreset(controllers, values);
+        if (problems.length > 0) {
+            errors.push(`Preset "${name}" was rejected: ${problems.join('; ')}.`);
+        } else {
+            presets[name] = values;
+        }
+    });
+    return { presets, errors };
+}
+
+/**
+ * Adds a presets folder to a demo's GUI.
+ *
+ * @param {object} gui lil-gui instance with its controllers already added.
+ * @param {object} options
+ * @param {string} options.key Demo key the presets are stored under.
+ * @param {number} [options.version=1] Settings version, as passed to `persistGuiSettings`.
+ * @param {string[]} [options.exclude] Properties presets don't cover.
+ * @param {Function} [options.onApply] Called after a preset is applied, e.g. to save the settings.
+ * @param {object} [options.store] Defaults to localStorage.
+ * @returns {{ save: (name: string) => void, apply: (name: string) => boolean, remove: (name: string) => void,
+ *   import: (text: string) => { imported: string[], errors: string[] }, export: () => string,
+ *   readonly names: string[] }}
+ */
+export function addGuiPresets(gui, { key, version = 1, exclude = [], onApply, store = presetStore }) {
+    const controllers = getGuiControllers(gui, exclude);
+    let presets = store.load(key, version) ?? {};
+    const state = { preset: '', name: '' };
+
+    const folder = gui.addFolder('Presets');
+    folder.close();
+    markToolFolder(folder);
+    const status = document.createElement('div');
+    status.className = 'gui-preset-status';
+    folder.domElement.appendChild(status);
+
+    function setStatus(message, isError = false) {
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+        if (isError) console.warn(`Presets (${key}): ${message}`);
+    }
+
+    function persist() {
+        if (Object.keys(presets).length > 0) {
+            store.save(key, version, presets);
+        } else {
+            store.clear(key);
+        }
+    }
+
+    function save(name) {
+        const trimmed = String(name ?? '').trim();
+        if (!trimmed) {
+            setStatus('Enter a name for the preset.', true);
+            return;
+        }
+        const values = {};
+        controllers.forEach((controller, property) => { values[property] = controller.getValue(); });
+        presets = { ...presets, [trimmed]: values };
+        persist();
+        state.preset = trimmed;
+        state.name = '';
+        build();
+        setStatus(`Saved "${trimmed}".`);
+    }
+
+    function apply(name) {
+        if (!Object.hasOwn(presets, name)) return false;
+        const values = presets[name];
+        const problems = validatePreset(controllers, values);
+        if (problems.length > 0) {
+            setStatus(`"${name}" no longer fits this demo: ${problems.join('; ')}.`, true);
+            return false;
+        }
+        Object.entries(values).forEach(([property, value]) => controllers.get(property).setValue(value));
+        state.preset = name;
+        if (onApply) onApply(name);
+        setStatus(`Applied "${name}".`);
+        return true;
+    }
+
+    function remove(name) {
+        if (!Object.hasOwn(presets, name)) return;
+        const { [name]: removed, ...rest } = presets;
+        presets = rest;
+        persist();
+        if (state.preset === name) state.preset = '';
+        build();
+        setStatus(`Deleted "${name}".`);
+    }
+
+    function importText(text) {
+        const result = parsePresetFile(text, { key, version, controllers });
+        const imported = Object.keys(result.presets);
+        if (imported.length > 0) {
+            presets = { ...presets, ...result.presets };
+            persist();
+            build();
+        }
+        const summary = imported.length > 0 ? `Imported ${imported.map(name => `"${name}"`).join(', ')}.` : '';
+        setStatus([summary, ...result.errors].filter(Boolean).join(' '), result.errors.length > 0);
+        return { imported, errors: result.errors };
+    }
+
+    function exportText() {
+        return formatPresetFile(key, version, presets);
+    }
+
+    function chooseFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.addEventListener('change', async () => {
+            const file = input.files?.[0];
+            if (file) importText(await file.text());
+        });
+        input.click();
+    }
+
+    // Dropdown options can't be changed in place, so the folder is rebuilt whenever the list changes
+    function build() {
+        folder.children.slice().forEach(child => child.destroy());
+        const names = Object.keys(presets);
+        if (names.length > 0) {
+            if (!names.includes(state.preset)) state.preset = names[0];
+            folder.add(state, 'preset', names).name('Preset').onChange(apply);
+        }
+        folder.add(state, 'name').name('Name');
+        folder.add({ save: () => save(state.name) }, 'save').name('Save preset');
+        if (names.length > 0) {
+            folder.add({ apply: () => apply(state.preset) }, 'apply').name('Apply preset');
+            folder.add({ remove: () => remove(state.preset) }, 'remove').name('Delete preset');
+            folder.add({ exportFile: () => downloadBlob(new Blob([exportText()], { type: 'application/json' }), `${key}-presets.json`) }, 'exportFile').name('Export JSON');
+        }
+        folder.add({ importFile: chooseFile }, 'importFile').name('Import JSON');
+    }
+
+    build();
+
+    return {
+        save,
+        apply,
+        remove,
+        import: importText,
+        export: exportText,
+        get names() {
+            return Object.keys(presets);
+        },
+    };
+}
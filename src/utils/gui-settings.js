@@ -0,0 +1,204 @@
+/**
+ * Persistent GUI settings.
+ *
+ * Saves the values a demo's lil-gui panel edits in localStorage, keyed by demo key, so tuned
+ * parameters survive switching demos and reloading the page:
+ *
+ *   const gui = new GUI({ autoPlace: false });
+ *   gui.add(flockParams, 'separationWeight', 0, 5, 0.1);
+ *   ...
+ *   persistGuiSettings(gui, { key: 'boids-flocking', version: 1 }); // After adding the controllers
+ *
+ * Stored values are applied through the controllers, so the demo's `onChange` handlers run as if
+ * the user had set them, and a "Reset to defaults" button restores the values the controllers
+ * had when the settings were bound. Values are saved whenever an edit finishes (the GUI's
+ * `onFinishChange`, which therefore must not be claimed by the demo).
+ *
+ * Bump `version` when the meaning of a demo's settings changes (renamed parameters, new ranges);
+ * settings saved under another version are discarded. Only number, boolean and string values are
+ * kept, and numbers are clamped to the controller's range.
+ */
+
+const STORAGE_PREFIX = 'repobird-demo:settings:';
+
+/**
+ * Creates a store for demo settings.
+ *
+ * @param {object} [options]
+ * @param {Storage} [options.storage] Defaults to `window.localStorage`.
+ * @param {string} [options.prefix] Prepended to the demo key to form the storage key.
+ * @returns {{ load: Function, save: Function, clear: Function }}
+ */
+export function createSettingsStore({ storage, prefix = STORAGE_PREFIX } = {}) {
+    let warned = false;
+
+    function getStorage() {
+        try {
+            return storage ?? window.localStorage; // Reading localStorage can throw when storage is blocked
+        } catch {
+            return null;
+        }
+    }
+
+    function attempt(action, fallback) {
+        try {
+            const target = getStorage();
+            return target ? action(target) : fallback;
+        } catch (error) {
+            if (!warned) {
+                warned = true;
+                console.warn('Settings: could not access localStorage, settings will not be kept.', error);
+            }
+            return fallback;
+        }
+    }
+
+    return {
+        /**
+         * Reads a demo's saved values.
+         *
+         * @param {string} key Demo key.
+         * @param {number} version Schema version the values must have been saved with.
+         * @returns {object|null}
+         */
+        load(key, version) {
+            return attempt(target => {
+                const text = target.getItem(prefix + key);
+                if (text === null) return null;
+                let record;
+                try {
+                    record = JSON.parse(text);
+                } catch {
+                    record = null;
+                }
+                if (record?.version !== version || typeof record.values !== 'object' || record.values === null) {
+                    target.removeItem(prefix + key); // Corrupt or from another schema version
+                    return null;
+                }
+                return record.values;
+            }, null);
+        },
+
+        /**
+         * @param {string} key Demo key.
+         * @param {number} version
+         * @param {object} values
+         */
+        save(key, version, values) {
+            attempt(target => target.setItem(prefix + key, JSON.stringify({ version, values })));
+        },
+
+        /** @param {string} key Demo key. */
+        clear(key) {
+            attempt(target => target.removeItem(prefix + key));
+        },
+    };
+}
+
+/**
+ * The store shared by every demo on the page.
+ */
+export const settingsStore = createSettingsStore();
+
+const toolFolders = new WeakSet();
+
+/**
+ * Marks a folder whose fields drive a tool rather than the demo (e.g. the presets folder's name
+ * field), so they are never saved, restored or shared as settings.
+ *
+ * @param {object} folder lil-gui folder.
+ */
+export function markToolFolder(folder) {
+    toolFolders.add(folder);
+}
+
+// Controllers holding a value worth saving: not buttons, not color objects, not tool fields
+function isPersistable(controller) {
+    return ['number', 'boolean', 'string'].includes(typeof controller.getValue()) && !toolFolders.has(controller.parent);
+}
+
+/**
+ * Checks a value against what a controller accepts.
+ *
+ * @param {object} controller lil-gui controller.
+ * @param {*} value
+ * @returns {*} The value, clamped to the controller's range for numbers, or undefined if the
+ *   controller can't take it.
+ */
+export function sanitizeGuiValue(controller, value) {
+    const current = controller.getValue();
+    if (typeof value !== typeof current) return undefined;
+    if (controller._values && !controller._values.includes(value)) return undefined; // Dropdown options
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return undefined;
+        if (controller._min !== undefined) value = Math.max(controller._min, value);
+        if (controller._max !== undefined) value = Math.min(controller._max, value);
+    }
+    return value;
+}
+
+/**
+ * Lists a GUI's persistable controllers by property name, including those in folders.
+ *
+ * @param {object} gui lil-gui instance.
+ * @param {string[]} [exclude] Properties to leave out.
+ * @returns {Map<string, object>}
+ */
+export function getGuiControllers(gui, exclude = []) {
+    const controllers = new Map();
+    gui.controllersRecursive().forEach(controller => {
+        if (isPersistable(controller) && !exclude.includes(controller.property)) {
+            controllers.set(controller.property, controller);
+        }
+    });
+    return controllers;
+}
+
+/**
+ * Restores a demo's saved GUI values, saves every later edit and adds a reset button.
+ *
+ * @param {object} gui lil-gui instance with its controllers already added.
+ * @param {object} options
+ * @param {string} options.key Demo key the values are stored under.
+ * @param {number} [options.version=1] Schema version of the demo's settings.
+ * @param {string[]} [options.exclude] Properties that are neither saved nor restored, e.g. ones
+ *   the route sets.
+ * @param {object} [options.store] Defaults to the shared `settingsStore`.
+ * @returns {{ save: Function, reset: Function, readonly defaults: object }}
+ */
+export function persistGuiSettings(gui, { key, version = 1, exclude = [], store = settingsStore }) {
+    const controllers = getGuiControllers(gui, exclude);
+    const defaults = {};
+    controllers.forEach((controller, property) => { defaults[property] = controller.getValue(); });
+
+    function save() {
+        const values = {};
+        controllers.forEach((controller, property) => { values[property] = controller.getValue(); });
+        store.save(key, version, values);
+    }
+
+    function reset() {
+        controllers.forEach((controller, property) => controller.setValue(defaults[property]));
+        store.clear(key);
+    }
+
+    const saved = store.load(key, version) ?? {};
+    controllers.forEach((controller, property) => {
+        if (!(property in saved)) return;
+        const value = sanitizeGuiValue(controller, saved[property]);
+        if (value !== undefined) controller.setValue(value);
+    });
+
+    gui.onFinishChange(({ property, controller }) => {
+        if (controllers.get(property) === controller) save(); // Edits to excluded properties aren't kept
+    });
+    gui.add({ reset }, 'reset').name('Reset to defaults');
+
+    return {
+        save,
+        reset,
+        get defaults() {
+            return { ...defaults };
+        },
+    };
+}
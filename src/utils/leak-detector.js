@@ -0,0 +1,202 @@
+import { renderLoop } from './render-loop.js';
+
+/**
+ * Leak detector.
+ *
+ * A development check on demo cleanup. When enabled, every demo mounted through
+ * `adaptDemoModule` (see utils/demo-adapter.js) is measured right before its `init` and again
+ * right after its `dispose`, and whatever the demo left behind is reported in the console under
+ * its key:
+ *
+ *   Leak check: "boids-flocking" left 2 geometries, 1 texture and 1 window listener after cleanup.
+ *
+ * It counts:
+ *
+ * - geometries and textures still held by the demo's renderer (`renderer.info.memory`). Pooled
+ *   renderers are compared with what the previous demo left on them, fresh ones with zero.
+ * - DOM nodes in the document body (not the head, where lil-gui adds its stylesheet the first
+ *   time a panel is created)
+ * - listeners on `window`, tracked by wrapping `addEventListener` and `removeEventListener`
+ *   (`once` listeners remove themselves and are not counted)
+ * - pending animation frames, tracked by wrapping `requestAnimationFrame`
+ * - tasks on the shared render loop (utils/render-loop.js)
+ *
+ * Apart from the renderer, the counts are page-wide, so while several demos load or unload at
+ * once (the comparison view) a leak can be reported against a neighbouring demo. The shell
+ * enables the detector in dev mode; the latest report per demo key is kept in `reports`.
+ */
+
+const LEAK_LABELS = {
+    geometries: ['geometry', 'geometries'],
+    textures: ['texture', 'textures'],
+    domNodes: ['DOM node', 'DOM nodes'],
+    windowListeners: ['window listener', 'window listeners'],
+    animationFrames: ['pending animation frame', 'pending animation frames'],
+    loopTasks: ['render loop task', 'render loop tasks'],
+};
+
+/**
+ * Describes what a report found, e.g. '2 geometries, 1 texture and 1 window listener'.
+ *
+ * @param {object} report From a leak check, see `createLeakDetector`.
+ * @returns {string} Empty if nothing leaked.
+ */
+export function formatLeaks(report) {
+    const parts = Object.entries(LEAK_LABELS)
+        .filter(([field]) => report[field] > 0)
+        .map(([field, [singular, plural]]) => `${report[field]} ${report[field] === 1 ? singular : plural}`);
+    if (parts.length <= 1) return parts.join('');
+    return `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+}
+
+/**
+ * Creates a leak detector. The shell uses the shared `leakDetector`.
+ *
+ * @param {object} [options]
+ * @param {Window} [options.target] Object whose listeners and animation frames are tracked.
+ * @param {Document|Element} [options.root] Document whose body's nodes are counted, or an element.
+ * @param {object} [options.loop] Render loop whose tasks are counted.
+ * @returns {{ enable: Function, disable: Function, readonly enabled: boolean,
+ *   start: (key: string) => object|null, readonly reports: Map<string, object> }}
+ */
+export function createLeakDetector({ target = window, root = document, loop = renderLoop } = {}) {
+    const listeners = new Map(); // 'type:capture' -> Set of listeners, like the browser dedupes them
+    const frames = new Set();
+    const rendererMemory = new WeakMap(); // Renderer -> memory counts the last checked demo left
+    const reports = new Map();
+    let originals = null;
+
+    function listenerSet(type, capture) {
+        const key = `${type}:${capture}`;
+        if (!listeners.has(key)) listeners.set(key, new Set());
+        return listeners.get(key);
+    }
+
+    function isCapture(options) {
+        return typeof options === 'boolean' ? options : Boolean(options?.capture);
+    }
+
+    function countListeners() {
+        let count = 0;
+        listeners.forEach(set => { count += set.size; });
+        return count;
+    }
+
+    function install() {
+        originals = {
+            addEventListener: target.addEventListener,
+            removeEventListener: target.removeEventListener,
+            requestAnimationFrame: target.requestAnimationFrame,
+            cancelAnimationFrame: target.cancelAnimationFrame,
+        };
+
+        target.addEventListener = function (type, listener, options) {
+            originals.addEventListener.call(this, type, listener, options);
+            if (!listener || options?.once || options?.signal?.aborted) return;
+            const set = listenerSet(type, isCapture(options));
+            set.add(listener);
+            options?.signal?.addEventListener('abort', () => set.delete(listener), { once: true });
+        };
+        target.removeEventListener = function (type, listener, options) {
+            originals.removeEventListener.call(this, type, listener, options);
+            listeners.get(`${type}:${isCapture(options)}`)?.delete(listener);
+        };
+        target.requestAnimationFrame = function (callback) {
+            const id = originals.requestAnimationFrame.call(this, time => {
+                frames.delete(id);
+                callback(time);
+            });
+            frames.add(id);
+            return id;
+        };
+        target.cancelAnimationFrame = function (id) {
+            frames.delete(id);
+            originals.cancelAnimationFrame.call(this, id);
+        };
+    }
+
+    function uninstall() {
+        Object.assign(target, originals);
+        originals = null;
+        listeners.clear();
+        frames.clear();
+    }
+
+    function measure() {
+        return {
+            domNodes: (root.body ?? root).getElementsByTagName('*').length,
+            windowListeners: countListeners(),
+            animationFrames: frames.size,
+            loopTasks: loop.size,
+        };
+    }
+
+    return {
+        /** Starts tracking listeners and animation frames, and checking demos as they mount. */
+        enable() {
+            if (!originals) install();
+        },
+
+        /** Stops checking and restores the wrapped methods. */
+        disable() {
+            if (originals) uninstall();
+        },
+
+        get enabled() {
+            return originals !== null;
+        },
+
+        /**
+         * Begins checking a demo. Call right before its `init`, then `mounted(instance)` once it
+         * returns and `disposed()` once it has been cleaned up.
+         *
+         * @param {string} key Demo key the report is filed under.
+         * @returns {{ mounted: (instance: object) => void, disposed: () => object }|null} Null
+         *   while the detector is disabled.
+         */
+        start(key) {
+            if (!originals) return null;
+            const before = measure();
+            let renderer = null;
+
+            return {
+                mounted(instance) {
+                    renderer = instance.renderer ?? null;
+                },
+
+                disposed() {
+                    const after = measure();
+                    const report = { key };
+                    Object.keys(after).forEach(field => {
+                        report[field] = Math.max(0, after[field] - before[field]);
+                    });
+
+                    const memory = renderer?.info?.memory;
+                    const previous = renderer ? rendererMemory.get(renderer) : null;
+                    report.geometries = memory ? Math.max(0, memory.geometries - (previous?.geometries ?? 0)) : 0;
+                    report.textures = memory ? Math.max(0, memory.textures - (previous?.textures ?? 0)) : 0;
+                    if (memory) rendererMemory.set(renderer, { geometries: memory.geometries, textures: memory.textures });
+
+                    reports.set(key, report);
+                    const leaks = formatLeaks(report);
+                    if (leaks) {
+                        console.warn(`Leak check: "${key}" left ${leaks} after cleanup.`);
+                    } else {
+                        console.log(`Leak check: "${key}" released everything.`);
+                    }
+                    return report;
+                },
+            };
+        },
+
+        /** Latest report per demo key. */
+        get reports() {
+            return reports;
+        },
+    };
+}
+
+/**
+ * The detector the demo adapter reports to. Disabled until the shell enables it.
+ */
+export const leakDetector = createLeakDetector();
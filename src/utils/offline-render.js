@@ -0,0 +1,131 @@
+import * as THREE from 'three';
+import { renderLoop } from './render-loop.js';
+import { clampCaptureScale, encodePng, renderToImageData } from './capture.js';
+import { createZipWriter } from './zip.js';
+
+/**
+ * Offline rendering.
+ *
+ * Renders the active demo frame by frame on a fixed virtual clock, for footage that can't drop
+ * frames the way real-time recording does when a frame takes too long (boids, terrain chunk
+ * generation). The render loop is switched to manual mode (see utils/render-loop.js) and every
+ * frame advances it by exactly `1 / fps` seconds, however long the frame takes to render and
+ * encode. Demos therefore have to take their time from the loop's `delta`/`elapsed` rather than
+ * `THREE.Clock`, `Date.now()` or timers.
+ *
+ * Frames are rendered like stills (utils/capture.js), so scale and transparency work the same.
+ * They are handed to a sink one at a time: `createZipSink` collects them into a ZIP and
+ * `createDirectorySink` writes them to a folder picked with the File System Access API.
+ */
+
+/**
+ * Name of frame `index` in a sequence, e.g. `starfield-00042.png`.
+ *
+ * @param {string} prefix
+ * @param {number} index
+ * @returns {string}
+ */
+export function frameFilename(prefix, index) {
+    return `${prefix}-${String(index).padStart(5, '0')}.png`;
+}
+
+/**
+ * Renders `frames` frames of a demo and passes each PNG to `onFrame`.
+ *
+ * @param {object} demo A normalized demo instance (see utils/demo-adapter.js).
+ * @param {object} options
+ * @param {number} options.frames Number of frames to render.
+ * @param {number} [options.fps=60] Frames per second of virtual time.
+ * @param {number} [options.scale=1] Multiple of the canvas size.
+ * @param {boolean} [options.transparent=false]
+ * @param {(blob: Blob, index: number) => (void|Promise<void>)} options.onFrame Receives each frame.
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal] Stops the render between frames.
+ * @param {object} [options.loop] Render loop driving the demo, defaults to the shared one.
+ * @returns {Promise<void>}
+ */
+export async function renderOffline(demo, {
+    frames,
+    fps = 60,
+    scale = 1,
+    transparent = false,
+    onFrame,
+    onProgress,
+    signal,
+    loop = renderLoop,
+}) {
+    const { renderer, scene, camera } = demo;
+    if (!renderer || !scene || !camera) {
+        throw new Error(`Demo "${demo.metadata?.key ?? 'unknown'}" does not expose a renderer, scene and camera to render.`);
+    }
+    if (!Number.isInteger(frames) || frames < 1) {
+        throw new RangeError(`Offline render: frames must be a positive integer, got ${frames}.`);
+    }
+    if (!(fps > 0)) {
+        throw new RangeError(`Offline render: fps must be positive, got ${fps}.`);
+    }
+
+    const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+    const actualScale = clampCaptureScale(renderer, size.x, size.y, scale);
+    const width = size.x * actualScale;
+    const height = size.y * actualScale;
+
+    loop.setManual(true);
+    try {
+        for (let index = 0; index < frames; index++) {
+            signal?.throwIfAborted();
+
+            // Frame 0 shows the current state; every later frame is exactly 1/fps later
+            loop.tick((index * 1000) / fps);
+            const imageData = renderToImageData(renderer, scene, camera, width, height, { transparent });
+            const blob = await encodePng(imageData);
+            await onFrame(blob, index);
+            onProgress?.(index + 1, frames);
+        }
+    } finally {
+        loop.setManual(false);
+    }
+}
+
+/**
+ * Collects frames into a ZIP archive.
+ *
+ * @param {string} prefix Frame name prefix, see `frameFilename`.
+ * @returns {{ onFrame: Function, finish: () => Blob }}
+ */
+export function createZipSink(prefix) {
+    const zip = createZipWriter();
+    return {
+        onFrame: (blob, index) => zip.add(frameFilename(prefix, index), blob),
+        finish: () => zip.finish(),
+    };
+}
+
+/**
+ * Whether frames can be written straight to a folder (File System Access API, Chromium).
+ *
+ * @returns {boolean}
+ */
+export function isDirectoryOutputSupported() {
+    return typeof window.showDirectoryPicker === 'function';
+}
+
+/**
+ * Asks for a folder and writes each frame into it as it is rendered.
+ * Rejects with an AbortError if the user cancels the picker.
+ *
+ * @param {string} prefix Frame name prefix, see `frameFilename`.
+ * @returns {Promise<{ onFrame: Function, name: string }>}
+ */
+export async function createDirectorySink(prefix) {
+    const directory = await window.showDirectoryPicker({ id: 'offline-render', mode: 'readwrite' });
+    return {
+        name: directory.name,
+        async onFrame(blob, index) {
+            const file = await directory.getFileHandle(frameFilename(prefix, index), { create: true });
+            const writable = await file.createWritable();
+            await writable.write(blob);
+            await writable.close();
+        },
+    };
+}
@@ -0,0 +1,222 @@
+import { renderLoop } from './render-loop.js';
+
+/**
+ * Performance HUD.
+ *
+ * A toggleable overlay for comparing frame cost across demos. It shows:
+ *
+ * - FPS and the time spent in render loop callbacks, with a graph of recent frames
+ * - `renderer.info` draw calls, triangles, geometries and textures of the attached demo
+ * - the JS heap size, in browsers that expose `performance.memory`
+ * - counters the demo reports from its optional `getStats()` (see utils/demo-adapter.js),
+ *   e.g. `{ 'Active chunks': 42 }`
+ *
+ * The shell attaches the current demo instance and detaches it on cleanup. While the HUD is
+ * hidden it doesn't listen to frames, so it costs nothing.
+ */
+
+const GRAPH_SAMPLES = 120; // Frames shown in the graph, two seconds at 60fps
+const GRAPH_MAX_MS = 33; // Graph ceiling; bars above it are clipped
+const FRAME_BUDGET_MS = 1000 / 60;
+const TEXT_UPDATE_INTERVAL_MS = 250;
+
+/**
+ * Formats a byte count for display, e.g. `12.3 MB`.
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Collects the rows the HUD shows for a demo instance.
+ *
+ * @param {object} frameStats `{ fps, frameTime, maxFrameTime }` with times in milliseconds.
+ * @param {object|null} demo A normalized demo instance.
+ * @returns {Array<[string, string]>} Label/value pairs.
+ */
+export function collectPerfRows({ fps, frameTime, maxFrameTime }, demo) {
+    const rows = [
+        ['FPS', String(Math.round(fps))],
+        ['Frame', `${frameTime.toFixed(1)} ms (max ${maxFrameTime.toFixed(1)})`],
+    ];
+
+    const info = demo?.renderer?.info;
+    if (info) {
+        rows.push(
+            ['Draw calls', String(info.render.calls)],
+            ['Triangles', info.render.triangles.toLocaleString()],
+            ['Geometries', String(info.memory.geometries)],
+            ['Textures', String(info.memory.textures)],
+        );
+    }
+
+    const memory = typeof performance !== 'undefined' ? performance.memory : undefined;
+    if (memory) {
+        rows.push(['JS heap', formatBytes(memory.usedJSHeapSize)]);
+    }
+
+    if (demo) {
+        let stats = {};
+        try {
+            stats = demo.getStats() || {};
+        } catch (error) {
+            console.error('Performance HUD: getStats() threw.', error);
+        }
+        Object.entries(stats).forEach(([label, value]) => {
+            rows.push([label, typeof value === 'number' ? value.toLocaleString() : String(value)]);
+        });
+    }
+
+    return rows;
+}
+
+/**
+ * Creates the HUD overlay. It starts hidden.
+ *
+ * @param {object} [options]
+ * @param {object} [options.loop] Render loop to measure, defaults to the shared `renderLoop`.
+ * @param {HTMLElement} [options.parent] Element the overlay is appended to.
+ * @returns {{ element: HTMLElement, attach: Function, detach: Function, show: Function,
+ *   hide: Function, toggle: Function, dispose: Function, readonly visible: boolean }}
+ */
+export function createPerfHud({ loop = renderLoop, parent = document.body } = {}) {
+    const element = document.createElement('div');
+    element.className = 'perf-hud';
+    element.hidden = true;
+
+    const graph = document.createElement('canvas');
+    graph.className = 'perf-hud-graph';
+    graph.width = GRAPH_SAMPLES;
+    graph.height = 40;
+    const graphContext = graph.getContext('2d');
+
+    const table = document.createElement('dl');
+    element.append(graph, table);
+    parent.appendChild(element);
+
+    let demo = null;
+    let removeFrameListener = null;
+    let textTimer = null;
+
+    const frameTimes = []; // Callback cost of the last GRAPH_SAMPLES frames, in ms
+    const frameStamps = []; // Timestamps of the frames in the last second
+
+    function onFrame(duration, time) {
+        frameTimes.push(duration);
+        if (frameTimes.length > GRAPH_SAMPLES) frameTimes.shift();
+        frameStamps.push(time);
+        while (frameStamps.length && frameStamps[0] <= time - 1000) frameStamps.shift();
+        drawGraph();
+    }
+
+    function drawGraph() {
+        if (!graphContext) return;
+        const { width, height } = graph;
+        graphContext.clearRect(0, 0, width, height);
+
+        const offset = width - frameTimes.length;
+        frameTimes.forEach((duration, i) => {
+            const barHeight = Math.min(duration / GRAPH_MAX_MS, 1) * height;
+            graphContext.fillStyle = duration > FRAME_BUDGET_MS ? '#e05555' : '#55c080';
+            graphContext.fillRect(offset + i, height - barHeight, 1, barHeight);
+        });
+
+        // 60fps budget line
+        const budgetY = height - (FRAME_BUDGET_MS / GRAPH_MAX_MS) * height;
+        graphContext.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        graphContext.fillRect(0, Math.round(budgetY), width, 1);
+    }
+
+    function updateText() {
+        // Frames stop arriving when nothing renders, so age out the FPS samples here too
+        const now = performance.now();
+        while (frameStamps.length && frameStamps[0] <= now - 1000) frameStamps.shift();
+
+        // Average over the last second, the same frames FPS is counted from
+        const recent = frameStamps.length ? frameTimes.slice(-frameStamps.length) : [];
+        const frameTime = recent.length ? recent.reduce((sum, t) => sum + t, 0) / recent.length : 0;
+        const maxFrameTime = recent.length ? Math.max(...recent) : 0;
+
+        const rows = collectPerfRows({ fps: frameStamps.length, frameTime, maxFrameTime }, demo);
+        table.replaceChildren(...rows.flatMap(([label, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            return [dt, dd];
+        }));
+    }
+
+    function resetSamples() {
+        frameTimes.length = 0;
+        frameStamps.length = 0;
+        drawGraph();
+    }
+
+    const hud = {
+        element,
+
+        get visible() {
+            return !element.hidden;
+        },
+
+        /**
+         * Shows stats for a demo instance, replacing the previously attached one.
+         *
+         * @param {object} instance A normalized demo instance.
+         */
+        attach(instance) {
+            demo = instance;
+            resetSamples();
+            if (hud.visible) updateText();
+        },
+
+        /**
+         * Stops showing stats for the attached demo.
+         */
+        detach() {
+            demo = null;
+            resetSamples();
+            if (hud.visible) updateText();
+        },
+
+        show() {
+            if (hud.visible) return;
+            element.hidden = false;
+            resetSamples();
+            removeFrameListener = loop.onFrame(onFrame);
+            textTimer = setInterval(updateText, TEXT_UPDATE_INTERVAL_MS);
+            updateText();
+        },
+
+        hide() {
+            if (!hud.visible) return;
+            element.hidden = true;
+            removeFrameListener();
+            removeFrameListener = null;
+            clearInterval(textTimer);
+            textTimer = null;
+        },
+
+        toggle() {
+            if (hud.visible) {
+                hud.hide();
+            } else {
+                hud.show();
+            }
+        },
+
+        dispose() {
+            hud.hide();
+            demo = null;
+            element.remove();
+        },
+    };
+
+    return hud;
+}
@@ -0,0 +1,122 @@
+/**
+ * Seeded random numbers.
+ *
+ * Demos draw every random number from a generator made from their `seed` option instead of
+ * `Math.random`, so a seed always produces the same scene: the same boids, stars, particle
+ * sprays, terrain and cube shuffles. The seed comes from the route (`#/starfield?seed=42`) or is
+ * picked at random, and the demo exposes it as `seed` so the shell can show it and put it in links:
+ *
+ *   const random = createRandom(options.seed);
+ *   star.x = random.spread(1000);
+ *   ...
+ *   return { dispose, seed: random.seed };
+ *
+ * Seeds are integers or strings (hashed to 32 bits). The generator is mulberry32: fast, small
+ * and good enough for visuals, not for anything security-related.
+ */
+
+const MAX_GENERATED_SEED = 1000000; // Generated seeds stay short enough to read out and type
+
+// 32-bit FNV-1a of a string's UTF-16 code units
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// 42 and '42' are the same seed, since route parameters may arrive either way
+function seedToState(seed) {
+    const text = String(seed).trim();
+    return /^\d+$/.test(text) && Number(text) <= 0xffffffff ? Number(text) : hashString(text);
+}
+
+/**
+ * Whether a value can seed a generator: a finite number or a non-empty string.
+ *
+ * @param {*} seed
+ * @returns {boolean}
+ */
+export function isValidSeed(seed) {
+    return (typeof seed === 'number' && Number.isFinite(seed)) || (typeof seed === 'string' && seed.trim() !== '');
+}
+
+/**
+ * Picks a fresh seed, for demos opened without one.
+ *
+ * @returns {number} Integer below one million.
+ */
+export function randomSeed() {
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        return crypto.getRandomValues(new Uint32Array(1))[0] % MAX_GENERATED_SEED;
+    }
+    return Math.floor(Math.random() * MAX_GENERATED_SEED);
+}
+
+/**
+ * Creates a seeded generator.
+ *
+ * @param {number|string} [seed] Picked with `randomSeed()` when missing; invalid seeds are
+ *   replaced the same way, with a warning.
+ * @returns {{ readonly seed: number|string, next: () => number, float: (min: number, max: number) => number,
+ *   spread: (range: number) => number, int: (max: number) => number, pick: (items: Array) => *,
+ *   direction: (target: object) => object }}
+ */
+export function createRandom(seed) {
+    if (seed !== undefined && seed !== null && !isValidSeed(seed)) {
+        console.warn(`Random: ignoring invalid seed ${JSON.stringify(seed)}.`);
+        seed = undefined;
+    }
+    const value = seed ?? randomSeed();
+    let state = seedToState(value);
+
+    // mulberry32
+    function next() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    return {
+        get seed() {
+            return value;
+        },
+
+        /** Uniform number in [0, 1), a drop-in for `Math.random`. */
+        next,
+
+        /** Uniform number in [min, max). */
+        float(min, max) {
+            return min + next() * (max - min);
+        },
+
+        /** Uniform number in [-range / 2, range / 2), like `THREE.MathUtils.randFloatSpread`. */
+        spread(range) {
+            return range * (0.5 - next());
+        },
+
+        /** Integer in [0, max). */
+        int(max) {
+            return Math.floor(next() * max);
+        },
+
+        /** One of `items`. */
+        pick(items) {
+            return items[Math.floor(next() * items.length)];
+        },
+
+        /**
+         * Sets `target` (e.g. a `THREE.Vector3`) to a uniformly distributed unit vector, like
+         * `Vector3.randomDirection`.
+         */
+        direction(target) {
+            const u = (next() - 0.5) * 2;
+            const theta = next() * Math.PI * 2;
+            const radius = Math.sqrt(1 - u * u);
+            return target.set(radius * Math.cos(theta), u, radius * Math.sin(theta));
+        },
+    };
+}
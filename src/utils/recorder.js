@@ -0,0 +1,137 @@
+/**
+ * Canvas video recording.
+ *
+ * Records a canvas to WebM with `canvas.captureStream(fps)` and a MediaRecorder:
+ *
+ *   const recorder = createCanvasRecorder(renderer.domElement, { fps: 30, bitrate: 5e6 });
+ *   recorder.start();
+ *   ...
+ *   const blob = await recorder.stop(); // video/webm
+ *
+ * The stream only depends on the canvas, so overlays such as lil-gui panels, the sidebar or the
+ * performance HUD never end up in the video, and interacting with them doesn't interrupt it.
+ * Canvases that only render on demand (3d-text, rubiks-cube) simply produce no new frames while
+ * idle; WebM stores variable frame durations, so playback timing stays correct.
+ */
+
+// Preferred first; VP9 gives noticeably better quality at the same bitrate
+export const RECORDING_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const DATA_INTERVAL_MS = 1000; // Flush encoded data every second rather than all at once on stop
+
+/**
+ * Whether this browser can record a canvas.
+ *
+ * @returns {boolean}
+ */
+export function isRecordingSupported() {
+    return typeof MediaRecorder !== 'undefined'
+        && typeof HTMLCanvasElement.prototype.captureStream === 'function'
+        && pickRecordingMimeType() !== null;
+}
+
+/**
+ * The first WebM type the browser can record, or null.
+ *
+ * @param {(type: string) => boolean} [isTypeSupported]
+ * @returns {string|null}
+ */
+export function pickRecordingMimeType(isTypeSupported = type => MediaRecorder.isTypeSupported(type)) {
+    return RECORDING_MIME_TYPES.find(type => isTypeSupported(type)) ?? null;
+}
+
+/**
+ * Formats a duration as `m:ss`, or `h:mm:ss` from an hour on.
+ *
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatElapsed(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Creates a recorder for a canvas.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {object} [options]
+ * @param {number} [options.fps=30] Maximum frame rate of the capture.
+ * @param {number} [options.bitrate=5000000] Target video bitrate in bits per second.
+ * @returns {{ start: Function, stop: () => Promise<Blob>, readonly isRecording: boolean,
+ *   readonly elapsed: number, readonly mimeType: string }}
+ */
+export function createCanvasRecorder(canvas, { fps = 30, bitrate = 5_000_000 } = {}) {
+    if (!isRecordingSupported()) {
+        throw new Error('Recording is not supported in this browser.');
+    }
+
+    const mimeType = pickRecordingMimeType();
+    let stream = null;
+    let mediaRecorder = null;
+    let chunks = [];
+    let startTime = 0;
+    let finished = null; // Resolves with the video once the MediaRecorder has stopped
+
+    function releaseStream() {
+        if (!stream) return;
+        stream.getTracks().forEach(track => track.stop());
+        stream = null;
+    }
+
+    return {
+        mimeType,
+
+        get isRecording() {
+            return mediaRecorder !== null && mediaRecorder.state !== 'inactive';
+        },
+
+        /** Seconds since `start()`, 0 when not recording. */
+        get elapsed() {
+            return this.isRecording ? (performance.now() - startTime) / 1000 : 0;
+        },
+
+        start() {
+            if (this.isRecording) {
+                console.warn('Recorder: start() called while already recording.');
+                return;
+            }
+
+            chunks = [];
+            stream = canvas.captureStream(fps);
+            mediaRecorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
+            mediaRecorder.addEventListener('dataavailable', event => {
+                if (event.data.size > 0) chunks.push(event.data);
+            });
+            mediaRecorder.addEventListener('error', event => {
+                console.error('Recorder: MediaRecorder failed.', event.error);
+            });
+            finished = new Promise(resolve => {
+                mediaRecorder.addEventListener('stop', () => {
+                    releaseStream();
+                    resolve(new Blob(chunks, { type: mimeType.split(';')[0] }));
+                }, { once: true });
+            });
+            mediaRecorder.start(DATA_INTERVAL_MS);
+            startTime = performance.now();
+        },
+
+        /**
+         * Stops recording and resolves with everything recorded so far.
+         *
+         * @returns {Promise<Blob>}
+         */
+        stop() {
+            if (!mediaRecorder) {
+                return Promise.reject(new Error('Recorder: stop() called before start().'));
+            }
+            if (mediaRecorder.state !== 'inactive') {
+                mediaRecorder.stop(); // Fires a final 'dataavailable' before 'stop'
+            }
+            return finished; // Also covers a recorder that already ended, e.g. after an error
+        },
+    };
+}
@@ -0,0 +1,327 @@
+/**
+ * Shared render loop.
+ *
+ * Demos register a frame callback instead of running their own `requestAnimationFrame` loop:
+ *
+ *   const frame = renderLoop.add((delta, elapsed) => { ...; renderer.render(scene, camera); },
+ *                                { element: renderer.domElement });
+ *   ...
+ *   frame.stop(); // in dispose
+ *
+ * The loop owns a single `requestAnimationFrame` and only keeps it running while some task
+ * needs a frame. Tasks are skipped while the page is hidden (Page Visibility API), while their
+ * `element` is scrolled out of view (IntersectionObserver) or while paused. Skipped time is not
+ * added to a task's `elapsed`, so a demo picks up where it left off.
+ *
+ * Tasks created with `{ onDemand: true }` only run after `invalidate()` is called, which lets a
+ * demo stop rendering while nothing in it is moving (e.g. invalidate from OrbitControls' 'change').
+ *
+ * `onFrame(listener)` reports how long each frame's callbacks took, for tooling such as the
+ * performance HUD (utils/perf-hud.js).
+ *
+ * The loop is also the clock every demo runs on, so the shell's time controls live here:
+ * `setTimeScale(scale)` speeds up or slows down the `delta` and `elapsed` tasks receive (0.1x to
+ * 4x), `setTimePaused(true)` freezes them at zero while frames keep rendering (orbiting the camera
+ * still works), and `step()` advances a paused clock by a single 1/60 s frame, scaled. Demos must
+ * therefore derive all motion from `delta` or `elapsed` rather than per-frame constants.
+ *
+ * `setManual(true)` hands the clock to the caller: no animation frames are requested and tasks
+ * only run when `tick(time)` is called, with deltas taken from the given timestamps, including
+ * tasks whose element is out of view. Offline rendering (utils/offline-render.js) uses this to
+ * step demos by exactly 1/fps per frame, and thumbnail generation (utils/thumbnails.js) to boot
+ * demos offscreen. A manual clock is exact: the time controls don't apply to it.
+ */
+
+export const MIN_TIME_SCALE = 0.1;
+export const MAX_TIME_SCALE = 4;
+const STEP_SECONDS = 1 / 60; // One frame at the refresh rate most demos were tuned for
+
+/**
+ * Creates a render loop. Most code should use the shared `renderLoop` instead.
+ *
+ * @param {object} [options]
+ * @param {() => number} [options.now] Clock in milliseconds, used when a frame has no timestamp.
+ * @returns {object} The loop, see `renderLoop`.
+ */
+export function createRenderLoop({ now = () => performance.now() } = {}) {
+    const tasks = new Set();
+    const frameListeners = new Set();
+    let frameId = null;
+    let observer = null;
+    let manual = false;
+    let timeScale = 1;
+    let timePaused = false;
+    let stepping = false; // The next frame is a single step of a paused clock
+
+    function isPageHidden() {
+        return typeof document !== 'undefined' && document.hidden;
+    }
+
+    function isRunnable(task) {
+        // A manual clock runs everything it's asked to, whether or not it is scrolled into view
+        return !task.paused && (task.visible || manual) && (!task.onDemand || task.dirty);
+    }
+
+    function schedule() {
+        if (manual || frameId !== null || isPageHidden()) return;
+        for (const task of tasks) {
+            if (isRunnable(task)) {
+                frameId = window.requestAnimationFrame(tick);
+                return;
+            }
+        }
+    }
+
+    function cancel() {
+        if (frameId === null) return;
+        window.cancelAnimationFrame(frameId);
+        frameId = null;
+    }
+
+    // Seconds of demo time a task advances by, given the real seconds since its previous frame
+    function scaleDelta(seconds) {
+        if (manual) return seconds;
+        if (stepping) return STEP_SECONDS * timeScale;
+        return timePaused ? 0 : seconds * timeScale;
+    }
+
+    function tick(time = now()) {
+        frameId = null;
+        const start = now();
+        let ran = 0;
+
+        // Copy so tasks can stop themselves (or others) from inside their callback
+        [...tasks].forEach(task => {
+            if (!tasks.has(task)) return;
+            if (!isRunnable(task)) {
+                task.lastTime = null; // Don't count skipped time once the task runs again
+                return;
+            }
+
+            const delta = scaleDelta(task.lastTime === null ? 0 : Math.max(0, time - task.lastTime) / 1000);
+            task.lastTime = time;
+            task.elapsed += delta;
+            task.dirty = false;
+            ran++;
+
+            try {
+                task.callback(delta, task.elapsed);
+            } catch (error) {
+                console.error('Render loop: frame callback threw, stopping it.', error);
+                removeTask(task);
+            }
+        });
+
+        stepping = false;
+
+        // On-demand tasks that were not invalidated again start from a zero delta next time
+        tasks.forEach(task => {
+            if (task.onDemand && !task.dirty) task.lastTime = null;
+        });
+
+        if (ran > 0) {
+            const duration = now() - start;
+            frameListeners.forEach(listener => listener(duration, time));
+        }
+
+        schedule();
+    }
+
+    function onVisibilityChange() {
+        if (manual) return; // The caller's clock keeps going while the tab is in the background
+        if (isPageHidden()) {
+            cancel();
+        } else {
+            tasks.forEach(task => { task.lastTime = null; });
+            schedule();
+        }
+    }
+
+    function getObserver() {
+        if (!observer && typeof IntersectionObserver !== 'undefined') {
+            observer = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    tasks.forEach(task => {
+                        if (task.element === entry.target) task.visible = entry.isIntersecting;
+                    });
+                });
+                schedule();
+            });
+        }
+        return observer;
+    }
+
+    function removeTask(task) {
+        if (!tasks.delete(task)) return;
+        if (task.element && observer && ![...tasks].some(other => other.element === task.element)) {
+            observer.unobserve(task.element);
+        }
+        if (tasks.size === 0) {
+            cancel();
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+            if (observer) {
+                observer.disconnect();
+                observer = null;
+            }
+        }
+    }
+
+    return {
+        /**
+         * Registers a frame callback.
+         *
+         * @param {(delta: number, elapsed: number) => void} callback Receives seconds since the
+         *   task's previous frame and seconds of (unpaused) time since it was added, both on the
+         *   loop's clock, i.e. scaled and frozen by the time controls.
+         * @param {object} [options]
+         * @param {Element} [options.element] Frames are skipped while this element is offscreen.
+         * @param {boolean} [options.onDemand=false] Only run after `invalidate()`.
+         * @returns {{ stop: Function, pause: Function, resume: Function, invalidate: Function,
+         *   setOnDemand: (onDemand: boolean) => void, readonly isPaused: boolean, readonly elapsed: number }}
+         */
+        add(callback, { element = null, onDemand = false } = {}) {
+            const task = {
+                callback,
+                element,
+                onDemand,
+                dirty: true, // Always draw the first frame
+                paused: false,
+                visible: true,
+                lastTime: null,
+                elapsed: 0,
+            };
+
+            if (tasks.size === 0) {
+                document.addEventListener('visibilitychange', onVisibilityChange);
+            }
+            tasks.add(task);
+            if (element && getObserver()) observer.observe(element);
+            schedule();
+
+            return {
+                get isPaused() { return task.paused; },
+                get elapsed() { return task.elapsed; },
+                stop() {
+                    removeTask(task);
+                },
+                pause() {
+                    task.paused = true;
+                },
+                resume() {
+                    if (!task.paused) return;
+                    task.paused = false;
+                    task.lastTime = null;
+                    schedule();
+                },
+                invalidate() {
+                    task.dirty = true;
+                    schedule();
+                },
+                setOnDemand(value) {
+                    task.onDemand = value;
+                    task.dirty = true;
+                    schedule();
+                },
+            };
+        },
+
+        /**
+         * Calls `listener(duration, time)` after every frame in which at least one task ran.
+         *
+         * @param {(duration: number, time: number) => void} listener Receives the milliseconds
+         *   spent in frame callbacks and the frame timestamp.
+         * @returns {() => void} Removes the listener.
+         */
+        onFrame(listener) {
+            frameListeners.add(listener);
+            return () => frameListeners.delete(listener);
+        },
+
+        /**
+         * Switches between the requestAnimationFrame clock and a caller-driven one. Either way
+         * the next frame of every task starts with a zero delta, so the two clocks never mix.
+         *
+         * @param {boolean} value When true, frames only run through `tick(time)`.
+         */
+        setManual(value) {
+            if (manual === value) return;
+            manual = value;
+            tasks.forEach(task => { task.lastTime = null; });
+            if (manual) {
+                cancel();
+            } else {
+                schedule();
+            }
+        },
+
+        /** Whether the loop is driven by `tick(time)` only (see `setManual`). */
+        get isManual() {
+            return manual;
+        },
+
+        /**
+         * Sets how fast time passes for every task.
+         *
+         * @param {number} scale Clamped to MIN_TIME_SCALE..MAX_TIME_SCALE; 1 is real time.
+         */
+        setTimeScale(scale) {
+            if (!Number.isFinite(scale)) return;
+            timeScale = Math.min(MAX_TIME_SCALE, Math.max(MIN_TIME_SCALE, scale));
+        },
+
+        /** Current time scale, 1 being real time. */
+        get timeScale() {
+            return timeScale;
+        },
+
+        /**
+         * Freezes or unfreezes time. Tasks keep receiving frames while frozen, with a zero delta.
+         *
+         * @param {boolean} value
+         */
+        setTimePaused(value) {
+            timePaused = value;
+        },
+
+        /** Whether time is frozen (see `setTimePaused`). */
+        get isTimePaused() {
+            return timePaused;
+        },
+
+        /**
+         * Pauses time if needed and advances every task by one 1/60 s frame, scaled by the time
+         * scale, on the next frame.
+         */
+        step() {
+            timePaused = true;
+            stepping = true;
+            tasks.forEach(task => { task.dirty = true; }); // On-demand tasks take the step too
+            schedule();
+        },
+
+        /**
+         * Runs a single frame immediately, e.g. to drive the loop manually.
+         *
+         * @param {number} [time] Frame timestamp in milliseconds.
+         */
+        tick(time) {
+            cancel();
+            tick(time);
+        },
+
+        /** Number of registered tasks. */
+        get size() {
+            return tasks.size;
+        },
+
+        /** Whether a frame is currently scheduled. */
+        get isRunning() {
+            return frameId !== null;
+        },
+    };
+}
+
+/**
+ * The loop shared by every demo on the page.
+ */
+export const renderLoop = createRenderLoop();
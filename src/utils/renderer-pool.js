@@ -0,0 +1,181 @@
+import * as THREE from 'three';
+
+/**
+ * Renderer pool.
+ *
+ * Creating a `THREE.WebGLRenderer` per demo churns WebGL contexts when switching demos,
+ * and browsers start dropping the oldest context once too many are alive. Demos borrow
+ * a renderer instead:
+ *
+ *   const renderer = rendererPool.acquire(container); // canvas appended to container
+ *   ...
+ *   rendererPool.release(renderer);                   // instead of renderer.dispose()
+ *
+ * Released renderers have their canvas detached and their state reset to what a fresh
+ * renderer would have, so the next demo doesn't inherit clear color, shadow, pixel ratio
+ * or tone mapping settings. A new renderer is only created when every pooled one is in use.
+ *
+ * Renderers whose WebGL context was lost (a GPU reset, too many contexts) are dropped rather
+ * than lent again. If a renderer can't be created at all, `acquire` throws a DOMException named
+ * `NotSupportedError`; the shell checks `isWebGLAvailable()` up front to explain why instead.
+ */
+
+const MAX_IDLE_RENDERERS = 4; // Enough for a four-pane comparison view
+
+let webglAvailable = null;
+
+/**
+ * Whether the browser can create the WebGL 2 context three.js renders with. Checked once;
+ * the probe context is released straight away.
+ *
+ * @returns {boolean}
+ */
+export function isWebGLAvailable() {
+    if (webglAvailable === null) {
+        try {
+            const gl = document.createElement('canvas').getContext('webgl2');
+            webglAvailable = Boolean(gl);
+            gl?.getExtension('WEBGL_lose_context')?.loseContext();
+        } catch {
+            webglAvailable = false;
+        }
+    }
+    return webglAvailable;
+}
+
+function isContextLost(renderer) {
+    return renderer.getContext().isContextLost();
+}
+
+function discard(renderer) {
+    renderer.dispose();
+    renderer.forceContextLoss();
+}
+
+/**
+ * Restores the renderer settings demos commonly change to WebGLRenderer's defaults.
+ *
+ * @param {THREE.WebGLRenderer} renderer
+ */
+export function resetRenderer(renderer) {
+    renderer.setAnimationLoop(null);
+    renderer.setRenderTarget(null);
+    renderer.setClearColor(0x000000, 1);
+    renderer.setPixelRatio(1);
+    renderer.setScissorTest(false);
+
+    renderer.autoClear = true;
+    renderer.autoClearColor = true;
+    renderer.autoClearDepth = true;
+    renderer.autoClearStencil = true;
+    renderer.sortObjects = true;
+    renderer.localClippingEnabled = false;
+    renderer.clippingPlanes = [];
+
+    renderer.shadowMap.enabled = false;
+    renderer.shadowMap.autoUpdate = true;
+    renderer.shadowMap.needsUpdate = false;
+    renderer.shadowMap.type = THREE.PCFShadowMap;
+
+    renderer.toneMapping = THREE.NoToneMapping;
+    renderer.toneMappingExposure = 1;
+    renderer.outputColorSpace = THREE.SRGBColorSpace;
+
+    // Drop references to the previous demo's objects and any GL state it left behind
+    renderer.renderLists.dispose();
+    renderer.info.reset();
+    renderer.resetState();
+    renderer.clear();
+
+    renderer.domElement.removeAttribute('style');
+}
+
+/**
+ * Creates a renderer pool. Demos should use the shared `rendererPool`.
+ *
+ * @param {object} [options]
+ * @param {() => THREE.WebGLRenderer} [options.createRenderer] Factory for new renderers.
+ * @returns {{ acquire: Function, release: Function, dispose: Function, readonly inUse: number, readonly idle: number }}
+ */
+export function createRendererPool({ createRenderer = () => new THREE.WebGLRenderer({ antialias: true }) } = {}) {
+    const idle = [];
+    const lent = new Set();
+
+    return {
+        /**
+         * Lends a renderer and appends its canvas to `container`.
+         *
+         * @param {HTMLElement} [container]
+         * @returns {THREE.WebGLRenderer}
+         * @throws {DOMException} `NotSupportedError` if no renderer can be created.
+         */
+        acquire(container) {
+            let renderer = idle.pop();
+            while (renderer && isContextLost(renderer)) {
+                renderer.dispose(); // Lost while waiting in the pool
+                renderer = idle.pop();
+            }
+            if (!renderer) {
+                try {
+                    renderer = createRenderer();
+                } catch (error) {
+                    throw new DOMException(`Could not create a WebGL renderer: ${error?.message ?? error}`, 'NotSupportedError');
+                }
+            }
+            lent.add(renderer);
+            if (container) container.appendChild(renderer.domElement);
+            return renderer;
+        },
+
+        /**
+         * Returns a renderer to the pool, detaching its canvas and resetting its state.
+         * The caller must not use the renderer afterwards.
+         *
+         * @param {THREE.WebGLRenderer} renderer
+         */
+        release(renderer) {
+            if (idle.includes(renderer)) {
+                return; // Already released, e.g. by a cleanup that ran twice
+            }
+            if (!renderer || !lent.delete(renderer)) {
+                console.warn('Renderer pool: release() called with a renderer that is not on loan.');
+                return;
+            }
+
+            renderer.domElement.remove();
+
+            if (isContextLost(renderer)) {
+                renderer.dispose(); // Its context may never come back; the next demo gets a fresh one
+                return;
+            }
+            if (idle.length >= MAX_IDLE_RENDERERS) {
+                discard(renderer);
+                return;
+            }
+            resetRenderer(renderer);
+            idle.push(renderer);
+        },
+
+        /**
+         * Disposes every idle renderer. Renderers still on loan are left alone.
+         */
+        dispose() {
+            idle.splice(0).forEach(discard);
+        },
+
+        /** Number of renderers currently lent out. */
+        get inUse() {
+            return lent.size;
+        },
+
+        /** Number of renderers waiting in the pool. */
+        get idle() {
+            return idle.length;
+        },
+    };
+}
+
+/**
+ * The pool shared by every demo on the page.
+ */
+export const rendererPool = createRendererPool();
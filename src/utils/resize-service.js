@@ -0,0 +1,139 @@
+/**
+ * Resize service.
+ *
+ * Demos used to listen to `window` 'resize', which misses container-only changes such as the
+ * sidebar sliding in or an embedding panel being resized. This service watches elements with
+ * a single shared ResizeObserver and also reports device pixel ratio changes (browser zoom,
+ * moving the window to another screen).
+ *
+ * The demo adapter (utils/demo-adapter.js) observes the container every demo is mounted into
+ * and calls `fitRendererToSize` for it, so demos don't need their own resize handlers.
+ */
+
+const MAX_PIXEL_RATIO = 2; // Higher ratios cost a lot of fill rate for little visible gain
+
+/**
+ * The device pixel ratio demos should render at.
+ *
+ * @returns {number}
+ */
+export function getPixelRatio() {
+    return Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO);
+}
+
+/**
+ * Updates a camera's projection and a renderer's drawing buffer for a new size.
+ *
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Camera} camera A PerspectiveCamera or OrthographicCamera.
+ * @param {number} width CSS pixels.
+ * @param {number} height CSS pixels.
+ * @param {number} [pixelRatio]
+ */
+export function fitRendererToSize(renderer, camera, width, height, pixelRatio = getPixelRatio()) {
+    if (camera) {
+        if (camera.isPerspectiveCamera) {
+            camera.aspect = width / height;
+        } else if (camera.isOrthographicCamera) {
+            // Keep the vertical extent and widen/narrow the horizontal one
+            const halfHeight = (camera.top - camera.bottom) / 2;
+            const centerX = (camera.left + camera.right) / 2;
+            camera.left = centerX - halfHeight * (width / height);
+            camera.right = centerX + halfHeight * (width / height);
+        }
+        camera.updateProjectionMatrix();
+    }
+    if (renderer) {
+        renderer.setPixelRatio(pixelRatio);
+        renderer.setSize(width, height);
+    }
+}
+
+/**
+ * Creates a resize service. Most code should use the shared `resizeService`.
+ *
+ * @returns {{ observe: (element: Element, callback: Function) => Function }}
+ */
+export function createResizeService() {
+    const callbacks = new Map(); // element -> Set of callbacks
+    let observer = null;
+    let pixelRatioQuery = null;
+
+    function notify(element, only) {
+        const width = element.clientWidth;
+        const height = element.clientHeight;
+        if (width === 0 || height === 0) return; // Hidden; wait until it has a size again
+
+        const pixelRatio = getPixelRatio();
+        (only ? [only] : [...(callbacks.get(element) || [])]).forEach(callback => {
+            try {
+                callback(width, height, pixelRatio);
+            } catch (error) {
+                console.error('Resize service: callback threw.', error);
+            }
+        });
+    }
+
+    function onPixelRatioChange() {
+        callbacks.forEach((set, element) => notify(element));
+        watchPixelRatio(); // The query only matches the ratio it was created for
+    }
+
+    function watchPixelRatio() {
+        if (typeof window.matchMedia !== 'function') return;
+        pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+        pixelRatioQuery.addEventListener('change', onPixelRatioChange, { once: true });
+    }
+
+    function unwatchPixelRatio() {
+        if (!pixelRatioQuery) return;
+        pixelRatioQuery.removeEventListener('change', onPixelRatioChange);
+        pixelRatioQuery = null;
+    }
+
+    return {
+        /**
+         * Calls `callback(width, height, pixelRatio)` whenever `element` changes size or the
+         * device pixel ratio changes, and once right after observing starts.
+         *
+         * @param {Element} element
+         * @param {(width: number, height: number, pixelRatio: number) => void} callback
+         * @returns {() => void} Stops observing.
+         */
+        observe(element, callback) {
+            if (!observer) {
+                observer = new ResizeObserver(entries => {
+                    entries.forEach(entry => notify(entry.target));
+                });
+                watchPixelRatio();
+            }
+
+            if (!callbacks.has(element)) {
+                callbacks.set(element, new Set());
+                observer.observe(element); // Delivers an initial entry for the element
+            } else {
+                notify(element, callback); // Already observed, so no initial entry is coming
+            }
+            callbacks.get(element).add(callback);
+
+            return () => {
+                const set = callbacks.get(element);
+                if (!set || !set.delete(callback)) return;
+                if (set.size > 0) return;
+
+                callbacks.delete(element);
+                observer.unobserve(element);
+                if (callbacks.size === 0) {
+                    observer.disconnect();
+                    observer = null;
+                    unwatchPixelRatio();
+                }
+            };
+        },
+    };
+}
+
+/**
+ * The service shared by every demo on the page.
+ */
+export const resizeService = createResizeService();
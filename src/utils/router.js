@@ -0,0 +1,120 @@
+/**
+ * Hash-based routing for demos.
+ *
+ * Routes look like `#/rubiks-cube?size=4`: the path segment is the demo key and
+ * the query string holds parameters that are passed to the demo's `init` options.
+ */
+
+// Query values arrive as strings; turn obvious numbers and booleans back into their types.
+function coerceParam(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+    return value;
+}
+
+/**
+ * Parses a location hash into a demo key and parameters.
+ *
+ * @param {string} hash e.g. '#/rubiks-cube?size=4'
+ * @returns {{ key: string|null, params: object }}
+ */
+export function parseHash(hash) {
+    const raw = (hash || '').replace(/^#\/?/, '');
+    const queryIndex = raw.indexOf('?');
+    const path = queryIndex === -1 ? raw : raw.slice(0, queryIndex);
+    const query = queryIndex === -1 ? '' : raw.slice(queryIndex + 1);
+
+    const params = {};
+    new URLSearchParams(query).forEach((value, name) => {
+        params[name] = coerceParam(value);
+    });
+
+    let key = null;
+    try {
+        key = decodeURIComponent(path) || null;
+    } catch (error) {
+        console.warn(`Router: could not decode route "${path}".`, error);
+    }
+    return { key, params };
+}
+
+/**
+ * Builds a location hash for a demo key and parameters.
+ *
+ * @param {string} key
+ * @param {object} [params]
+ * @returns {string} e.g. '#/rubiks-cube?size=4'
+ */
+export function formatHash(key, params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([name, value]) => {
+        if (value !== undefined && value !== null) query.set(name, String(value));
+    });
+    const queryString = query.toString();
+    return `#/${encodeURIComponent(key)}${queryString ? `?${queryString}` : ''}`;
+}
+
+/**
+ * Creates a router that keeps `location.hash` and the active demo in sync.
+ * Back/forward navigation is handled through the `hashchange` event.
+ *
+ * @param {object} options
+ * @param {(key: string) => boolean} options.isKnownRoute Whether a demo key can be loaded.
+ * @param {string} options.defaultKey Demo to show for an empty or unknown hash.
+ * @param {(route: { key: string, params: object }) => void} options.onRoute Called for every resolved route.
+ * @param {(key: string) => void} [options.onUnknownRoute] Called before falling back from an unknown key.
+ * @returns {{ start: Function, stop: Function, navigate: Function, readonly current: object|null }}
+ */
+export function createRouter({ isKnownRoute, defaultKey, onRoute, onUnknownRoute }) {
+    let current = null;
+
+    function resolve() {
+        const route = parseHash(window.location.hash);
+
+        if (!route.key || !isKnownRoute(route.key)) {
+            if (route.key) {
+                console.warn(`Router: unknown demo "${route.key}", falling back to "${defaultKey}".`);
+                if (onUnknownRoute) onUnknownRoute(route.key);
+            }
+            // Replace rather than push so the broken URL doesn't stay in history
+            window.history.replaceState(null, '', formatHash(defaultKey));
+            current = { key: defaultKey, params: {} };
+        } else {
+            current = route;
+        }
+
+        onRoute(current);
+    }
+
+    return {
+        get current() {
+            return current;
+        },
+
+        start() {
+            window.addEventListener('hashchange', resolve);
+            resolve();
+        },
+
+        stop() {
+            window.removeEventListener('hashchange', resolve);
+        },
+
+        /**
+         * Navigates to a demo. Pushes a history entry unless `replace` is set.
+         */
+        navigate(key, params = {}, { replace = false } = {}) {
+            const hash = formatHash(key, params);
+            if (hash === window.location.hash) {
+                return; // Already there; don't reload the demo
+            }
+            if (replace) {
+                window.history.replaceState(null, '', hash);
+                resolve();
+            } else {
+                window.location.hash = hash; // Triggers hashchange -> resolve()
+            }
+        },
+    };
+}
@@ -0,0 +1,222 @@
+/**
+ * Sidebar listing the demos from the manifest (see demos.js), grouped by category,
+ * with a search box and tag filters.
+ */
+
+function normalizeQuery(query) {
+    return (query || '').trim().toLowerCase();
+}
+
+/**
+ * Returns the keys of the demos matching a search query and a set of tags.
+ * The query is matched against title, description, category and tags; a demo must carry
+ * every selected tag. Manifest order is preserved.
+ *
+ * @param {object} demos Demo manifest keyed by demo key.
+ * @param {{ query?: string, tags?: string[] }} [filter]
+ * @returns {string[]}
+ */
+export function filterDemos(demos, { query = '', tags = [] } = {}) {
+    const words = normalizeQuery(query).split(/\s+/).filter(Boolean);
+
+    return Object.keys(demos).filter(key => {
+        const entry = demos[key];
+        const entryTags = entry.tags || [];
+        if (!tags.every(tag => entryTags.includes(tag))) {
+            return false;
+        }
+        const haystack = [key, entry.title, entry.description, entry.category, ...entryTags]
+            .filter(Boolean)
+            .join(' ')
+            .toLowerCase();
+        return words.every(word => haystack.includes(word));
+    });
+}
+
+/**
+ * Groups demo keys by their manifest category. Categories keep the order in which they first
+ * appear in the full manifest, so sections don't jump around while filtering; empty ones are dropped.
+ *
+ * @param {object} demos Demo manifest keyed by demo key.
+ * @param {string[]} keys
+ * @returns {Map<string, string[]>}
+ */
+export function groupDemos(demos, keys) {
+    const categoryOf = key => demos[key].category || 'Other';
+    const groups = new Map();
+    Object.keys(demos).forEach(key => {
+        if (!groups.has(categoryOf(key))) groups.set(categoryOf(key), []);
+    });
+    keys.forEach(key => groups.get(categoryOf(key)).push(key));
+    groups.forEach((groupKeys, category) => {
+        if (groupKeys.length === 0) groups.delete(category);
+    });
+    return groups;
+}
+
+/**
+ * Returns every tag used in the manifest, sorted alphabetically.
+ *
+ * @param {object} demos
+ * @returns {string[]}
+ */
+export function collectTags(demos) {
+    const tags = new Set();
+    Object.values(demos).forEach(entry => (entry.tags || []).forEach(tag => tags.add(tag)));
+    return [...tags].sort();
+}
+
+function createListItem(key, entry) {
+    const li = document.createElement('li');
+    li.dataset.demoKey = key;
+    li.title = entry.controls ? `${entry.description}\n\nControls: ${entry.controls}` : (entry.description || '');
+
+    if (entry.thumbnail) {
+        const img = document.createElement('img');
+        img.className = 'demo-thumbnail';
+        img.src = entry.thumbnail;
+        img.alt = '';
+        img.loading = 'lazy';
+        li.appendChild(img);
+    }
+
+    const text = document.createElement('div');
+    text.className = 'demo-text';
+    const title = document.createElement('span');
+    title.className = 'demo-title';
+    title.textContent = entry.title;
+    text.appendChild(title);
+    if (entry.description) {
+        const description = document.createElement('span');
+        description.className = 'demo-description';
+        description.textContent = entry.description;
+        text.appendChild(description);
+    }
+    li.appendChild(text);
+
+    return li;
+}
+
+/**
+ * Renders the demo list, search box and tag filters into the sidebar.
+ *
+ * @param {HTMLElement} sidebarContainer
+ * @param {object} demos Demo manifest keyed by demo key.
+ * @param {object} options
+ * @param {(key: string) => void} options.onSelect Called when a demo is clicked.
+ * @returns {{ element: HTMLElement, setActive: (key: string) => void, setFilter: (filter: object) => void }}
+ */
+export function createSidebar(sidebarContainer, demos, { onSelect }) {
+    const filter = { query: '', tags: [] };
+    let activeKey = null;
+
+    // --- Search and tag filters ---
+    const filters = document.createElement('div');
+    filters.className = 'demo-filters';
+
+    const searchInput = document.createElement('input');
+    searchInput.type = 'search';
+    searchInput.id = 'demo-search';
+    searchInput.placeholder = 'Search demos...';
+    searchInput.setAttribute('aria-label', 'Search demos');
+    filters.appendChild(searchInput);
+
+    const tagList = document.createElement('div');
+    tagList.className = 'demo-tags';
+    collectTags(demos).forEach(tag => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'demo-tag';
+        button.dataset.tag = tag;
+        button.textContent = tag;
+        button.setAttribute('aria-pressed', 'false');
+        tagList.appendChild(button);
+    });
+    filters.appendChild(tagList);
+
+    // --- Grouped list ---
+    const list = document.createElement('div');
+    list.id = 'demo-list';
+
+    const emptyMessage = document.createElement('p');
+    emptyMessage.className = 'demo-list-empty';
+    emptyMessage.textContent = 'No demos match.';
+
+    function render() {
+        const keys = filterDemos(demos, filter);
+        list.innerHTML = '';
+
+        if (keys.length === 0) {
+            list.appendChild(emptyMessage);
+            return;
+        }
+
+        groupDemos(demos, keys).forEach((groupKeys, category) => {
+            const section = document.createElement('section');
+            section.className = 'demo-group';
+            const heading = document.createElement('h3');
+            heading.textContent = category;
+            section.appendChild(heading);
+
+            const ul = document.createElement('ul');
+            groupKeys.forEach(key => {
+                const li = createListItem(key, demos[key]);
+                if (key === activeKey) li.classList.add('active');
+                ul.appendChild(li);
+            });
+            section.appendChild(ul);
+            list.appendChild(section);
+        });
+    }
+
+    searchInput.addEventListener('input', () => {
+        filter.query = searchInput.value;
+        render();
+    });
+
+    tagList.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-tag]');
+        if (!button) return;
+        const { tag } = button.dataset;
+        const selected = !filter.tags.includes(tag);
+        filter.tags = selected ? [...filter.tags, tag] : filter.tags.filter(t => t !== tag);
+        button.classList.toggle('selected', selected);
+        button.setAttribute('aria-pressed', String(selected));
+        render();
+    });
+
+    // Delegate clicks so re-rendered items don't need their own listeners
+    list.addEventListener('click', (event) => {
+        const li = event.target.closest('li[data-demo-key]');
+        if (li) onSelect(li.dataset.demoKey);
+    });
+
+    // Replace a previously rendered sidebar but keep the close button
+    sidebarContainer.querySelectorAll('.demo-filters, #demo-list').forEach(el => el.remove());
+    sidebarContainer.appendChild(filters);
+    sidebarContainer.appendChild(list);
+    render();
+
+    return {
+        element: list,
+
+        setActive(key) {
+            activeKey = key;
+            list.querySelectorAll('li.active').forEach(li => li.classList.remove('active'));
+            const li = list.querySelector(`li[data-demo-key="${key}"]`);
+            if (li) li.classList.add('active');
+        },
+
+        setFilter({ query = filter.query, tags = filter.tags } = {}) {
+            filter.query = query;
+            filter.tags = tags;
+            searchInput.value = query;
+            tagList.querySelectorAll('button[data-tag]').forEach(button => {
+                const selected = tags.includes(button.dataset.tag);
+                button.classList.toggle('selected', selected);
+                button.setAttribute('aria-pressed', String(selected));
+            });
+            render();
+        },
+    };
+}
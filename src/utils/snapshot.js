@@ -0,0 +1,183 @@
+import { formatHash } from './router.js';
+import { getGuiControllers, sanitizeGuiValue } from './gui-settings.js';
+
+/**
+ * Share links.
+ *
+ * A snapshot records everything needed to reproduce what is on screen: the route parameters,
+ * every lil-gui value, the camera position and OrbitControls target, the demo's random seed and
+ * its own state from `getState()` (e.g. the Rubik's cube move history). It travels in the
+ * `snapshot` route parameter as a version number and URL-safe base64 JSON:
+ *
+ *   #/rubiks-cube?snapshot=1.eyJwIjp7InNpemUiOjR9LCJjIjpbMy...
+ *
+ * Opening the link loads the demo with the recorded parameters and seed, then `applySnapshot`
+ * restores the GUI values, camera and state. Keys are kept short to keep links short:
+ *
+ *   { p: routeParams, g: guiValues, c: [px, py, pz, tx, ty, tz], s: seed, st: demoState }
+ */
+
+export const SNAPSHOT_VERSION = 1;
+export const SNAPSHOT_PARAM = 'snapshot';
+
+const CAMERA_PRECISION = 1000; // Camera coordinates are rounded to 3 decimals
+
+function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Records a demo instance's current state.
+ *
+ * @param {object} demo A normalized demo instance (see utils/demo-adapter.js).
+ * @param {object} [params] The route parameters the demo was loaded with.
+ * @returns {object} Snapshot, see the module comment for its fields.
+ */
+export function captureSnapshot(demo, params = {}) {
+    const snapshot = {};
+
+    // A link made from a restored snapshot doesn't nest the old one; the seed gets its own field
+    const { [SNAPSHOT_PARAM]: previousSnapshot, seed: routeSeed, ...routeParams } = params;
+    if (Object.keys(routeParams).length > 0) snapshot.p = routeParams;
+
+    if (demo.gui) {
+        const values = {};
+        getGuiControllers(demo.gui).forEach((controller, property) => { values[property] = controller.getValue(); });
+        if (Object.keys(values).length > 0) snapshot.g = values;
+    }
+
+    if (demo.camera) {
+        const target = demo.controls?.target ? demo.controls.target.toArray() : [];
+        snapshot.c = [...demo.camera.position.toArray(), ...target]
+            .map(value => Math.round(value * CAMERA_PRECISION) / CAMERA_PRECISION);
+    }
+
+    const seed = demo.seed ?? routeSeed;
+    if (seed !== null && seed !== undefined) snapshot.s = seed;
+
+    const state = demo.getState();
+    if (state && Object.keys(state).length > 0) snapshot.st = state;
+
+    return snapshot;
+}
+
+/**
+ * Encodes a snapshot for the `snapshot` route parameter.
+ *
+ * @param {object} snapshot
+ * @returns {string} e.g. '1.eyJjIjpbMCwxMCwyNV19'
+ */
+export function encodeSnapshot(snapshot) {
+    return `${SNAPSHOT_VERSION}.${toBase64Url(JSON.stringify(snapshot))}`;
+}
+
+/**
+ * Decodes a `snapshot` route parameter.
+ *
+ * @param {string} text
+ * @returns {object}
+ * @throws {Error} If the text is not a snapshot or comes from a newer version of the app.
+ */
+export function decodeSnapshot(text) {
+    const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(text));
+    if (!match) {
+        throw new Error('Share link: the snapshot is malformed.');
+    }
+    const version = Number(match[1]);
+    if (version > SNAPSHOT_VERSION) {
+        throw new Error(`Share link: snapshot version ${version} is newer than this app supports (${SNAPSHOT_VERSION}).`);
+    }
+
+    let snapshot;
+    try {
+        snapshot = JSON.parse(fromBase64Url(match[2]));
+    } catch {
+        throw new Error('Share link: the snapshot is malformed.');
+    }
+    if (typeof snapshot !== 'object' || snapshot === null || Array.isArray(snapshot)) {
+        throw new Error('Share link: the snapshot is malformed.');
+    }
+    return snapshot;
+}
+
+/**
+ * Init options to load a snapshot's demo with: its route parameters and seed.
+ *
+ * @param {object} snapshot
+ * @returns {object}
+ */
+export function snapshotParams(snapshot) {
+    const params = { ...(snapshot.p ?? {}) };
+    if (snapshot.s !== undefined) params.seed = snapshot.s;
+    return params;
+}
+
+/**
+ * Restores the GUI values, demo state and camera of a snapshot on a freshly loaded demo.
+ * GUI values the panel no longer accepts and a camera that isn't made of finite numbers are
+ * skipped with a warning, and state the demo rejects is reported without stopping the rest.
+ *
+ * @param {object} demo A normalized demo instance.
+ * @param {object} snapshot
+ */
+export function applySnapshot(demo, snapshot) {
+    const key = demo.metadata?.key ?? 'unknown';
+
+    if (snapshot.g && demo.gui) {
+        const controllers = getGuiControllers(demo.gui);
+        Object.entries(snapshot.g).forEach(([property, saved]) => {
+            const controller = controllers.get(property);
+            const value = controller ? sanitizeGuiValue(controller, saved) : undefined;
+            if (value === undefined) {
+                console.warn(`Share link: "${key}" has no setting "${property}" that accepts ${JSON.stringify(saved)}.`);
+                return;
+            }
+            controller.setValue(value);
+        });
+    }
+
+    // Before the camera: restoring state may rebuild the scene and reframe the view (the cube's size)
+    if (snapshot.st) {
+        try {
+            demo.setState(snapshot.st);
+        } catch (error) {
+            console.error(`Share link: could not restore the state of "${key}".`, error);
+        }
+    }
+
+    if (snapshot.c !== undefined && demo.camera) {
+        // Position, then the orbit target if there is one; NaN would blank the view until a reload
+        const values = Array.isArray(snapshot.c) ? snapshot.c.slice(0, snapshot.c.length >= 6 ? 6 : 3) : [];
+        if (values.length < 3 || !values.every(Number.isFinite)) {
+            console.warn(`Share link: ignoring the camera of "${key}", ${JSON.stringify(snapshot.c)} is not a position and target.`);
+            return;
+        }
+        const [px, py, pz, tx, ty, tz] = values;
+        demo.camera.position.set(px, py, pz);
+        if (values.length === 6 && demo.controls?.target) demo.controls.target.set(tx, ty, tz);
+        demo.controls?.update(); // Also notifies on-demand renderers
+    }
+}
+
+/**
+ * Builds a link that reproduces the demo as it is now.
+ *
+ * @param {string} key Demo key.
+ * @param {object} demo A normalized demo instance.
+ * @param {object} [params] The route parameters the demo was loaded with.
+ * @param {string} [base] Page URL the link points to, defaults to the current page.
+ * @returns {string}
+ */
+export function formatShareUrl(key, demo, params = {}, base = window.location.href) {
+    const url = new URL(base);
+    url.hash = formatHash(key, { [SNAPSHOT_PARAM]: encodeSnapshot(captureSnapshot(demo, params)) });
+    return url.href;
+}
@@ -0,0 +1,287 @@
+import { createRenderLoop } from './render-loop.js';
+import { adaptDemoModule } from './demo-adapter.js';
+import { encodePng, renderToImageData } from './capture.js';
+
+/**
+ * Generated demo thumbnails.
+ *
+ * The gallery (utils/gallery.js) shows a picture of every demo. Rather than maintaining
+ * screenshots by hand, each demo is booted offscreen, stepped for a few frames on the manual
+ * clock of a render loop of its own (see utils/render-loop.js), so the demo on screen keeps
+ * running undisturbed, and rendered to a PNG like a capture (utils/capture.js).
+ *
+ * Thumbnails are kept in IndexedDB together with a fingerprint of the demo module's source (the
+ * manifest's `source` URL), the sources of the modules it imports by relative path (such as
+ * utils/demo-context.js) and the page's import map, so they survive reloads and are regenerated
+ * as soon as the demo, a util it uses or a library version changes. Where IndexedDB is
+ * unavailable they only last for the session.
+ *
+ *   const thumbnails = createThumbnailService({ demos });
+ *   const blob = await thumbnails.get('torus-knot');
+ */
+
+export const THUMBNAIL_WIDTH = 320;
+export const THUMBNAIL_HEIGHT = 200;
+const THUMBNAIL_FRAMES = 30; // One second at THUMBNAIL_FPS, enough for demos to settle into motion
+const THUMBNAIL_FPS = 30;
+const FORMAT_VERSION = 1; // Bump when the size or rendering above changes to regenerate every thumbnail
+
+const DB_NAME = 'repobird-demo';
+const STORE_NAME = 'thumbnails';
+
+// 32-bit FNV-1a. Only used to notice edits, and unlike crypto.subtle it also works on plain http
+// origins other than localhost (e.g. the dev server opened from another device).
+function hashBytes(bytes) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < bytes.length; i++) {
+        hash = Math.imul(hash ^ bytes[i], 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Static and dynamic imports by relative path, e.g. `from '../utils/random.js'` or `import('./a.js')`
+const RELATIVE_IMPORT = /(?:\bfrom|\bimport)\s*\(?\s*['"](\.\.?\/[^'"]+)['"]/g;
+
+// Comments can quote imports that aren't there, like the usage examples in module headers
+function stripComments(source) {
+    return source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/^\s*\/\/.*$/gm, '');
+}
+
+/**
+ * Fingerprints a demo module by hashing its source, the sources of the modules it imports by
+ * relative path (recursively) and the import map that pins its libraries.
+ *
+ * @param {string} url Module URL, the manifest entry's `source`.
+ * @param {object} [options]
+ * @param {typeof fetch} [options.fetch]
+ * @param {string} [options.importMap] Defaults to the text of the page's import map.
+ * @returns {Promise<string>} Hex hash prefixed with the thumbnail format version.
+ */
+export async function fingerprintModule(url, {
+    fetch: fetchSource = (...args) => fetch(...args),
+    importMap = document.querySelector('script[type="importmap"]')?.textContent ?? '',
+} = {}) {
+    const sources = new Map(); // Absolute URL -> source, in the order first reached
+    async function collect(moduleUrl) {
+        if (sources.has(moduleUrl)) return;
+        sources.set(moduleUrl, null); // Claimed, so import cycles stop here
+        const response = await fetchSource(moduleUrl, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Could not fetch ${moduleUrl} (${response.status}).`);
+        }
+        const source = await response.text();
+        sources.set(moduleUrl, source);
+        const imports = [...stripComments(source).matchAll(RELATIVE_IMPORT)].map(match => new URL(match[1], moduleUrl).href);
+        await Promise.all(imports.map(collect));
+    }
+    const entryUrl = new URL(url, document.baseURI).href;
+    await collect(entryUrl);
+
+    // Ordered by URL, so the order the fetches finish in doesn't matter
+    const text = [importMap, ...[...sources.keys()].sort().map(moduleUrl => sources.get(moduleUrl))].join('\n');
+    return `${FORMAT_VERSION}:${hashBytes(new TextEncoder().encode(text))}`;
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDatabase(name) {
+    const request = indexedDB.open(name, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+    return requestToPromise(request);
+}
+
+/**
+ * Opens the thumbnail store. Records are `{ key, version, blob, createdAt }`.
+ * Falls back to an in-memory store if IndexedDB can't be opened (e.g. private browsing).
+ *
+ * @param {object} [options]
+ * @param {string} [options.name] IndexedDB database name.
+ * @returns {Promise<{ get: Function, put: Function, delete: Function, clear: Function, close: Function }>}
+ */
+export async function openThumbnailCache({ name = DB_NAME } = {}) {
+    let db;
+    try {
+        db = await openDatabase(name);
+    } catch (error) {
+        console.warn('Thumbnails: IndexedDB is unavailable, thumbnails will not be kept between visits.', error);
+        const records = new Map();
+        return {
+            get: async key => records.get(key),
+            put: async record => { records.set(record.key, record); },
+            delete: async key => { records.delete(key); },
+            clear: async () => records.clear(),
+            close() {},
+        };
+    }
+
+    function run(mode, action) {
+        return requestToPromise(action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+    }
+
+    return {
+        /** @returns {Promise<{ key: string, version: string|null, blob: Blob, createdAt: number }|undefined>} */
+        get: key => run('readonly', store => store.get(key)),
+        put: record => run('readwrite', store => store.put(record)).then(() => {}),
+        delete: key => run('readwrite', store => store.delete(key)).then(() => {}),
+        clear: () => run('readwrite', store => store.clear()).then(() => {}),
+        close: () => db.close(),
+    };
+}
+
+// Lets pending work such as a font fetch land between frames
+function nextTask() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Boots a demo offscreen, advances it a few frames and renders a PNG of the result.
+ *
+ * @param {string} key Demo key.
+ * @param {object} entry The demo's manifest entry.
+ * @param {object} [options]
+ * @param {number} [options.width]
+ * @param {number} [options.height]
+ * @param {number} [options.frames] Frames to advance before rendering.
+ * @param {number} [options.fps] Frames per second of virtual time.
+ * @param {AbortSignal} [options.signal] Stops between frames and disposes the demo.
+ * @param {object} [options.loop] Render loop the demo runs on, defaults to a new one. It is put on
+ *   its manual clock while rendering and left in the mode it was in afterwards.
+ * @returns {Promise<Blob>}
+ */
+export async function renderThumbnail(key, entry, {
+    width = THUMBNAIL_WIDTH,
+    height = THUMBNAIL_HEIGHT,
+    frames = THUMBNAIL_FRAMES,
+    fps = THUMBNAIL_FPS,
+    signal,
+    loop = createRenderLoop(),
+} = {}) {
+    const demoModule = await entry.load();
+    signal?.throwIfAborted();
+
+    // Manual ticks run the demo even though its element is never visible (see utils/render-loop.js)
+    const host = document.createElement('div');
+    host.className = 'thumbnail-host';
+    host.setAttribute('aria-hidden', 'true');
+    Object.assign(host.style, {
+        position: 'fixed',
+        top: '0',
+        left: '-10000px',
+        width: `${width}px`,
+        height: `${height}px`,
+        visibility: 'hidden',
+        pointerEvents: 'none',
+    });
+    document.body.appendChild(host);
+
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
+
+    let demo = null;
+    const wasManual = loop.isManual;
+    loop.setManual(true);
+    try {
+        demo = adaptDemoModule(demoModule, key, entry).mount(host, { signal: controller.signal, loop });
+        const { renderer, scene, camera } = demo;
+        if (!renderer || !scene || !camera) {
+            throw new Error(`Demo "${key}" does not expose a renderer, scene and camera to render.`);
+        }
+
+        for (let index = 0; index < frames; index++) {
+            loop.tick((index * 1000) / fps);
+            await nextTask();
+            signal?.throwIfAborted();
+        }
+        return await encodePng(renderToImageData(renderer, scene, camera, width, height));
+    } finally {
+        loop.setManual(wasManual);
+        signal?.removeEventListener('abort', abort);
+        controller.abort();
+        demo?.dispose();
+        host.remove();
+    }
+}
+
+/**
+ * Creates the service the gallery asks for thumbnails. Cached thumbnails are returned while their
+ * module is unchanged; anything missing or stale is rendered, one demo at a time since they all
+ * share the render loop.
+ *
+ * @param {object} options
+ * @param {object} options.demos Demo manifest keyed by demo key.
+ * @param {Promise<object>|object} [options.cache] Store from `openThumbnailCache`, opened on first use.
+ * @param {typeof renderThumbnail} [options.render]
+ * @param {typeof fingerprintModule} [options.fingerprint]
+ * @returns {{ get: (key: string, options?: { signal?: AbortSignal }) => Promise<Blob> }}
+ */
+export function createThumbnailService({
+    demos,
+    cache,
+    render = renderThumbnail,
+    fingerprint = fingerprintModule,
+}) {
+    let queue = Promise.resolve(); // Renders run one after another
+    let cachePromise = null;
+
+    function getCache() {
+        if (!cachePromise) cachePromise = Promise.resolve(cache ?? openThumbnailCache());
+        return cachePromise;
+    }
+
+    async function fingerprintOf(key) {
+        const source = demos[key].source;
+        if (!source) return null;
+        try {
+            return await fingerprint(source);
+        } catch (error) {
+            console.warn(`Thumbnails: could not fingerprint "${key}", using any cached thumbnail.`, error);
+            return null;
+        }
+    }
+
+    function enqueue(task) {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    return {
+        /**
+         * Resolves with the demo's thumbnail, rendering it if the cached one is missing or stale.
+         *
+         * @param {string} key
+         * @param {object} [options]
+         * @param {AbortSignal} [options.signal] Abandons the request, including a queued render.
+         * @returns {Promise<Blob>}
+         */
+        async get(key, { signal } = {}) {
+            if (!demos[key]) {
+                throw new Error(`Thumbnails: demo "${key}" not found.`);
+            }
+            const store = await getCache();
+            const [record, version] = await Promise.all([store.get(key), fingerprintOf(key)]);
+            if (record && (version === null || record.version === version)) {
+                return record.blob;
+            }
+            signal?.throwIfAborted();
+
+            return enqueue(async () => {
+                signal?.throwIfAborted();
+                console.log(`Rendering thumbnail for ${key}.`);
+                const blob = await render(key, demos[key], { signal });
+                try {
+                    await store.put({ key, version, blob, createdAt: Date.now() });
+                } catch (error) {
+                    console.warn(`Thumbnails: could not cache the thumbnail for "${key}".`, error);
+                }
+                return blob;
+            });
+        },
+    };
+}
@@ -0,0 +1,170 @@
+/**
+ * Minimal ZIP writer.
+ *
+ * Builds an archive of stored (uncompressed) entries, which is all offline rendering needs: PNG
+ * frames are already compressed, so deflating them again would cost time for no gain. Entries
+ * are kept as Blob parts, letting the browser page large archives out of the JS heap.
+ *
+ *   const zip = createZipWriter();
+ *   await zip.add('frame-00000.png', blob);
+ *   const archive = zip.finish(); // Blob of type application/zip
+ *
+ * No ZIP64 support, so an archive is limited to 65535 entries and 4 GiB.
+ */
+
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+let crcTable = null;
+
+function getCrcTable() {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    return crcTable;
+}
+
+/**
+ * CRC-32 as used by ZIP and PNG.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum.
+ */
+export function crc32(bytes) {
+    const table = getCrcTable();
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields, in local time with two-second resolution
+function dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+function localFileHeader(entry) {
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true); // Local file header signature
+    header.setUint16(4, 20, true); // Version needed to extract (2.0)
+    header.setUint16(6, 0x0800, true); // Flags: file names are UTF-8
+    header.setUint16(8, 0, true); // Compression: stored
+    header.setUint16(10, entry.time, true);
+    header.setUint16(12, entry.date, true);
+    header.setUint32(14, entry.crc, true);
+    header.setUint32(18, entry.size, true); // Compressed size
+    header.setUint32(22, entry.size, true); // Uncompressed size
+    header.setUint16(26, entry.name.length, true);
+    header.setUint16(28, 0, true); // Extra field length
+    return [header.buffer, entry.name];
+}
+
+function centralDirectoryHeader(entry) {
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true); // Central directory header signature
+    header.setUint16(4, 20, true); // Version made by
+    header.setUint16(6, 20, true); // Version needed to extract
+    header.setUint16(8, 0x0800, true); // Flags: file names are UTF-8
+    header.setUint16(10, 0, true); // Compression: stored
+    header.setUint16(12, entry.time, true);
+    header.setUint16(14, entry.date, true);
+    header.setUint32(16, entry.crc, true);
+    header.setUint32(20, entry.size, true);
+    header.setUint32(24, entry.size, true);
+    header.setUint16(28, entry.name.length, true);
+    // Extra field length, comment length, disk number, internal and external attributes stay 0
+    header.setUint32(42, entry.offset, true); // Offset of the local header
+    return [header.buffer, entry.name];
+}
+
+function endOfCentralDirectory(entryCount, directorySize, directoryOffset) {
+    const record = new DataView(new ArrayBuffer(22));
+    record.setUint32(0, 0x06054b50, true); // End of central directory signature
+    record.setUint16(8, entryCount, true); // Entries on this disk
+    record.setUint16(10, entryCount, true); // Total entries
+    record.setUint32(12, directorySize, true);
+    record.setUint32(16, directoryOffset, true);
+    return record.buffer;
+}
+
+/**
+ * Creates a ZIP writer.
+ *
+ * @returns {{ add: (name: string, data: Blob|Uint8Array, date?: Date) => Promise<void>,
+ *   finish: () => Blob, readonly size: number }}
+ */
+export function createZipWriter() {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const entries = [];
+    let offset = 0;
+    let finished = false;
+
+    return {
+        /** Bytes written so far. */
+        get size() {
+            return offset;
+        },
+
+        /**
+         * Appends a file.
+         *
+         * @param {string} name Path inside the archive, using `/` as separator.
+         * @param {Blob|Uint8Array} data
+         * @param {Date} [date] Modification time.
+         */
+        async add(name, data, date = new Date()) {
+            if (finished) throw new Error('Zip: add() called after finish().');
+            if (entries.length >= MAX_ENTRIES) throw new RangeError(`Zip: more than ${MAX_ENTRIES} entries need ZIP64, which is not supported.`);
+
+            const bytes = data instanceof Uint8Array ? data : new Uint8Array(await data.arrayBuffer());
+            const entry = {
+                name: encoder.encode(name),
+                crc: crc32(bytes),
+                size: bytes.length,
+                offset,
+                ...dosDateTime(date),
+            };
+
+            const header = localFileHeader(entry);
+            const entrySize = 30 + entry.name.length + entry.size;
+            if (offset + entrySize > MAX_SIZE) throw new RangeError('Zip: archives over 4 GiB need ZIP64, which is not supported.');
+
+            // Keep Blobs as they are so their bytes can stay out of the JS heap
+            parts.push(...header, data instanceof Uint8Array ? bytes : data);
+            entries.push(entry);
+            offset += entrySize;
+        },
+
+        /**
+         * Writes the central directory and returns the archive.
+         *
+         * @returns {Blob}
+         */
+        finish() {
+            if (finished) throw new Error('Zip: finish() called twice.');
+            finished = true;
+
+            const directoryOffset = offset;
+            let directorySize = 0;
+            entries.forEach(entry => {
+                parts.push(...centralDirectoryHeader(entry));
+                directorySize += 46 + entry.name.length;
+            });
+            parts.push(endOfCentralDirectory(entries.length, directorySize, directoryOffset));
+            return new Blob(parts, { type: 'application/zip' });
+        },
+    };
+}
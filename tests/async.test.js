@@ -0,0 +1,37 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { withTimeout } from '../src/utils/async.js';
+
+describe('withTimeout()', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should resolve with the value of a promise that settles in time', async () => {
+    await expect(withTimeout(Promise.resolve('module'), 100)).resolves.toBe('module');
+  });
+
+  it('should pass through rejections of the wrapped promise', async () => {
+    const error = new Error('import failed');
+    await expect(withTimeout(Promise.reject(error), 100)).rejects.toBe(error);
+  });
+
+  it('should reject with a TimeoutError when the promise never settles', async () => {
+    vi.useFakeTimers();
+    const result = withTimeout(new Promise(() => {}), 50);
+    vi.advanceTimersByTime(50);
+    await expect(result).rejects.toMatchObject({ name: 'TimeoutError' });
+  });
+
+  it('should reject with an AbortError when the signal aborts first', async () => {
+    const controller = new AbortController();
+    const result = withTimeout(new Promise(() => {}), 1000, controller.signal);
+    controller.abort();
+    await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('should reject immediately for an already aborted signal', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(withTimeout(Promise.resolve('late'), 1000, controller.signal)).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
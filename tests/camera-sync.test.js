@@ -0,0 +1,84 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { canSyncCamera, createCameraSync } from '../src/utils/camera-sync.js';
+
+function fakeDemo(z = 5) {
+  const element = document.createElement('div');
+  const camera = new THREE.PerspectiveCamera(75, 1, 0.1, 100);
+  camera.position.set(0, 0, z);
+  const controls = new OrbitControls(camera, element);
+  return { camera, controls, metadata: { key: 'fake' }, isDisposed: false };
+}
+
+describe('Camera Sync', () => {
+  const created = [];
+  const demo = (z) => {
+    const instance = fakeDemo(z);
+    created.push(instance);
+    return instance;
+  };
+
+  afterEach(() => {
+    created.splice(0).forEach(instance => instance.controls.dispose());
+    vi.restoreAllMocks();
+  });
+
+  it('canSyncCamera() should require a camera and event-dispatching controls', () => {
+    expect(canSyncCamera(demo())).toBe(true);
+    expect(canSyncCamera({ camera: new THREE.PerspectiveCamera() })).toBe(false);
+    expect(canSyncCamera(null)).toBe(false);
+  });
+
+  it('should snap a new member to the existing view', () => {
+    const sync = createCameraSync();
+    const leader = demo(5);
+    const follower = demo(9);
+
+    sync.add(leader);
+    sync.add(follower);
+
+    expect(follower.camera.position.toArray()).toEqual(leader.camera.position.toArray());
+    expect(sync.size).toBe(2);
+  });
+
+  it('should copy camera moves and the controls target to the other members', () => {
+    const sync = createCameraSync();
+    const [a, b, c] = [demo(), demo(), demo()];
+    [a, b, c].forEach(instance => sync.add(instance));
+
+    a.camera.position.set(3, 2, 4);
+    a.controls.target.set(1, 0, 0);
+    a.controls.update(); // Dispatches 'change'
+
+    expect(b.controls.target.toArray()).toEqual([1, 0, 0]);
+    [b, c].forEach(instance => {
+      expect(instance.camera.position.distanceTo(a.camera.position)).toBeLessThan(1e-6);
+      expect(instance.camera.quaternion.angleTo(a.camera.quaternion)).toBeLessThan(1e-6);
+    });
+  });
+
+  it('should stop following once removed', () => {
+    const sync = createCameraSync();
+    const [a, b] = [demo(), demo()];
+    sync.add(a);
+    sync.add(b);
+
+    sync.remove(b);
+    const before = b.camera.position.clone();
+    a.camera.position.set(0, 4, 4);
+    a.controls.update();
+
+    expect(b.camera.position.equals(before)).toBe(true);
+    expect(sync.has(b)).toBe(false);
+  });
+
+  it('should refuse demos without controls', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const sync = createCameraSync();
+
+    expect(sync.add({ camera: new THREE.PerspectiveCamera(), metadata: { key: 'starfield' } })).toBe(false);
+    expect(warnSpy).toHaveBeenCalledWith('Camera sync: "starfield" has no camera controls to sync.');
+    expect(sync.size).toBe(0);
+  });
+});
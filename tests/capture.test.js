@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { captureDemo, captureFilename, clampCaptureScale, renderToImageData } from '../src/utils/capture.js';
+import { normalizeDemoInstance } from '../src/utils/demo-adapter.js';
+
+describe('Capture', () => {
+  let renderer;
+  let scene;
+  let camera;
+
+  beforeEach(() => {
+    renderer = new THREE.WebGLRenderer();
+    renderer.setSize(32, 16);
+    scene = new THREE.Scene();
+    scene.background = new THREE.Color(0xff0000);
+    camera = new THREE.PerspectiveCamera(75, 2, 0.1, 100);
+  });
+
+  afterEach(() => {
+    renderer.dispose();
+    renderer.forceContextLoss();
+    vi.restoreAllMocks();
+  });
+
+  it('captureFilename() should combine the demo key and a file-safe timestamp', () => {
+    const date = new Date('2024-05-01T12:30:05.123Z');
+    expect(captureFilename('rubiks-cube', date)).toBe('rubiks-cube-2024-05-01T12-30-05.png');
+    expect(captureFilename('starfield', date, 'webm')).toBe('starfield-2024-05-01T12-30-05.webm');
+  });
+
+  it('clampCaptureScale() should stay within the maximum texture size', () => {
+    const fakeRenderer = { capabilities: { maxTextureSize: 4096 } };
+    expect(clampCaptureScale(fakeRenderer, 1000, 500, 4)).toBe(4);
+    expect(clampCaptureScale(fakeRenderer, 1500, 500, 4)).toBe(2);
+    expect(clampCaptureScale(fakeRenderer, 5000, 500, 2)).toBe(1);
+  });
+
+  it('should render the scene offscreen with the background color', () => {
+    const image = renderToImageData(renderer, scene, camera, 8, 4);
+
+    expect(image.width).toBe(8);
+    expect(image.height).toBe(4);
+    expect(Array.from(image.data.slice(0, 4))).toEqual([255, 0, 0, 255]);
+  });
+
+  it('should drop the background when transparent and restore it afterwards', () => {
+    const background = scene.background;
+    renderer.setClearColor(0x00ff00, 1);
+
+    const image = renderToImageData(renderer, scene, camera, 8, 4, { transparent: true });
+
+    expect(image.data[3]).toBe(0);
+    expect(scene.background).toBe(background);
+    expect(renderer.getClearColor(new THREE.Color()).getHex()).toBe(0x00ff00);
+    expect(renderer.getClearAlpha()).toBe(1);
+    expect(renderer.getRenderTarget()).toBeNull();
+  });
+
+  it('captureDemo() should produce a PNG at a multiple of the canvas size', async () => {
+    const demo = normalizeDemoInstance({ dispose() {}, renderer, scene, camera });
+
+    const { blob, width, height, scale } = await captureDemo(demo, { scale: 2 });
+
+    expect(blob.type).toBe('image/png');
+    expect([width, height, scale]).toEqual([64, 32, 2]);
+    const bitmap = await createImageBitmap(blob);
+    expect([bitmap.width, bitmap.height]).toEqual([64, 32]);
+  });
+
+  it('captureDemo() should reject demos without a renderer, scene and camera', async () => {
+    const demo = normalizeDemoInstance({ dispose() {} }, {}, { key: 'empty' });
+    await expect(captureDemo(demo)).rejects.toThrow('Demo "empty" does not expose a renderer, scene and camera to capture.');
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createComparisonView, formatComparison, parseComparison, formatPaneRoute } from '../src/utils/comparison.js';
+import { formatHash, parseHash } from '../src/utils/router.js';
+
+const known = { isKnownKey: key => ['boids-flocking', 'rubiks-cube', 'starfield'].includes(key), fallbackKey: 'starfield' };
+
+function fakeModule() {
+  return {
+    init(container, options) {
+      const marker = document.createElement('div');
+      marker.className = 'fake-demo';
+      container.appendChild(marker);
+      return { dispose: () => marker.remove(), options };
+    },
+  };
+}
+
+describe('Comparison', () => {
+  describe('parseComparison() / formatComparison()', () => {
+    it('should round-trip panes, params and sync through the compare route', () => {
+      const comparison = {
+        layout: 2,
+        panes: [
+          { key: 'boids-flocking', params: { separationWeight: 1.5 }, sync: true },
+          { key: 'boids-flocking', params: { separationWeight: 3 }, sync: true },
+        ],
+      };
+
+      const hash = formatHash('compare', formatComparison(comparison));
+      const { key, params } = parseHash(hash);
+
+      expect(key).toBe('compare');
+      expect(params.sync).toBe('a,b');
+      expect(parseComparison(params, known)).toEqual(comparison);
+    });
+
+    it('should fill missing panes from the first one and infer the layout', () => {
+      const { layout, panes } = parseComparison({ a: formatPaneRoute('rubiks-cube', { size: 5 }), c: 'starfield' }, known);
+
+      expect(layout).toBe(4);
+      expect(panes.map(pane => pane.key)).toEqual(['rubiks-cube', 'rubiks-cube', 'starfield', 'rubiks-cube']);
+      expect(panes[1].params).toEqual({ size: 5 });
+      expect(panes[1].params).not.toBe(panes[0].params);
+    });
+
+    it('should replace unknown demos with the fallback', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const { panes } = parseComparison({ layout: 2, a: 'nope?x=1', b: 'rubiks-cube' }, known);
+
+      expect(panes[0]).toEqual({ key: 'starfield', params: {}, sync: false });
+      expect(warnSpy).toHaveBeenCalledWith('Comparison: unknown demo "nope" in pane a, falling back to "starfield".');
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('createComparisonView()', () => {
+    let container;
+    let demos;
+    let view;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      container.style.width = '400px';
+      container.style.height = '300px';
+      document.body.appendChild(container);
+      demos = {
+        'rubiks-cube': { title: "Rubik's Cube", load: vi.fn(() => Promise.resolve(fakeModule())) },
+        starfield: { title: 'Starfield', load: vi.fn(() => Promise.resolve(fakeModule())) },
+      };
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      view?.dispose();
+      view = null;
+      container.remove();
+      vi.restoreAllMocks();
+    });
+
+    const mounted = () => view.panes.map(pane => pane.demo);
+    const waitForMounts = () => vi.waitFor(() => expect(mounted().every(Boolean)).toBe(true));
+
+    it('should give every pane its own demo and params', async () => {
+      view = createComparisonView(container, { demos });
+      view.update({
+        layout: 2,
+        panes: [
+          { key: 'rubiks-cube', params: { size: 3 }, sync: false },
+          { key: 'rubiks-cube', params: { size: 5 }, sync: false },
+        ],
+      });
+      await waitForMounts();
+
+      expect(container.querySelectorAll('.compare-pane')).toHaveLength(2);
+      expect(view.panes.map(pane => pane.params.size)).toEqual([3, 5]);
+      expect(container.querySelectorAll('.compare-stage .fake-demo')).toHaveLength(2);
+    });
+
+    it('should only reload the pane that changed', async () => {
+      view = createComparisonView(container, { demos });
+      const panes = [
+        { key: 'rubiks-cube', params: { size: 3 }, sync: false },
+        { key: 'starfield', params: {}, sync: false },
+      ];
+      view.update({ layout: 2, panes });
+      await waitForMounts();
+      const [left, right] = mounted();
+
+      view.update({ layout: 2, panes: [{ ...panes[0], params: { size: 4 } }, panes[1]] });
+      await waitForMounts();
+
+      expect(left.isDisposed).toBe(true);
+      expect(right.isDisposed).toBe(false);
+      expect(mounted()[1]).toBe(right);
+    });
+
+    it('should report toolbar edits through onChange', async () => {
+      const onChange = vi.fn();
+      view = createComparisonView(container, { demos, onChange });
+      view.update({ layout: 2, panes: [{ key: 'starfield', params: {}, sync: false }, { key: 'starfield', params: {}, sync: false }] });
+
+      const input = container.querySelector('.compare-pane[data-pane="b"] input[type="text"]');
+      input.value = 'size=5';
+      input.dispatchEvent(new Event('change'));
+
+      expect(onChange).toHaveBeenCalledWith({
+        layout: 2,
+        panes: [{ key: 'starfield', params: {}, sync: false }, { key: 'starfield', params: { size: 5 }, sync: false }],
+      });
+    });
+
+    it('should grow to four panes and dispose extra panes when shrinking', async () => {
+      const onActivate = vi.fn();
+      view = createComparisonView(container, { demos, onActivate });
+      const pane = { key: 'starfield', params: {}, sync: false };
+      view.update({ layout: 4, panes: [pane, pane, pane, pane] });
+      await waitForMounts();
+      const removed = mounted().slice(2);
+
+      container.querySelector('.compare-pane[data-pane="d"]').dispatchEvent(new PointerEvent('pointerdown'));
+      expect(view.activeIndex).toBe(3);
+      view.update({ layout: 2, panes: [pane, pane] });
+
+      expect(container.querySelectorAll('.compare-pane')).toHaveLength(2);
+      expect(removed.every(demo => demo.isDisposed)).toBe(true);
+      expect(view.activeIndex).toBe(1);
+      expect(onActivate).toHaveBeenLastCalledWith(view.panes[1]);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { adaptDemoModule, normalizeDemoInstance, formatDemoTitle } from '../src/utils/demo-adapter.js';
+
+describe('Demo Adapter', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('formatDemoTitle() should capitalize each word of the key', () => {
+    expect(formatDemoTitle('boids-flocking')).toBe('Boids Flocking');
+    expect(formatDemoTitle('3d-text')).toBe('3d Text');
+  });
+
+  it('should wrap a bare cleanup function as dispose', () => {
+    const cleanup = vi.fn();
+    const instance = normalizeDemoInstance(cleanup);
+    instance.dispose();
+    expect(cleanup).toHaveBeenCalledTimes(1);
+    expect(instance.scene).toBeNull();
+  });
+
+  it('should accept the legacy { cleanup, scene } shape', () => {
+    const cleanup = vi.fn();
+    const scene = { isScene: true };
+    const instance = normalizeDemoInstance({ cleanup, scene });
+    expect(instance.scene).toBe(scene);
+    instance.dispose();
+    expect(cleanup).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fall back to a module-level cleanup export', () => {
+    const cleanup = vi.fn();
+    const instance = normalizeDemoInstance(undefined, { cleanup });
+    instance.dispose();
+    expect(cleanup).toHaveBeenCalledTimes(1);
+  });
+
+  it('should warn and provide a no-op dispose when none is available', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const instance = normalizeDemoInstance(undefined, {}, { key: 'broken' });
+    expect(warnSpy).toHaveBeenCalledWith('Demo "broken" did not provide a dispose function.');
+    expect(() => instance.dispose()).not.toThrow();
+  });
+
+  it('should only dispose once', () => {
+    const dispose = vi.fn();
+    const instance = normalizeDemoInstance({ dispose });
+    instance.dispose();
+    instance.dispose();
+    expect(dispose).toHaveBeenCalledTimes(1);
+    expect(instance.isDisposed).toBe(true);
+  });
+
+  it('should forward optional lifecycle methods and default missing ones', () => {
+    const source = {
+      dispose: vi.fn(),
+      pause: vi.fn(),
+      resume: vi.fn(),
+      getState: () => ({ speed: 2 }),
+      getStats: () => ({ Boids: 100 }),
+    };
+    const instance = normalizeDemoInstance(source);
+
+    instance.pause();
+    instance.pause(); // Already paused, should not forward again
+    expect(source.pause).toHaveBeenCalledTimes(1);
+    expect(instance.isPaused).toBe(true);
+    instance.resume();
+    expect(source.resume).toHaveBeenCalledTimes(1);
+
+    expect(instance.getState()).toEqual({ speed: 2 });
+    expect(() => instance.setState({ speed: 3 })).not.toThrow();
+    expect(() => instance.resize(100, 100)).not.toThrow();
+    expect(instance.getStats()).toEqual({ Boids: 100 });
+    expect(normalizeDemoInstance({ dispose() {} }).getStats()).toEqual({});
+  });
+
+  it('should run the demo\'s actions and reject unknown ones', async () => {
+    const shuffle = vi.fn(async moves => moves * 2);
+    const instance = normalizeDemoInstance({ dispose() {}, actions: { shuffle } }, {}, { key: 'cube' });
+
+    expect(instance.actions).toEqual(['shuffle']);
+    await expect(instance.runAction('shuffle', 10)).resolves.toBe(20);
+    await expect(instance.runAction('toString')).rejects.toMatchObject({ name: 'NotFoundError' });
+    expect(normalizeDemoInstance({ dispose() {} }).actions).toEqual([]);
+
+    instance.dispose();
+    await expect(instance.runAction('shuffle')).rejects.toMatchObject({ name: 'InvalidStateError' });
+    expect(shuffle).toHaveBeenCalledTimes(1);
+  });
+
+  it('adaptDemoModule() should reject modules without init', () => {
+    expect(() => adaptDemoModule({}, 'empty')).toThrow('Demo "empty" does not export an init function.');
+  });
+
+  it('adaptDemoModule() should merge module metadata and pass options to init', () => {
+    const dispose = vi.fn();
+    const init = vi.fn(() => ({ dispose }));
+    const demo = adaptDemoModule({ init, metadata: { description: 'A test demo' } }, 'test-demo');
+
+    expect(demo.metadata).toEqual({ key: 'test-demo', title: 'Test Demo', description: 'A test demo' });
+
+    const container = document.createElement('div');
+    const instance = demo.mount(container, { size: 4 });
+    expect(init).toHaveBeenCalledWith(container, { size: 4 });
+    expect(instance.metadata).toBe(demo.metadata);
+    instance.dispose();
+    expect(dispose).toHaveBeenCalled();
+  });
+
+  it('adaptDemoModule() should take metadata from the manifest entry, without its loader', () => {
+    const manifestEntry = { title: 'Manifest Title', tags: ['geometry'], load: () => {} };
+    const demo = adaptDemoModule({ init: () => ({ dispose() {} }), metadata: { tags: ['override'] } }, 'test-demo', manifestEntry);
+
+    expect(demo.metadata).toEqual({ key: 'test-demo', title: 'Manifest Title', tags: ['override'] });
+  });
+
+  it('mount() should fit the camera and renderer to the container and stop watching on dispose', async () => {
+    const container = document.createElement('div');
+    container.style.width = '300px';
+    container.style.height = '150px';
+    document.body.appendChild(container);
+
+    const camera = { isPerspectiveCamera: true, aspect: 1, updateProjectionMatrix: vi.fn() };
+    const renderer = { setPixelRatio: vi.fn(), setSize: vi.fn() };
+    const resize = vi.fn();
+    const demo = adaptDemoModule({ init: () => ({ dispose() {}, camera, renderer, resize }) }, 'test-demo');
+    const instance = demo.mount(container);
+
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    expect(camera.aspect).toBe(2);
+    expect(renderer.setSize).toHaveBeenLastCalledWith(300, 150);
+    expect(resize).toHaveBeenLastCalledWith(300, 150);
+
+    instance.dispose();
+    resize.mockClear();
+    container.style.width = '200px';
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    expect(resize).not.toHaveBeenCalled();
+    container.remove();
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { GUI } from 'lil-gui';
+import { createDemoContext, disposeObject, DEFAULT_BACKGROUND } from '../src/utils/demo-context.js';
+import { createRenderLoop, renderLoop } from '../src/utils/render-loop.js';
+
+describe('Demo Context', () => {
+  let container;
+  let context;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    container.style.width = '320px';
+    container.style.height = '240px';
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    context?.dispose();
+    context = null;
+    container.remove();
+    vi.restoreAllMocks();
+  });
+
+  it('should set up a scene, camera, pooled renderer and damped controls', () => {
+    context = createDemoContext(container, { cameraPosition: [0, 5, 10], controls: { minDistance: 2 } });
+    const { scene, camera, renderer, controls } = context;
+
+    expect(scene.background.getHex()).toBe(DEFAULT_BACKGROUND);
+    expect(camera.position.distanceTo(new THREE.Vector3(0, 5, 10))).toBeCloseTo(0); // controls.update() rounds a little
+    expect(camera.aspect).toBeCloseTo(320 / 240);
+    expect(container.contains(renderer.domElement)).toBe(true);
+    expect(controls.enableDamping).toBe(true);
+    expect(controls.minDistance).toBe(2);
+  });
+
+  it('should leave out the background and controls when asked to', () => {
+    context = createDemoContext(container, { background: null, controls: false });
+    expect(context.scene.background).toBeNull();
+    expect(context.controls).toBeNull();
+  });
+
+  it('should dispose what is left in the scene, including textures and shadow maps', () => {
+    context = createDemoContext(container);
+    const geometry = new THREE.BoxGeometry();
+    const texture = new THREE.Texture();
+    const material = new THREE.MeshStandardMaterial({ map: texture });
+    const light = new THREE.DirectionalLight();
+    const group = new THREE.Group();
+    group.add(new THREE.Mesh(geometry, [material]));
+    context.scene.add(group, light);
+    const spies = [geometry, texture, material, light].map(resource => vi.spyOn(resource, 'dispose'));
+
+    context.dispose();
+    spies.forEach(spy => expect(spy).toHaveBeenCalledTimes(1));
+    expect(context.scene.children).toHaveLength(0);
+    expect(container.querySelector('canvas')).toBeNull();
+  });
+
+  it('should release tracked resources, listeners and frames on dispose', () => {
+    context = createDemoContext(container);
+    const gui = context.track(new GUI({ autoPlace: false }));
+    container.appendChild(gui.domElement);
+    const overlay = context.track(document.createElement('div'));
+    container.appendChild(overlay);
+    const texture = context.track(new THREE.Texture());
+    const textureDispose = vi.spyOn(texture, 'dispose');
+    const cleanup = vi.fn();
+    context.track(cleanup);
+    const onClick = vi.fn();
+    context.listen(container, 'click', onClick);
+    const tasks = renderLoop.size;
+    context.animate(() => {});
+    expect(renderLoop.size).toBe(tasks + 1);
+
+    context.dispose();
+    expect(container.children).toHaveLength(0);
+    expect(textureDispose).toHaveBeenCalled();
+    expect(cleanup).toHaveBeenCalledTimes(1);
+    expect(renderLoop.size).toBe(tasks);
+    container.dispatchEvent(new Event('click'));
+    expect(onClick).not.toHaveBeenCalled();
+  });
+
+  it('should add frames to the loop it is given', () => {
+    const loop = createRenderLoop();
+    context = createDemoContext(container, { loop });
+    const tasks = renderLoop.size;
+    context.animate(() => {});
+    expect([loop.size, renderLoop.size]).toEqual([1, tasks]);
+
+    context.dispose();
+    expect(loop.size).toBe(0);
+  });
+
+  it('should only dispose once and release late arrivals straight away', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    context = createDemoContext(container);
+    const first = vi.fn();
+    context.track(() => { throw new Error('Broken cleanup'); });
+    context.track(first);
+
+    context.dispose();
+    context.dispose();
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(console.error).toHaveBeenCalledWith('Demo context: error while releasing', expect.any(Function), expect.any(Error));
+    expect(context.isDisposed).toBe(true);
+
+    const late = vi.fn();
+    context.track(late);
+    expect(late).toHaveBeenCalledTimes(1);
+  });
+
+  it('disposeObject() should detach the object from its parent', () => {
+    const parent = new THREE.Group();
+    const mesh = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial());
+    parent.add(mesh);
+    disposeObject(mesh);
+    expect(parent.children).toHaveLength(0);
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { defineDemoElement, parseBooleanAttribute } from '../src/utils/demo-element.js';
+
+// A demo module with a marker element, a fake GUI panel and fake camera controls
+function fakeModule(name) {
+  return {
+    init(container, options) {
+      const marker = document.createElement('div');
+      marker.className = 'fake-demo';
+      marker.textContent = name;
+      container.appendChild(marker);
+      return {
+        dispose: vi.fn(() => marker.remove()),
+        gui: { show: vi.fn() },
+        controls: { enabled: true },
+        seed: options.seed ?? null,
+      };
+    },
+  };
+}
+
+let nextTag = 0;
+
+describe('Demo Element', () => {
+  let demos;
+  let tagName;
+  let host;
+
+  beforeEach(() => {
+    demos = {
+      first: { title: 'First', load: vi.fn(() => Promise.resolve(fakeModule('first'))) },
+      second: { title: 'Second', load: vi.fn(() => Promise.resolve(fakeModule('second'))) },
+    };
+    tagName = `test-demo-${nextTag++}`;
+    defineDemoElement({ demos, tagName });
+    host = document.createElement('div');
+    document.body.appendChild(host);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    host.remove();
+    vi.restoreAllMocks();
+  });
+
+  function createElement(attributes) {
+    const element = document.createElement(tagName);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    host.appendChild(element);
+    return element;
+  }
+
+  it('parseBooleanAttribute() should only treat explicit negatives as false', () => {
+    expect(parseBooleanAttribute(null)).toBe(true);
+    expect(parseBooleanAttribute('')).toBe(true);
+    expect(parseBooleanAttribute('true')).toBe(true);
+    expect(parseBooleanAttribute('false')).toBe(false);
+    expect(parseBooleanAttribute(' Off ')).toBe(false);
+    expect(parseBooleanAttribute('0')).toBe(false);
+  });
+
+  it('should return the class already defined under the tag name', () => {
+    const defined = customElements.get(tagName);
+    expect(defineDemoElement({ demos: {}, tagName })).toBe(defined);
+  });
+
+  it('should load the named demo with its seed once attached', async () => {
+    const element = createElement({ name: 'first', seed: '42' });
+
+    await vi.waitFor(() => expect(element.demo).not.toBeNull());
+    expect(element.demo.metadata.key).toBe('first');
+    expect(element.demo.seed).toBe('42');
+    expect(element.querySelector('.fake-demo').textContent).toBe('first');
+    expect(element.demo.gui.show).toHaveBeenCalledWith(true);
+  });
+
+  it('should not import anything until the element is near the viewport', async () => {
+    host.style.marginTop = '5000px';
+    const element = createElement({ name: 'first' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(demos.first.load).not.toHaveBeenCalled();
+
+    element.scrollIntoView();
+    await vi.waitFor(() => expect(element.demo).not.toBeNull());
+  });
+
+  it('should hide the GUI and camera controls when controls is false', async () => {
+    const element = createElement({ name: 'first', controls: 'false' });
+    await vi.waitFor(() => expect(element.demo).not.toBeNull());
+    const demo = element.demo;
+    expect(demo.gui.show).toHaveBeenLastCalledWith(false);
+    expect(demo.controls.enabled).toBe(false);
+
+    element.setAttribute('controls', 'true');
+    expect(element.demo).toBe(demo); // No reload
+    expect(demo.gui.show).toHaveBeenLastCalledWith(true);
+    expect(demo.controls.enabled).toBe(true);
+  });
+
+  it('should reload when the name or seed changes', async () => {
+    const element = createElement({ name: 'first' });
+    await vi.waitFor(() => expect(element.demo).not.toBeNull());
+    const first = element.demo;
+
+    element.setAttribute('name', 'second');
+    await vi.waitFor(() => expect(element.demo?.metadata.key).toBe('second'));
+    expect(first.isDisposed).toBe(true);
+
+    element.setAttribute('seed', '7');
+    await vi.waitFor(() => expect(element.demo?.seed).toBe('7'));
+  });
+
+  it('should keep running when moved and dispose the demo when removed', async () => {
+    const element = createElement({ name: 'first' });
+    await vi.waitFor(() => expect(element.demo).not.toBeNull());
+    const demo = element.demo;
+
+    const other = document.createElement('div');
+    host.appendChild(other);
+    other.appendChild(element);
+    await Promise.resolve();
+    expect(element.demo).toBe(demo);
+    expect(demo.isDisposed).toBe(false);
+
+    element.remove();
+    await Promise.resolve();
+    expect(demo.isDisposed).toBe(true);
+    expect(element.demo).toBeNull();
+    expect(element.children).toHaveLength(0);
+  });
+
+  it('should warn instead of loading without a name', async () => {
+    createElement({});
+    await vi.waitFor(() => expect(console.warn).toHaveBeenCalledWith(`<${tagName}> needs a name attribute naming the demo to show.`));
+  });
+});
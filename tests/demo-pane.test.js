@@ -0,0 +1,258 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { GUI } from 'lil-gui';
+import { createDemoPane } from '../src/utils/demo-pane.js';
+import { createEventBus } from '../src/utils/event-bus.js';
+
+// A demo module that renders a marker element and records how it was initialized
+function fakeModule(name) {
+  return {
+    init(container, options) {
+      const marker = document.createElement('div');
+      marker.className = 'fake-demo';
+      marker.textContent = name;
+      container.appendChild(marker);
+      return { dispose: vi.fn(() => marker.remove()), options };
+    },
+  };
+}
+
+describe('Demo Pane', () => {
+  let element;
+  let demos;
+
+  beforeEach(() => {
+    element = document.createElement('div');
+    document.body.appendChild(element);
+    demos = {
+      first: { title: 'First', load: () => Promise.resolve(fakeModule('first')) },
+      second: { title: 'Second', load: () => Promise.resolve(fakeModule('second')) },
+    };
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    element.remove();
+    vi.restoreAllMocks();
+  });
+
+  it('should mount the demo with its params and an abort signal', async () => {
+    const onMount = vi.fn();
+    const pane = createDemoPane(element, { demos, onMount });
+
+    const demo = await pane.load('first', { size: 4 });
+
+    expect(pane.demo).toBe(demo);
+    expect(demo.metadata.key).toBe('first');
+    expect(element.querySelector('.fake-demo').textContent).toBe('first');
+    expect(onMount).toHaveBeenCalledWith(demo);
+    expect([pane.key, pane.params]).toEqual(['first', { size: 4 }]);
+    pane.dispose();
+  });
+
+  it('should dispose the previous demo before mounting the next', async () => {
+    const onUnmount = vi.fn();
+    const pane = createDemoPane(element, { demos, onUnmount });
+    const first = await pane.load('first');
+
+    await pane.load('second');
+
+    expect(first.isDisposed).toBe(true);
+    expect(onUnmount).toHaveBeenCalledWith(first);
+    expect(element.querySelectorAll('.fake-demo')).toHaveLength(1);
+    pane.dispose();
+  });
+
+  it('should drop a load that was superseded while importing', async () => {
+    let resolveSlow;
+    demos.slow = { load: () => new Promise(resolve => { resolveSlow = resolve; }) };
+    const pane = createDemoPane(element, { demos });
+
+    const slowLoad = pane.load('slow');
+    const second = await pane.load('second');
+    resolveSlow(fakeModule('slow'));
+
+    expect(await slowLoad).toBeNull();
+    expect(pane.demo).toBe(second);
+    expect(element.textContent).toBe('second');
+    pane.dispose();
+  });
+
+  it('should show an error with a retry button when the import fails', async () => {
+    const load = vi.fn()
+      .mockRejectedValueOnce(new Error('offline'))
+      .mockResolvedValueOnce(fakeModule('flaky'));
+    demos.flaky = { title: 'Flaky', load };
+    const onMount = vi.fn();
+    const onError = vi.fn();
+    const pane = createDemoPane(element, { demos, onMount, onError });
+
+    expect(await pane.load('flaky')).toBeNull();
+    expect(element.querySelector('.demo-status-error').textContent).toContain('Error loading demo: Flaky.');
+    expect(onError).toHaveBeenCalledWith('flaky', expect.objectContaining({ message: 'offline' }));
+
+    element.querySelector('.demo-status button').click();
+    await vi.waitFor(() => expect(onMount).toHaveBeenCalled());
+    expect(element.textContent).toBe('flaky');
+    pane.dispose();
+  });
+
+  it('dispose() should tear down the demo and leave other panes alone', async () => {
+    const otherElement = document.createElement('div');
+    document.body.appendChild(otherElement);
+    const pane = createDemoPane(element, { demos });
+    const otherPane = createDemoPane(otherElement, { demos });
+    const demo = await pane.load('first');
+    const otherDemo = await otherPane.load('first');
+
+    pane.dispose();
+
+    expect(demo.isDisposed).toBe(true);
+    expect(element.childElementCount).toBe(0);
+    expect([pane.demo, pane.key]).toEqual([null, null]);
+    expect(otherDemo.isDisposed).toBe(false);
+    expect(otherElement.querySelector('.fake-demo')).not.toBeNull();
+
+    otherPane.dispose();
+    otherElement.remove();
+  });
+
+  it('should publish the lifecycle and the demo\'s own events on the event bus', async () => {
+    let demoEvents;
+    demos.first.load = () => Promise.resolve({
+      init(container, options) {
+        demoEvents = options.events;
+        demoEvents.emit('greeted', { name: 'first' });
+        return { dispose() {} };
+      },
+    });
+    const events = createEventBus();
+    const log = [];
+    events.on('*', (detail, type) => log.push(type));
+    const greeted = vi.fn();
+    events.on('first:greeted', greeted);
+    const pane = createDemoPane(element, { demos, events });
+
+    const demo = await pane.load('first', { size: 4 });
+    await pane.load('second');
+    pane.dispose();
+    demoEvents.emit('greeted', { name: 'late' }); // Replaced demos are not heard any more
+
+    expect(log).toEqual([
+      'demo:loading', 'first:greeted', 'demo:ready', 'demo:disposed',
+      'demo:loading', 'demo:ready', 'demo:disposed',
+    ]);
+    expect(greeted).toHaveBeenCalledTimes(1);
+    expect(greeted).toHaveBeenCalledWith({ name: 'first', key: 'first', element }, 'first:greeted');
+
+    const ready = vi.fn();
+    events.on('demo:ready', ready);
+    const next = await pane.load('first', { size: 2 });
+    expect(ready).toHaveBeenCalledWith({ key: 'first', params: { size: 2 }, element, demo: next }, 'demo:ready');
+    expect(next).not.toBe(demo);
+    pane.dispose();
+  });
+
+  it('should publish demo:error when a demo cannot be shown', async () => {
+    const events = createEventBus();
+    const onError = vi.fn();
+    events.on('demo:error', onError);
+    const pane = createDemoPane(element, { demos, events });
+
+    expect(await pane.load('missing')).toBeNull();
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({
+      key: 'missing',
+      element,
+      error: expect.objectContaining({ name: 'NotFoundError' }),
+    }), 'demo:error');
+  });
+
+  it('should publish param:changed for the demo\'s GUI values', async () => {
+    let gui;
+    demos.first.load = () => Promise.resolve({
+      init(container) {
+        gui = new GUI({ container });
+        gui.add({ speed: 1 }, 'speed', 0, 5);
+        gui.add({ reset() {} }, 'reset'); // Buttons are not parameters
+        return { dispose: () => gui.destroy(), gui };
+      },
+    });
+    const events = createEventBus();
+    const changed = vi.fn();
+    events.on('param:changed', changed);
+    const pane = createDemoPane(element, { demos, events });
+    const demo = await pane.load('first');
+
+    gui.controllers[0].setValue(3);
+    gui.controllers[1].setValue(() => {});
+    expect(changed).toHaveBeenCalledTimes(1);
+    expect(changed).toHaveBeenCalledWith({ key: 'first', element, demo, property: 'speed', value: 3 }, 'param:changed');
+    pane.dispose();
+  });
+
+  it('should explain that WebGL is missing instead of loading the demo', async () => {
+    const load = vi.fn();
+    demos.first.load = load;
+    const onError = vi.fn();
+    const pane = createDemoPane(element, { demos, onError, supportsWebGL: () => false });
+
+    expect(await pane.load('first')).toBeNull();
+
+    expect(load).not.toHaveBeenCalled();
+    expect(onError).toHaveBeenCalledWith('first', expect.objectContaining({ name: 'NotSupportedError' }));
+    expect(element.querySelector('.demo-status-webgl h2').textContent).toBe('WebGL is not available');
+    expect(element.querySelector('.demo-status-webgl p').textContent).toContain('First draws with WebGL 2');
+  });
+
+  it('should show the WebGL explanation when the demo cannot get a renderer', async () => {
+    demos.first.load = () => Promise.resolve({
+      init() { throw new DOMException('Could not create a WebGL renderer: no context', 'NotSupportedError'); },
+    });
+    const pane = createDemoPane(element, { demos });
+
+    expect(await pane.load('first')).toBeNull();
+    expect(element.querySelector('.demo-status-webgl')).not.toBeNull();
+  });
+
+  it('should pause on context loss and reload with the same params and seed once restored', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const inits = [];
+    demos.gpu = {
+      title: 'GPU',
+      load: () => Promise.resolve({
+        init(container, options) {
+          const canvas = document.createElement('canvas');
+          container.appendChild(canvas);
+          const instance = {
+            options,
+            dispose: vi.fn(() => canvas.remove()),
+            pause: vi.fn(),
+            renderer: { domElement: canvas, setPixelRatio() {}, setSize() {} },
+            seed: options.seed ?? 7,
+          };
+          inits.push(instance);
+          return instance;
+        },
+      }),
+    };
+    const onMount = vi.fn();
+    const pane = createDemoPane(element, { demos, onMount });
+    const demo = await pane.load('gpu', { size: 4 });
+    const canvas = inits[0].renderer.domElement;
+
+    const lost = new Event('webglcontextlost', { cancelable: true });
+    canvas.dispatchEvent(lost);
+
+    expect(lost.defaultPrevented).toBe(true);
+    expect(inits[0].pause).toHaveBeenCalled();
+    expect(element.querySelector('.demo-status-overlay')).not.toBeNull();
+
+    canvas.dispatchEvent(new Event('webglcontextrestored'));
+    await vi.waitFor(() => expect(onMount).toHaveBeenCalledTimes(2));
+
+    expect(demo.isDisposed).toBe(true);
+    expect(inits[1].options).toMatchObject({ size: 4, seed: 7 });
+    expect(element.querySelector('.demo-status-overlay')).toBeNull();
+    pane.dispose();
+  });
+});
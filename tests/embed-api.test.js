@@ -0,0 +1,126 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createEmbedApi, EMBED_PROTOCOL, EMBED_PROTOCOL_VERSION } from '../src/utils/embed-api.js';
+
+const OWN_ORIGIN = 'https://demos.example.com';
+const HOST_ORIGIN = 'https://docs.example.com';
+
+// Stands in for the framed window: keeps the message listener so tests can call it directly
+function fakeWindow() {
+  const target = {
+    location: { origin: OWN_ORIGIN },
+    listener: null,
+    addEventListener: vi.fn((type, listener) => { target.listener = listener; }),
+    removeEventListener: vi.fn(() => { target.listener = null; }),
+  };
+  return target;
+}
+
+function message(body) {
+  return { protocol: EMBED_PROTOCOL, version: EMBED_PROTOCOL_VERSION, ...body };
+}
+
+describe('Embed API', () => {
+  let target;
+  let host;
+  let commands;
+  let api;
+
+  beforeEach(() => {
+    target = fakeWindow();
+    host = { postMessage: vi.fn() };
+    commands = {
+      pause: vi.fn(() => ({ paused: true })),
+      action: vi.fn(async ({ name }) => {
+        if (name !== 'shuffle') throw new DOMException(`No action "${name}".`, 'NotFoundError');
+        return { name };
+      }),
+    };
+    api = createEmbedApi({ commands, allowedOrigins: [HOST_ORIGIN], target });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    api.dispose();
+    vi.restoreAllMocks();
+  });
+
+  function send(data, { origin = HOST_ORIGIN, source = host } = {}) {
+    return target.listener({ data, origin, source });
+  }
+
+  it('should answer hello with the version and command names', async () => {
+    await send(message({ id: 1, type: 'hello' }));
+    expect(host.postMessage).toHaveBeenCalledWith({
+      protocol: EMBED_PROTOCOL,
+      version: EMBED_PROTOCOL_VERSION,
+      type: 'response',
+      id: 1,
+      ok: true,
+      result: { version: EMBED_PROTOCOL_VERSION, commands: ['hello', 'pause', 'action'] },
+    }, HOST_ORIGIN);
+  });
+
+  it('should run commands and correlate responses by id', async () => {
+    await send(message({ id: 'a', type: 'action', name: 'shuffle' }));
+    await send(message({ id: 'b', type: 'action', name: 'dance' }));
+
+    expect(commands.action).toHaveBeenCalledWith(expect.objectContaining({ name: 'shuffle' }));
+    expect(host.postMessage.mock.calls[0][0]).toMatchObject({ id: 'a', ok: true, result: { name: 'shuffle' } });
+    expect(host.postMessage.mock.calls[1][0]).toMatchObject({ id: 'b', ok: false, error: { name: 'NotFoundError', message: 'No action "dance".' } });
+  });
+
+  it('should reject unknown commands and other protocol versions', async () => {
+    await send(message({ id: 1, type: 'toString' }));
+    await send({ protocol: EMBED_PROTOCOL, version: 99, id: 2, type: 'pause' });
+
+    expect(host.postMessage.mock.calls[0][0]).toMatchObject({ id: 1, ok: false, error: { name: 'NotFoundError' } });
+    expect(host.postMessage.mock.calls[1][0]).toMatchObject({ id: 2, ok: false, error: { name: 'NotSupportedError' } });
+    expect(commands.pause).not.toHaveBeenCalled();
+  });
+
+  it('should drop messages from origins that are not allowed', async () => {
+    await send(message({ id: 1, type: 'pause' }), { origin: 'https://evil.example.com' });
+    expect(console.warn).toHaveBeenCalledWith('Embed API: ignoring a message from https://evil.example.com, which is not an allowed host.');
+    expect(commands.pause).not.toHaveBeenCalled();
+    expect(host.postMessage).not.toHaveBeenCalled();
+
+    await send(message({ id: 2, type: 'pause' }), { origin: OWN_ORIGIN });
+    expect(host.postMessage).toHaveBeenCalledWith(expect.objectContaining({ id: 2, ok: true }), OWN_ORIGIN);
+  });
+
+  it('should quietly ignore messages of other protocols', async () => {
+    await send({ type: 'pause' });
+    await send('hello', { origin: 'https://evil.example.com' });
+    expect(console.warn).not.toHaveBeenCalled();
+    expect(host.postMessage).not.toHaveBeenCalled();
+  });
+
+  it('should send events only to hosts that have talked to the page', async () => {
+    api.emit('demo:ready', { key: 'starfield' });
+    expect(host.postMessage).not.toHaveBeenCalled();
+
+    await send(message({ id: 1, type: 'hello' }));
+    expect(api.hostCount).toBe(1);
+    api.emit('demo:ready', { key: 'starfield' });
+    expect(host.postMessage).toHaveBeenLastCalledWith({
+      protocol: EMBED_PROTOCOL,
+      version: EMBED_PROTOCOL_VERSION,
+      type: 'event',
+      event: 'demo:ready',
+      detail: { key: 'starfield' },
+    }, HOST_ORIGIN);
+  });
+
+  it('should answer with an error when a result cannot be sent', async () => {
+    host.postMessage.mockImplementationOnce(() => { throw new DOMException('Could not clone.', 'DataCloneError'); });
+    await send(message({ id: 1, type: 'pause' }));
+    expect(host.postMessage).toHaveBeenLastCalledWith(expect.objectContaining({ id: 1, ok: false, error: { name: 'DataCloneError', message: 'Could not clone.' } }), HOST_ORIGIN);
+  });
+
+  it('dispose() should stop listening and forget the hosts', async () => {
+    await send(message({ id: 1, type: 'hello' }));
+    api.dispose();
+    expect(target.removeEventListener).toHaveBeenCalledWith('message', expect.any(Function));
+    expect(api.hostCount).toBe(0);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createEventBus } from '../src/utils/event-bus.js';
+
+describe('Event Bus', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should call the listeners of an event with its detail and type', () => {
+    const bus = createEventBus();
+    const ready = vi.fn();
+    const other = vi.fn();
+    bus.on('demo:ready', ready);
+    bus.on('demo:error', other);
+
+    bus.emit('demo:ready', { key: 'starfield' });
+
+    expect(ready).toHaveBeenCalledWith({ key: 'starfield' }, 'demo:ready');
+    expect(other).not.toHaveBeenCalled();
+    expect(bus.listenerCount('demo:ready')).toBe(1);
+  });
+
+  it('should call * listeners for every event, after the specific ones', () => {
+    const bus = createEventBus();
+    const calls = [];
+    bus.on('*', (detail, type) => calls.push(`* ${type}`));
+    bus.on('demo:loading', () => calls.push('demo:loading'));
+
+    bus.emit('demo:loading');
+    bus.emit('rubiks-cube:solved', { moves: 30 });
+
+    expect(calls).toEqual(['demo:loading', '* demo:loading', '* rubiks-cube:solved']);
+  });
+
+  it('should stop calling a listener once it is removed', () => {
+    const bus = createEventBus();
+    const listener = vi.fn();
+    const off = bus.on('param:changed', listener);
+
+    off();
+    off(); // Removing twice is harmless
+    bus.emit('param:changed');
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(bus.listenerCount('param:changed')).toBe(0);
+  });
+
+  it('once() should only call the listener for the next event', () => {
+    const bus = createEventBus();
+    const listener = vi.fn();
+    bus.once('demo:ready', listener);
+
+    bus.emit('demo:ready', { key: 'a' });
+    bus.emit('demo:ready', { key: 'b' });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ key: 'a' }, 'demo:ready');
+  });
+
+  it('should report a throwing listener and still call the others', () => {
+    const bus = createEventBus();
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const after = vi.fn();
+    bus.on('demo:ready', () => { throw new Error('broken overlay'); });
+    bus.on('demo:ready', after);
+
+    bus.emit('demo:ready');
+
+    expect(after).toHaveBeenCalled();
+    expect(errorSpy).toHaveBeenCalledWith('Error in a "demo:ready" event listener:', expect.any(Error));
+  });
+
+  it('clear() should remove every listener', () => {
+    const bus = createEventBus();
+    const listener = vi.fn();
+    bus.on('demo:ready', listener);
+    bus.on('*', listener);
+
+    bus.clear();
+    bus.emit('demo:ready');
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createGallery } from '../src/utils/gallery.js';
+
+describe('Gallery', () => {
+  let container;
+  const demos = {
+    first: { title: 'First', description: 'The first demo.', thumbnail: 'first.svg' },
+    second: { title: 'Second', description: 'The second demo.', thumbnail: 'second.svg' },
+  };
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+    vi.restoreAllMocks();
+  });
+
+  it('should show a card linking to every demo', () => {
+    const gallery = createGallery(container, { demos });
+
+    const cards = container.querySelectorAll('a.gallery-card');
+    expect([...cards].map(card => card.getAttribute('href'))).toEqual(['#/first', '#/second']);
+    expect(cards[0].querySelector('h3').textContent).toBe('First');
+    expect(cards[0].querySelector('p').textContent).toBe('The first demo.');
+    expect(cards[0].querySelector('img').getAttribute('src')).toBe('first.svg');
+    gallery.dispose();
+    expect(container.querySelector('.gallery-grid')).toBeNull();
+  });
+
+  it('should swap the icon for the generated thumbnail', async () => {
+    const thumbnails = { get: vi.fn(async () => new Blob(['png'], { type: 'image/png' })) };
+    const revokeSpy = vi.spyOn(URL, 'revokeObjectURL');
+    const gallery = createGallery(container, { demos, thumbnails });
+
+    await vi.waitFor(() => expect(container.querySelectorAll('img.placeholder')).toHaveLength(0));
+
+    const image = container.querySelector('img');
+    expect(image.src).toMatch(/^blob:/);
+    expect(thumbnails.get).toHaveBeenCalledWith('first', { signal: expect.any(AbortSignal) });
+    gallery.dispose();
+    expect(revokeSpy).toHaveBeenCalledWith(image.src);
+  });
+
+  it('should abandon thumbnail requests on dispose', () => {
+    let signal;
+    const thumbnails = { get: (key, options) => { signal = options.signal; return new Promise(() => {}); } };
+    const gallery = createGallery(container, { demos, thumbnails });
+
+    gallery.dispose();
+
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('should keep the icon when a thumbnail fails', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const thumbnails = { get: async () => { throw new Error('no WebGL'); } };
+    const gallery = createGallery(container, { demos, thumbnails });
+
+    await vi.waitFor(() => expect(warnSpy).toHaveBeenCalledTimes(2));
+
+    expect(container.querySelectorAll('img.placeholder')).toHaveLength(2);
+    gallery.dispose();
+  });
+});
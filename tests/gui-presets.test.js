@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GUI } from 'lil-gui';
+import { createSettingsStore, getGuiControllers } from '../src/utils/gui-settings.js';
+import { addGuiPresets, formatPresetFile, parsePresetFile, validatePreset } from '../src/utils/gui-presets.js';
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  };
+}
+
+describe('GUI Presets', () => {
+  let gui;
+  let params;
+  let store;
+
+  beforeEach(() => {
+    gui = new GUI({ autoPlace: false });
+    params = { separation: 1.5, cohesion: 1, mode: 'flock', label: 'boids' };
+    gui.add(params, 'separation', 0, 5, 0.1);
+    gui.add(params, 'cohesion', 0, 5, 0.1);
+    gui.add(params, 'mode', ['flock', 'swarm']);
+    gui.add(params, 'label');
+    store = createSettingsStore({ storage: memoryStorage(), prefix: 'presets:' });
+  });
+
+  afterEach(() => {
+    gui.destroy();
+    vi.restoreAllMocks();
+  });
+
+  it('validatePreset() should explain every value that does not fit', () => {
+    const controllers = getGuiControllers(gui);
+
+    expect(validatePreset(controllers, { separation: 3, mode: 'swarm' })).toEqual([]);
+    expect(validatePreset(controllers, { separation: 9, cohesion: '2', mode: 'school', speed: 1 })).toEqual([
+      '"separation" must be between 0 and 5, got 9',
+      '"cohesion" must be a number, got "2"',
+      '"mode" must be one of "flock", "swarm", got "school"',
+      '"speed" is not a parameter of this demo',
+    ]);
+    expect(validatePreset(controllers, [1, 2])).toEqual(['it is not an object of parameter values']);
+  });
+
+  it('should save, apply and delete named presets', () => {
+    const onApply = vi.fn();
+    const presets = addGuiPresets(gui, { key: 'boids', store, onApply });
+
+    params.separation = 4;
+    presets.save('tight flock');
+    params.separation = 0.5;
+    presets.save('loose swarm');
+
+    expect(presets.apply('tight flock')).toBe(true);
+    expect(params.separation).toBe(4);
+    expect(onApply).toHaveBeenCalledWith('tight flock');
+
+    presets.remove('loose swarm');
+    expect(presets.names).toEqual(['tight flock']);
+    const otherGui = new GUI({ autoPlace: false });
+    otherGui.add({ separation: 1 }, 'separation', 0, 5);
+    expect(addGuiPresets(otherGui, { key: 'boids', store }).names).toEqual(['tight flock']);
+    otherGui.destroy();
+  });
+
+  it('should round-trip presets through an exported file', () => {
+    const source = addGuiPresets(gui, { key: 'boids', store });
+    params.cohesion = 2.5;
+    source.save('huddle');
+    const text = source.export();
+
+    expect(JSON.parse(text)).toMatchObject({ format: 'repobird-demo-presets', demo: 'boids', version: 1 });
+
+    const target = addGuiPresets(gui, { key: 'boids', store: createSettingsStore({ storage: memoryStorage() }) });
+    expect(target.import(text)).toEqual({ imported: ['huddle'], errors: [] });
+    params.cohesion = 1;
+    target.apply('huddle');
+    expect(params.cohesion).toBe(2.5);
+  });
+
+  it('should reject presets that fit another demo or fall outside the ranges', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const controllers = getGuiControllers(gui);
+    const file = formatPresetFile('boids', 1, { ok: { separation: 2 }, wild: { separation: 12 } });
+
+    expect(parsePresetFile(file, { key: 'boids', version: 1, controllers })).toEqual({
+      presets: { ok: { separation: 2 } },
+      errors: ['Preset "wild" was rejected: "separation" must be between 0 and 5, got 12.'],
+    });
+    expect(parsePresetFile(file, { key: 'particles', version: 1, controllers }).errors)
+      .toEqual(['The file holds presets for "boids", not "particles".']);
+    expect(parsePresetFile(file, { key: 'boids', version: 2, controllers }).errors)
+      .toEqual(['The presets were saved with settings version 1, this demo uses version 2.']);
+    expect(parsePresetFile('{', { key: 'boids', version: 1, controllers }).errors).toEqual(['The file is not valid JSON.']);
+
+    const presets = addGuiPresets(gui, { key: 'boids', store });
+    presets.import(file);
+    const status = gui.domElement.querySelector('.gui-preset-status');
+    expect(status.classList.contains('error')).toBe(true);
+    expect(status.textContent).toBe('Imported "ok". Preset "wild" was rejected: "separation" must be between 0 and 5, got 12.');
+  });
+
+  it('should list saved presets in the folder dropdown', () => {
+    const presets = addGuiPresets(gui, { key: 'boids', store });
+    presets.save('fountain');
+    presets.save('fireworks');
+
+    const folder = gui.folders.find(f => f._title === 'Presets');
+    const select = folder.controllers.find(c => c.property === 'preset');
+    expect(select._values).toEqual(['fountain', 'fireworks']);
+    expect(select.getValue()).toBe('fireworks');
+  });
+});
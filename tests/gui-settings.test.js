@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GUI } from 'lil-gui';
+import { createSettingsStore, persistGuiSettings, sanitizeGuiValue } from '../src/utils/gui-settings.js';
+
+// Minimal Storage backed by a Map
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    items,
+  };
+}
+
+describe('GUI Settings', () => {
+  let storage;
+  let store;
+  let gui;
+  let params;
+  let onSpeedChange;
+
+  function createGui() {
+    gui = new GUI({ autoPlace: false });
+    params = { speed: 1, enabled: true, mode: 'orbit', shuffle() {} };
+    onSpeedChange = vi.fn();
+    gui.add(params, 'speed', 0, 5, 0.1).onChange(onSpeedChange);
+    gui.add(params, 'enabled');
+    gui.add(params, 'mode', ['orbit', 'fly']);
+    gui.add(params, 'shuffle');
+    return gui;
+  }
+
+  // Edits a controller the way the user would, ending with onFinishChange
+  function edit(property, value) {
+    const controller = gui.controllersRecursive().find(c => c.property === property);
+    controller.setValue(value);
+    controller._callOnFinishChange();
+  }
+
+  beforeEach(() => {
+    storage = memoryStorage();
+    store = createSettingsStore({ storage });
+  });
+
+  afterEach(() => {
+    gui?.destroy();
+    vi.restoreAllMocks();
+  });
+
+  it('should save edits and restore them through the controllers', () => {
+    persistGuiSettings(createGui(), { key: 'demo', store });
+    edit('speed', 2.5);
+    edit('mode', 'fly');
+    gui.destroy();
+
+    persistGuiSettings(createGui(), { key: 'demo', store });
+
+    expect(params).toMatchObject({ speed: 2.5, enabled: true, mode: 'fly' });
+    expect(onSpeedChange).toHaveBeenCalledWith(2.5);
+    expect(JSON.parse(storage.getItem('repobird-demo:settings:demo'))).toEqual({
+      version: 1,
+      values: { speed: 2.5, enabled: true, mode: 'fly' },
+    });
+  });
+
+  it('should reset to the defaults and forget the saved values', () => {
+    const settings = persistGuiSettings(createGui(), { key: 'demo', store });
+    edit('speed', 4);
+
+    const resetButton = gui.controllers.find(c => c.property === 'reset');
+    resetButton.$button.click();
+
+    expect(params.speed).toBe(1);
+    expect(settings.defaults).toEqual({ speed: 1, enabled: true, mode: 'orbit' });
+    expect(storage.getItem('repobird-demo:settings:demo')).toBeNull();
+  });
+
+  it('should discard values saved under another schema version', () => {
+    storage.setItem('repobird-demo:settings:demo', JSON.stringify({ version: 1, values: { speed: 3 } }));
+
+    persistGuiSettings(createGui(), { key: 'demo', version: 2, store });
+
+    expect(params.speed).toBe(1);
+    expect(storage.getItem('repobird-demo:settings:demo')).toBeNull();
+  });
+
+  it('should neither save nor restore excluded properties', () => {
+    storage.setItem('repobird-demo:settings:demo', JSON.stringify({ version: 1, values: { speed: 3, enabled: false } }));
+
+    persistGuiSettings(createGui(), { key: 'demo', store, exclude: ['speed'] });
+    edit('enabled', true);
+
+    expect(params.speed).toBe(1);
+    expect(JSON.parse(storage.getItem('repobird-demo:settings:demo')).values).toEqual({ enabled: true, mode: 'orbit' });
+  });
+
+  it('should ignore corrupt storage and keep working when storage throws', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    storage.setItem('repobird-demo:settings:demo', '{not json');
+    persistGuiSettings(createGui(), { key: 'demo', store });
+    expect(params.speed).toBe(1);
+
+    const broken = createSettingsStore({ storage: { getItem() { throw new Error('blocked'); }, setItem() { throw new Error('blocked'); } } });
+    expect(broken.load('demo', 1)).toBeNull();
+    expect(() => broken.save('demo', 1, {})).not.toThrow();
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  it('sanitizeGuiValue() should clamp numbers and reject values the controller cannot take', () => {
+    createGui();
+    const [speed, enabled, mode] = gui.controllers;
+
+    expect(sanitizeGuiValue(speed, 9)).toBe(5);
+    expect(sanitizeGuiValue(speed, -1)).toBe(0);
+    expect(sanitizeGuiValue(speed, '2')).toBeUndefined();
+    expect(sanitizeGuiValue(speed, NaN)).toBeUndefined();
+    expect(sanitizeGuiValue(enabled, false)).toBe(false);
+    expect(sanitizeGuiValue(mode, 'walk')).toBeUndefined();
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createLeakDetector, formatLeaks, leakDetector } from '../src/utils/leak-detector.js';
+import { adaptDemoModule } from '../src/utils/demo-adapter.js';
+
+describe('Leak Detector', () => {
+  let target;
+  let root;
+  let loop;
+  let detector;
+  let nextFrame;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    nextFrame = 1;
+    target = new EventTarget();
+    target.requestAnimationFrame = vi.fn(() => nextFrame++);
+    target.cancelAnimationFrame = vi.fn();
+    root = document.createElement('div');
+    loop = { size: 0 };
+    detector = createLeakDetector({ target, root, loop });
+    detector.enable();
+  });
+
+  afterEach(() => {
+    detector.disable();
+    vi.restoreAllMocks();
+  });
+
+  function fakeRenderer(geometries = 0, textures = 0) {
+    return { info: { memory: { geometries, textures } } };
+  }
+
+  it('formatLeaks() should list what leaked', () => {
+    expect(formatLeaks({ geometries: 2, textures: 1, windowListeners: 1 })).toBe('2 geometries, 1 texture and 1 window listener');
+    expect(formatLeaks({ domNodes: 3 })).toBe('3 DOM nodes');
+    expect(formatLeaks({ geometries: 0 })).toBe('');
+  });
+
+  it('should report everything a demo left behind', () => {
+    const renderer = fakeRenderer();
+    const check = detector.start('leaky');
+
+    renderer.info.memory.geometries = 2;
+    renderer.info.memory.textures = 1;
+    root.appendChild(document.createElement('canvas'));
+    target.addEventListener('resize', () => {});
+    target.requestAnimationFrame(() => {});
+    loop.size = 1;
+    check.mounted({ renderer });
+
+    const report = check.disposed();
+    expect(report).toEqual({
+      key: 'leaky',
+      geometries: 2,
+      textures: 1,
+      domNodes: 1,
+      windowListeners: 1,
+      animationFrames: 1,
+      loopTasks: 1,
+    });
+    expect(detector.reports.get('leaky')).toBe(report);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('"leaky" left 2 geometries, 1 texture, 1 DOM node'));
+  });
+
+  it('should not count what the demo released', () => {
+    const check = detector.start('tidy');
+    const onResize = () => {};
+    const controller = new AbortController();
+    target.addEventListener('resize', onResize);
+    target.addEventListener('keydown', () => {}, { signal: controller.signal });
+    target.addEventListener('load', () => {}, { once: true });
+    const frame = target.requestAnimationFrame(() => {});
+    check.mounted({ renderer: null });
+
+    target.removeEventListener('resize', onResize);
+    controller.abort();
+    target.cancelAnimationFrame(frame);
+
+    const report = check.disposed();
+    expect(formatLeaks(report)).toBe('');
+    expect(console.log).toHaveBeenCalledWith('Leak check: "tidy" released everything.');
+  });
+
+  it('should compare a pooled renderer with what the previous demo left on it', () => {
+    const renderer = fakeRenderer(3, 1); // Leaked before the detector saw it
+    const first = detector.start('first');
+    first.mounted({ renderer });
+    expect(first.disposed().geometries).toBe(3);
+
+    const second = detector.start('second');
+    second.mounted({ renderer });
+    renderer.info.memory.geometries = 4;
+    expect(second.disposed()).toMatchObject({ geometries: 1, textures: 0 });
+  });
+
+  it('should check demos mounted through the adapter while the shared detector is enabled', () => {
+    const onResize = () => {};
+    const demoModule = {
+      init() {
+        window.addEventListener('resize', onResize);
+        return { dispose() {} };
+      },
+    };
+    const container = document.createElement('div');
+
+    adaptDemoModule(demoModule, 'unchecked').mount(container).dispose();
+    expect(leakDetector.reports.has('unchecked')).toBe(false);
+
+    const addEventListener = window.addEventListener;
+    leakDetector.enable();
+    try {
+      adaptDemoModule(demoModule, 'forgetful').mount(container).dispose();
+    } finally {
+      leakDetector.disable();
+      window.removeEventListener('resize', onResize);
+    }
+    expect(leakDetector.reports.get('forgetful')).toMatchObject({ windowListeners: 1 });
+    expect(window.addEventListener).toBe(addEventListener);
+  });
+});
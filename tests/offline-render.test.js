@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { renderOffline, frameFilename, createZipSink } from '../src/utils/offline-render.js';
+import { createRenderLoop } from '../src/utils/render-loop.js';
+import { normalizeDemoInstance } from '../src/utils/demo-adapter.js';
+
+describe('Offline Render', () => {
+  let loop;
+  let renderer;
+  let demo;
+  let deltas;
+  let task;
+
+  beforeEach(() => {
+    loop = createRenderLoop();
+    renderer = new THREE.WebGLRenderer();
+    renderer.setSize(16, 8);
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(75, 2, 0.1, 100);
+    deltas = [];
+    task = loop.add(delta => {
+      deltas.push(delta);
+      renderer.render(scene, camera);
+    });
+    demo = normalizeDemoInstance({ dispose() {}, renderer, scene, camera }, {}, { key: 'test-demo' });
+  });
+
+  afterEach(() => {
+    task.stop();
+    renderer.dispose();
+    renderer.forceContextLoss();
+    vi.restoreAllMocks();
+  });
+
+  it('frameFilename() should zero-pad the frame number', () => {
+    expect(frameFilename('starfield', 42)).toBe('starfield-00042.png');
+  });
+
+  it('should step the demo by exactly 1/fps per frame and hand out every frame', async () => {
+    const onFrame = vi.fn();
+    const onProgress = vi.fn();
+
+    await renderOffline(demo, { frames: 4, fps: 30, onFrame, onProgress, loop });
+
+    expect(deltas[0]).toBe(0); // The first frame shows the current state
+    deltas.slice(1).forEach(delta => expect(delta).toBeCloseTo(1 / 30, 10));
+    expect(onFrame).toHaveBeenCalledTimes(4);
+    expect(onFrame.mock.calls[3][1]).toBe(3);
+    expect(onFrame.mock.calls[0][0].type).toBe('image/png');
+    expect(onProgress).toHaveBeenLastCalledWith(4, 4);
+    expect(loop.isManual).toBe(false);
+  });
+
+  it('should not request animation frames while rendering', async () => {
+    const requestSpy = vi.spyOn(window, 'requestAnimationFrame');
+    let callsDuringRender = 0;
+
+    await renderOffline(demo, { frames: 3, onFrame: () => { callsDuringRender += requestSpy.mock.calls.length; }, loop });
+
+    expect(callsDuringRender).toBe(0);
+  });
+
+  it('should stop between frames when aborted and hand the clock back', async () => {
+    const controller = new AbortController();
+    const onFrame = vi.fn((blob, index) => { if (index === 1) controller.abort(); });
+
+    await expect(renderOffline(demo, { frames: 10, onFrame, signal: controller.signal, loop }))
+      .rejects.toHaveProperty('name', 'AbortError');
+    expect(onFrame).toHaveBeenCalledTimes(2);
+    expect(loop.isManual).toBe(false);
+  });
+
+  it('should reject invalid frame counts', async () => {
+    await expect(renderOffline(demo, { frames: 0, onFrame() {}, loop })).rejects.toThrow('Offline render: frames must be a positive integer, got 0.');
+  });
+
+  it('createZipSink() should collect numbered frames into an archive', async () => {
+    const sink = createZipSink('test-demo');
+    await renderOffline(demo, { frames: 2, onFrame: sink.onFrame, loop });
+    const archive = sink.finish();
+
+    const text = new TextDecoder().decode(await archive.arrayBuffer());
+    expect(text).toContain('test-demo-00000.png');
+    expect(text).toContain('test-demo-00001.png');
+  });
+});
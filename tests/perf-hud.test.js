@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createPerfHud, collectPerfRows, formatBytes } from '../src/utils/perf-hud.js';
+import { createRenderLoop } from '../src/utils/render-loop.js';
+import { normalizeDemoInstance } from '../src/utils/demo-adapter.js';
+
+describe('Performance HUD', () => {
+  let loop;
+  let hud;
+
+  function fakeDemo(stats = {}) {
+    return normalizeDemoInstance({
+      dispose() {},
+      renderer: { info: { render: { calls: 3, triangles: 1200 }, memory: { geometries: 2, textures: 1 } } },
+      getStats: () => stats,
+    });
+  }
+
+  beforeEach(() => {
+    loop = createRenderLoop();
+    hud = createPerfHud({ loop });
+  });
+
+  afterEach(() => {
+    hud.dispose();
+    vi.restoreAllMocks();
+  });
+
+  it('formatBytes() should pick a readable unit', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(2048)).toBe('2.0 KB');
+    expect(formatBytes(5 * 1024 * 1024)).toBe('5.0 MB');
+  });
+
+  it('collectPerfRows() should include renderer info and the demo counters', () => {
+    const rows = Object.fromEntries(collectPerfRows({ fps: 59.6, frameTime: 4.25, maxFrameTime: 9 }, fakeDemo({ 'Active chunks': 42 })));
+
+    expect(rows.FPS).toBe('60');
+    expect(rows.Frame).toBe('4.3 ms (max 9.0)');
+    expect(rows['Draw calls']).toBe('3');
+    expect(rows.Geometries).toBe('2');
+    expect(rows.Textures).toBe('1');
+    expect(rows['Active chunks']).toBe('42');
+  });
+
+  it('collectPerfRows() should survive a demo whose getStats() throws', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const demo = normalizeDemoInstance({ dispose() {}, getStats: () => { throw new Error('boom'); } });
+
+    const labels = collectPerfRows({ fps: 0, frameTime: 0, maxFrameTime: 0 }, demo).map(([label]) => label);
+    expect(labels).toContain('FPS');
+    expect(console.error).toHaveBeenCalledWith('Performance HUD: getStats() threw.', expect.any(Error));
+  });
+
+  it('should start hidden and only listen to frames while visible', () => {
+    const onFrame = vi.spyOn(loop, 'onFrame');
+    expect(hud.visible).toBe(false);
+    expect(hud.element.hidden).toBe(true);
+    expect(document.body.contains(hud.element)).toBe(true);
+
+    hud.toggle();
+    expect(hud.visible).toBe(true);
+    expect(onFrame).toHaveBeenCalledTimes(1);
+
+    hud.toggle();
+    expect(hud.visible).toBe(false);
+  });
+
+  it('should show the attached demo and clear it on detach', () => {
+    hud.attach(fakeDemo({ Boids: 100 }));
+    hud.show();
+    expect(hud.element.textContent).toContain('Boids');
+    expect(hud.element.textContent).toContain('Draw calls');
+
+    hud.detach();
+    expect(hud.element.textContent).not.toContain('Boids');
+    expect(hud.element.textContent).toContain('FPS');
+  });
+
+  it('should remove its element on dispose', () => {
+    hud.show();
+    hud.dispose();
+    expect(document.body.contains(hud.element)).toBe(false);
+  });
+});
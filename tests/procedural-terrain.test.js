@@ -28,20 +28,20 @@ describe('Procedural Terrain Component', () => {
 
   it('should initialize without errors', () => {
     expect(() => {
-      cleanup = init(container);
+      cleanup = init(container).dispose;
     }).not.toThrow();
     expect(cleanup).toBeInstanceOf(Function);
   });
 
   it('should add canvas to container', () => {
-    cleanup = init(container);
+    cleanup = init(container).dispose;
     const canvas = container.querySelector('canvas');
     expect(canvas).toBeTruthy();
     expect(canvas.tagName).toBe('CANVAS');
   });
 
   it('should add help text to container', () => {
-    cleanup = init(container);
+    cleanup = init(container).dispose;
     const helpText = container.querySelector('div');
     expect(helpText).toBeTruthy();
     expect(helpText.textContent).toContain('Flight Controls');
@@ -49,12 +49,12 @@ describe('Procedural Terrain Component', () => {
 
   it('should handle missing container gracefully', () => {
     const result = init(null);
-    expect(result).toBeInstanceOf(Function);
-    expect(() => result()).not.toThrow();
+    expect(result.dispose).toBeInstanceOf(Function);
+    expect(() => result.dispose()).not.toThrow();
   });
 
   it('should handle resize events', () => {
-    cleanup = init(container);
+    cleanup = init(container).dispose;
     
     // Change container size
     Object.defineProperty(container, 'clientWidth', { value: 1024, writable: true });
@@ -69,7 +69,7 @@ describe('Procedural Terrain Component', () => {
   });
 
   it('should clean up properly', () => {
-    cleanup = init(container);
+    cleanup = init(container).dispose;
     
     const canvas = container.querySelector('canvas');
     const helpText = container.querySelector('div');
@@ -84,4 +84,24 @@ describe('Procedural Terrain Component', () => {
     const canvasAfter = container.querySelector('canvas');
     expect(canvasAfter).toBeFalsy();
   });
-});
\ No newline at end of file
+
+  it('should generate the same landscape for the same seed', () => {
+    // Heights of every chunk, in the order the chunks were added
+    const heightsOf = result => result.scene.children
+      .filter(child => child.isMesh && child.geometry.type === 'PlaneGeometry')
+      .map(mesh => Array.from(mesh.geometry.attributes.position.array));
+
+    const first = init(container, { seed: 'valley' });
+    const heights = heightsOf(first);
+    expect(first.seed).toBe('valley');
+    first.dispose();
+
+    const second = init(container, { seed: 'valley' });
+    expect(heightsOf(second)).toEqual(heights);
+    second.dispose();
+
+    const third = init(container, { seed: 'ridge' });
+    expect(heightsOf(third)).not.toEqual(heights);
+    third.dispose();
+  });
+});
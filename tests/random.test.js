@@ -0,0 +1,55 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { createRandom, isValidSeed, randomSeed } from '../src/utils/random.js';
+
+describe('Random', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function sequence(random, length = 5) {
+    return Array.from({ length }, () => random.next());
+  }
+
+  it('should repeat the same sequence for the same seed', () => {
+    expect(sequence(createRandom(42))).toEqual(sequence(createRandom(42)));
+    expect(sequence(createRandom('42'))).toEqual(sequence(createRandom(42)));
+    expect(sequence(createRandom('meadow'))).toEqual(sequence(createRandom('meadow')));
+    expect(sequence(createRandom(42))).not.toEqual(sequence(createRandom(43)));
+  });
+
+  it('should keep every helper within its range', () => {
+    const random = createRandom(7);
+    for (let i = 0; i < 200; i++) {
+      const value = random.next();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+      expect(Math.abs(random.spread(10))).toBeLessThanOrEqual(5);
+      const float = random.float(-3, 2);
+      expect(float).toBeGreaterThanOrEqual(-3);
+      expect(float).toBeLessThan(2);
+      expect([0, 1, 2]).toContain(random.int(3));
+      expect(['x', 'y']).toContain(random.pick(['x', 'y']));
+      expect(random.direction(new THREE.Vector3()).length()).toBeCloseTo(1);
+    }
+  });
+
+  it('should pick a seed when none is given and expose it', () => {
+    const random = createRandom();
+    expect(Number.isInteger(random.seed)).toBe(true);
+    expect(sequence(createRandom(random.seed))).toEqual(sequence(random));
+    expect(randomSeed()).toBeLessThan(1000000);
+  });
+
+  it('should replace invalid seeds with a warning', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const random = createRandom(true);
+
+    expect(warn).toHaveBeenCalledWith('Random: ignoring invalid seed true.');
+    expect(Number.isInteger(random.seed)).toBe(true);
+    expect(isValidSeed(' ')).toBe(false);
+    expect(isValidSeed(Number.NaN)).toBe(false);
+    expect(isValidSeed('abc')).toBe(true);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createCanvasRecorder, formatElapsed, pickRecordingMimeType, isRecordingSupported } from '../src/utils/recorder.js';
+
+describe('Recorder', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('formatElapsed() should format minutes and hours', () => {
+    expect(formatElapsed(0)).toBe('0:00');
+    expect(formatElapsed(65.7)).toBe('1:05');
+    expect(formatElapsed(3723)).toBe('1:02:03');
+  });
+
+  it('pickRecordingMimeType() should prefer VP9 and fall back to plain WebM', () => {
+    expect(pickRecordingMimeType(() => true)).toBe('video/webm;codecs=vp9');
+    expect(pickRecordingMimeType(type => type === 'video/webm')).toBe('video/webm');
+    expect(pickRecordingMimeType(() => false)).toBeNull();
+  });
+
+  it('should reject stop() before start()', async () => {
+    const recorder = createCanvasRecorder(document.createElement('canvas'));
+    await expect(recorder.stop()).rejects.toThrow('Recorder: stop() called before start().');
+  });
+
+  it('should record a canvas to a WebM blob', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(isRecordingSupported()).toBe(true);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    document.body.appendChild(canvas);
+    const context = canvas.getContext('2d');
+
+    const recorder = createCanvasRecorder(canvas, { fps: 30, bitrate: 500000 });
+    recorder.start();
+    expect(recorder.isRecording).toBe(true);
+
+    recorder.start(); // Ignored while recording
+    expect(console.warn).toHaveBeenCalledWith('Recorder: start() called while already recording.');
+
+    for (let i = 0; i < 10; i++) {
+      context.fillStyle = `hsl(${i * 36}, 80%, 50%)`;
+      context.fillRect(0, 0, 64, 64);
+      await new Promise(resolve => setTimeout(resolve, 30));
+    }
+    expect(recorder.elapsed).toBeGreaterThan(0);
+
+    const blob = await recorder.stop();
+    expect(recorder.isRecording).toBe(false);
+    expect(recorder.elapsed).toBe(0);
+    expect(blob.type).toBe('video/webm');
+    expect(blob.size).toBeGreaterThan(0);
+    canvas.remove();
+  });
+});
@@ -0,0 +1,229 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRenderLoop } from '../src/utils/render-loop.js';
+
+describe('Render Loop', () => {
+  let loop;
+  let tasks;
+
+  beforeEach(() => {
+    loop = createRenderLoop();
+    tasks = [];
+  });
+
+  afterEach(() => {
+    tasks.forEach(task => task.stop());
+    delete document.hidden; // Drop the own property a test may have defined
+    vi.restoreAllMocks();
+  });
+
+  function add(callback, options) {
+    const task = loop.add(callback, options);
+    tasks.push(task);
+    return task;
+  }
+
+  it('should hand tasks the delta and elapsed time in seconds', () => {
+    const callback = vi.fn();
+    add(callback);
+
+    loop.tick(1000);
+    loop.tick(1016);
+    loop.tick(1048);
+
+    expect(callback.mock.calls[0]).toEqual([0, 0]);
+    expect(callback.mock.calls[1][0]).toBeCloseTo(0.016);
+    expect(callback.mock.calls[2][0]).toBeCloseTo(0.032);
+    expect(callback.mock.calls[2][1]).toBeCloseTo(0.048);
+  });
+
+  it('should schedule a single animation frame for all tasks and stop when they are removed', () => {
+    const rafSpy = vi.spyOn(window, 'requestAnimationFrame');
+    const first = add(() => {});
+    const second = add(() => {});
+
+    expect(rafSpy).toHaveBeenCalledTimes(1);
+    expect(loop.isRunning).toBe(true);
+
+    first.stop();
+    second.stop();
+    expect(loop.size).toBe(0);
+    expect(loop.isRunning).toBe(false);
+  });
+
+  it('should not count paused time towards elapsed', () => {
+    const callback = vi.fn();
+    const task = add(callback);
+
+    loop.tick(0);
+    loop.tick(100);
+    task.pause();
+    loop.tick(5000);
+    expect(callback).toHaveBeenCalledTimes(2);
+
+    task.resume();
+    loop.tick(6000);
+    loop.tick(6100);
+    expect(callback).toHaveBeenLastCalledWith(expect.closeTo(0.1), expect.closeTo(0.2));
+  });
+
+  it('should only run on-demand tasks after invalidate()', () => {
+    const callback = vi.fn();
+    const task = add(callback, { onDemand: true });
+
+    loop.tick(0); // First frame is always drawn
+    loop.tick(16);
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(loop.isRunning).toBe(false);
+
+    task.invalidate();
+    expect(loop.isRunning).toBe(true);
+    loop.tick(32);
+    expect(callback).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stop scheduling frames while the page is hidden', () => {
+    add(() => {});
+    expect(loop.isRunning).toBe(true);
+
+    Object.defineProperty(document, 'hidden', { configurable: true, get: () => true });
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(loop.isRunning).toBe(false);
+
+    delete document.hidden;
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(loop.isRunning).toBe(document.hidden === false);
+  });
+
+  it('should skip tasks whose element is offscreen', async () => {
+    const callback = vi.fn();
+    const detached = document.createElement('div'); // Never intersects the viewport
+    add(callback, { element: detached });
+
+    await vi.waitFor(() => {
+      expect(loop.isRunning).toBe(false);
+    });
+    const calls = callback.mock.calls.length;
+    loop.tick();
+    expect(callback).toHaveBeenCalledTimes(calls);
+  });
+
+  it('should run offscreen tasks in manual mode', async () => {
+    const callback = vi.fn();
+    add(callback, { element: document.createElement('div') });
+    await vi.waitFor(() => {
+      expect(loop.isRunning).toBe(false);
+    });
+
+    loop.setManual(true);
+    const calls = callback.mock.calls.length;
+    loop.tick(0);
+    expect(callback).toHaveBeenCalledTimes(calls + 1);
+    loop.setManual(false);
+  });
+
+  it('should stop a task whose callback throws', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    add(() => { throw new Error('boom'); });
+
+    loop.tick(0);
+    expect(console.error).toHaveBeenCalledWith('Render loop: frame callback threw, stopping it.', expect.any(Error));
+    expect(loop.size).toBe(0);
+  });
+
+  it('should report the time spent in callbacks to frame listeners', () => {
+    let clock = 0;
+    loop = createRenderLoop({ now: () => clock });
+    const listener = vi.fn();
+    const removeListener = loop.onFrame(listener);
+    const task = add(() => { clock += 5; }, { onDemand: true });
+
+    loop.tick(100);
+    expect(listener).toHaveBeenCalledWith(5, 100);
+
+    loop.tick(116); // No task ran, so nothing to report
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    removeListener();
+    task.invalidate();
+    loop.tick(132);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only advance on tick() in manual mode, starting from a zero delta', () => {
+    const callback = vi.fn();
+    add(callback);
+    loop.tick(5000);
+    loop.tick(5016);
+
+    const requestSpy = vi.spyOn(window, 'requestAnimationFrame');
+    loop.setManual(true);
+    expect(loop.isManual).toBe(true);
+    expect(loop.isRunning).toBe(false);
+
+    loop.tick(0);
+    loop.tick(50);
+    expect(callback.mock.calls[2][0]).toBe(0); // The rAF and manual clocks don't mix
+    expect(callback.mock.calls[3][0]).toBeCloseTo(0.05);
+    expect(requestSpy).not.toHaveBeenCalled();
+
+    loop.setManual(false);
+    expect(loop.isRunning).toBe(true);
+  });
+
+  it('should scale delta and elapsed by the time scale, clamped to its range', () => {
+    const callback = vi.fn();
+    add(callback);
+
+    loop.setTimeScale(0.5);
+    loop.tick(1000);
+    loop.tick(1100);
+    loop.setTimeScale(10);
+    loop.tick(1200);
+
+    expect(loop.timeScale).toBe(4);
+    expect(callback.mock.calls[1][0]).toBeCloseTo(0.05);
+    expect(callback.mock.calls[2][0]).toBeCloseTo(0.4);
+    expect(callback.mock.calls[2][1]).toBeCloseTo(0.45);
+  });
+
+  it('should keep running tasks with a zero delta while time is paused, and step one frame', () => {
+    const callback = vi.fn();
+    const onDemand = vi.fn();
+    add(callback);
+    add(onDemand, { onDemand: true });
+    loop.tick(1000);
+
+    loop.setTimePaused(true);
+    loop.tick(1100);
+    expect(callback.mock.calls[1]).toEqual([0, 0]);
+    expect(onDemand).toHaveBeenCalledTimes(1);
+
+    loop.setTimeScale(2);
+    loop.step();
+    loop.tick(1200);
+    expect(callback.mock.calls[2][0]).toBeCloseTo(2 / 60);
+    expect(onDemand.mock.calls[1][0]).toBeCloseTo(2 / 60);
+
+    loop.tick(1300);
+    expect(callback.mock.calls[3][0]).toBe(0); // Still paused after the step
+    expect(loop.isTimePaused).toBe(true);
+
+    loop.setTimePaused(false);
+    loop.tick(1400);
+    expect(callback.mock.calls[4][0]).toBeCloseTo(0.2);
+  });
+
+  it('should ignore the time controls on a manual clock', () => {
+    const callback = vi.fn();
+    add(callback);
+    loop.setTimeScale(0.1);
+    loop.setTimePaused(true);
+    loop.setManual(true);
+
+    loop.tick(0);
+    loop.tick(50);
+
+    expect(callback.mock.calls[1][0]).toBeCloseTo(0.05);
+    loop.setManual(false);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { createRendererPool } from '../src/utils/renderer-pool.js';
+
+describe('Renderer Pool', () => {
+  let pool;
+  let container;
+
+  beforeEach(() => {
+    pool = createRendererPool();
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    pool.dispose();
+    container.remove();
+    vi.restoreAllMocks();
+  });
+
+  it('should lend a renderer and append its canvas to the container', () => {
+    const renderer = pool.acquire(container);
+    expect(renderer).toBeInstanceOf(THREE.WebGLRenderer);
+    expect(container.contains(renderer.domElement)).toBe(true);
+    expect(pool.inUse).toBe(1);
+
+    pool.release(renderer);
+    expect(container.querySelector('canvas')).toBeNull();
+    expect(pool.inUse).toBe(0);
+    expect(pool.idle).toBe(1);
+  });
+
+  it('should reuse released renderers and only create new ones when all are in use', () => {
+    const first = pool.acquire(container);
+    pool.release(first);
+    expect(pool.acquire(container)).toBe(first);
+
+    const second = pool.acquire(container);
+    expect(second).not.toBe(first);
+    pool.release(first);
+    pool.release(second);
+    expect(pool.idle).toBe(2);
+  });
+
+  it('should reset the state a demo changed before lending the renderer again', () => {
+    const renderer = pool.acquire(container);
+    renderer.setClearColor(0xff0000, 0.5);
+    renderer.setPixelRatio(2);
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    renderer.toneMapping = THREE.ACESFilmicToneMapping;
+    renderer.toneMappingExposure = 2;
+    pool.release(renderer);
+
+    const reused = pool.acquire(container);
+    expect(reused.getClearColor(new THREE.Color()).getHex()).toBe(0x000000);
+    expect(reused.getClearAlpha()).toBe(1);
+    expect(reused.getPixelRatio()).toBe(1);
+    expect(reused.shadowMap.enabled).toBe(false);
+    expect(reused.shadowMap.type).toBe(THREE.PCFShadowMap);
+    expect(reused.toneMapping).toBe(THREE.NoToneMapping);
+    expect(reused.toneMappingExposure).toBe(1);
+    pool.release(reused);
+  });
+
+  it('should ignore a second release but warn about renderers it did not lend', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const renderer = pool.acquire(container);
+    pool.release(renderer);
+    pool.release(renderer);
+    expect(warnSpy).not.toHaveBeenCalled();
+
+    pool.release({ domElement: document.createElement('canvas') });
+    expect(warnSpy).toHaveBeenCalledWith('Renderer pool: release() called with a renderer that is not on loan.');
+  });
+
+  it('should drop a renderer whose context was lost instead of lending it again', () => {
+    const renderer = pool.acquire(container);
+    renderer.forceContextLoss();
+
+    pool.release(renderer);
+
+    expect(pool.idle).toBe(0);
+    const next = pool.acquire(container);
+    expect(next).not.toBe(renderer);
+    expect(next.getContext().isContextLost()).toBe(false);
+    pool.release(next);
+  });
+
+  it('should report a renderer that cannot be created as NotSupportedError', () => {
+    const failing = createRendererPool({
+      createRenderer: () => { throw new Error('Error creating WebGL context.'); },
+    });
+
+    expect(() => failing.acquire(container)).toThrow(expect.objectContaining({
+      name: 'NotSupportedError',
+      message: 'Could not create a WebGL renderer: Error creating WebGL context.',
+    }));
+    expect(failing.inUse).toBe(0);
+  });
+});
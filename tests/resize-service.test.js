@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { createResizeService, fitRendererToSize } from '../src/utils/resize-service.js';
+
+// ResizeObserver callbacks are delivered after layout, so give the browser a couple of frames
+const nextFrames = () => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+describe('Resize Service', () => {
+  let service;
+  let container;
+
+  beforeEach(() => {
+    service = createResizeService();
+    container = document.createElement('div');
+    container.style.width = '400px';
+    container.style.height = '200px';
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+    vi.restoreAllMocks();
+  });
+
+  it('should fit a perspective camera and renderer to a size', () => {
+    const camera = new THREE.PerspectiveCamera(75, 1, 0.1, 100);
+    const renderer = { setPixelRatio: vi.fn(), setSize: vi.fn() };
+
+    fitRendererToSize(renderer, camera, 400, 200, 2);
+
+    expect(camera.aspect).toBe(2);
+    expect(renderer.setPixelRatio).toHaveBeenCalledWith(2);
+    expect(renderer.setSize).toHaveBeenCalledWith(400, 200);
+  });
+
+  it('should keep the vertical extent of an orthographic camera', () => {
+    const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 100);
+
+    fitRendererToSize(null, camera, 300, 100);
+
+    expect(camera.top).toBe(1);
+    expect(camera.bottom).toBe(-1);
+    expect(camera.left).toBe(-3);
+    expect(camera.right).toBe(3);
+  });
+
+  it('should report the container size when observing starts and when it changes', async () => {
+    const callback = vi.fn();
+    const unobserve = service.observe(container, callback);
+
+    await nextFrames();
+    expect(callback).toHaveBeenLastCalledWith(400, 200, expect.any(Number));
+
+    container.style.width = '250px';
+    await nextFrames();
+    expect(callback).toHaveBeenLastCalledWith(250, 200, expect.any(Number));
+
+    unobserve();
+    callback.mockClear();
+    container.style.width = '300px';
+    await nextFrames();
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  it('should notify a second observer of an already watched element right away', async () => {
+    const first = vi.fn();
+    const second = vi.fn();
+    const stopFirst = service.observe(container, first);
+    await nextFrames();
+
+    const stopSecond = service.observe(container, second);
+    expect(second).toHaveBeenCalledWith(400, 200, expect.any(Number));
+
+    stopFirst();
+    stopSecond();
+  });
+
+  it('should not report hidden elements', async () => {
+    const callback = vi.fn();
+    container.style.display = 'none';
+    const unobserve = service.observe(container, callback);
+
+    await nextFrames();
+    expect(callback).not.toHaveBeenCalled();
+    unobserve();
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { parseHash, formatHash, createRouter } from '../src/utils/router.js';
+
+describe('Router', () => {
+  describe('parseHash()', () => {
+    it('should parse the demo key and typed query parameters', () => {
+      expect(parseHash('#/rubiks-cube?size=4&label=abc&debug=true')).toEqual({
+        key: 'rubiks-cube',
+        params: { size: 4, label: 'abc', debug: true },
+      });
+    });
+
+    it('should accept hashes without a leading slash or query', () => {
+      expect(parseHash('#starfield')).toEqual({ key: 'starfield', params: {} });
+    });
+
+    it('should return a null key for an empty hash', () => {
+      expect(parseHash('')).toEqual({ key: null, params: {} });
+      expect(parseHash('#/')).toEqual({ key: null, params: {} });
+    });
+  });
+
+  describe('formatHash()', () => {
+    it('should round-trip with parseHash()', () => {
+      const hash = formatHash('boids-flocking', { separationWeight: 1.5, label: 'tight flock' });
+      expect(hash).toBe('#/boids-flocking?separationWeight=1.5&label=tight+flock');
+      expect(parseHash(hash)).toEqual({
+        key: 'boids-flocking',
+        params: { separationWeight: 1.5, label: 'tight flock' },
+      });
+    });
+
+    it('should omit the query string when there are no parameters', () => {
+      expect(formatHash('starfield')).toBe('#/starfield');
+    });
+  });
+
+  describe('createRouter()', () => {
+    let router;
+    let onRoute;
+    let originalHash;
+
+    beforeEach(() => {
+      originalHash = window.location.hash;
+      onRoute = vi.fn();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      if (router) router.stop();
+      window.history.replaceState(null, '', originalHash || window.location.pathname);
+      vi.restoreAllMocks();
+    });
+
+    function startRouter() {
+      router = createRouter({
+        isKnownRoute: key => ['starfield', 'rubiks-cube'].includes(key),
+        defaultKey: 'starfield',
+        onRoute,
+      });
+      router.start();
+    }
+
+    it('should route to the demo in the current hash on start', () => {
+      window.history.replaceState(null, '', '#/rubiks-cube?size=4');
+      startRouter();
+      expect(onRoute).toHaveBeenCalledWith({ key: 'rubiks-cube', params: { size: 4 } });
+      expect(router.current.key).toBe('rubiks-cube');
+    });
+
+    it('should fall back to the default demo and rewrite the hash for unknown keys', () => {
+      window.history.replaceState(null, '', '#/does-not-exist');
+      startRouter();
+      expect(onRoute).toHaveBeenCalledWith({ key: 'starfield', params: {} });
+      expect(window.location.hash).toBe('#/starfield');
+    });
+
+    it('should resolve routes when the hash changes', async () => {
+      window.history.replaceState(null, '', '#/starfield');
+      startRouter();
+      router.navigate('rubiks-cube', { size: 2 });
+      await vi.waitFor(() => {
+        expect(onRoute).toHaveBeenLastCalledWith({ key: 'rubiks-cube', params: { size: 2 } });
+      });
+      expect(window.location.hash).toBe('#/rubiks-cube?size=2');
+    });
+
+    it('should replace the current entry when asked to', () => {
+      window.history.replaceState(null, '', '#/starfield');
+      startRouter();
+      router.navigate('rubiks-cube', {}, { replace: true });
+      expect(onRoute).toHaveBeenLastCalledWith({ key: 'rubiks-cube', params: {} });
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { filterDemos, groupDemos, collectTags, createSidebar } from '../src/utils/sidebar.js';
+import { demos as manifest } from '../src/demos.js';
+
+const demos = {
+  'spinning-cube': { title: 'Spinning Cube', description: 'A lit cube.', category: 'Geometry', tags: ['geometry'] },
+  'bouncing-ball': { title: 'Bouncing Ball', description: 'Gravity and bounces.', category: 'Simulation', tags: ['physics', 'interactive'] },
+  'torus-knot': { title: 'Torus Knot', description: 'A knot.', category: 'Geometry', tags: ['geometry'] },
+  'procedural-terrain': { title: 'Procedural Terrain', description: 'Endless noise terrain.', category: 'Procedural', tags: ['procedural', 'interactive'] },
+};
+
+describe('Sidebar', () => {
+  describe('filterDemos()', () => {
+    it('should return every demo in manifest order without a filter', () => {
+      expect(filterDemos(demos)).toEqual(Object.keys(demos));
+    });
+
+    it('should match the query against title, description and tags, case-insensitively', () => {
+      expect(filterDemos(demos, { query: 'KNOT' })).toEqual(['torus-knot']);
+      expect(filterDemos(demos, { query: 'gravity' })).toEqual(['bouncing-ball']);
+      expect(filterDemos(demos, { query: 'procedural noise' })).toEqual(['procedural-terrain']);
+    });
+
+    it('should require every selected tag', () => {
+      expect(filterDemos(demos, { tags: ['interactive'] })).toEqual(['bouncing-ball', 'procedural-terrain']);
+      expect(filterDemos(demos, { tags: ['interactive', 'physics'] })).toEqual(['bouncing-ball']);
+      expect(filterDemos(demos, { query: 'cube', tags: ['physics'] })).toEqual([]);
+    });
+  });
+
+  it('groupDemos() should group keys by category in order of appearance', () => {
+    const groups = groupDemos(demos, Object.keys(demos));
+    expect([...groups.keys()]).toEqual(['Geometry', 'Simulation', 'Procedural']);
+    expect(groups.get('Geometry')).toEqual(['spinning-cube', 'torus-knot']);
+  });
+
+  it('collectTags() should return the sorted, unique tags', () => {
+    expect(collectTags(demos)).toEqual(['geometry', 'interactive', 'physics', 'procedural']);
+  });
+
+  it('should give every manifest entry the fields the sidebar relies on', () => {
+    Object.entries(manifest).forEach(([key, entry]) => {
+      expect(entry.title, key).toBeTypeOf('string');
+      expect(entry.description, key).toBeTypeOf('string');
+      expect(entry.category, key).toBeTypeOf('string');
+      expect(Array.isArray(entry.tags), key).toBe(true);
+      expect(entry.controls, key).toBeTypeOf('string');
+      expect(entry.thumbnail, key).toMatch(/\/assets\/thumbnails\/.+\.svg$/);
+      expect(entry.source, key).toMatch(/\/components\/.+\.js$/);
+      expect(entry.load, key).toBeTypeOf('function');
+    });
+  });
+
+  describe('createSidebar()', () => {
+    let container;
+    let onSelect;
+    let sidebar;
+
+    beforeEach(() => {
+      container = document.createElement('nav');
+      document.body.appendChild(container);
+      onSelect = vi.fn();
+      sidebar = createSidebar(container, demos, { onSelect });
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    const visibleKeys = () => [...container.querySelectorAll('li[data-demo-key]')].map(li => li.dataset.demoKey);
+
+    it('should render one section per category', () => {
+      const headings = [...container.querySelectorAll('.demo-group h3')].map(h => h.textContent);
+      expect(headings).toEqual(['Geometry', 'Simulation', 'Procedural']);
+      expect(visibleKeys()).toEqual(['spinning-cube', 'torus-knot', 'bouncing-ball', 'procedural-terrain']);
+    });
+
+    it('should filter as the user types', () => {
+      const search = container.querySelector('#demo-search');
+      search.value = 'ball';
+      search.dispatchEvent(new Event('input'));
+      expect(visibleKeys()).toEqual(['bouncing-ball']);
+
+      search.value = 'nothing matches this';
+      search.dispatchEvent(new Event('input'));
+      expect(visibleKeys()).toEqual([]);
+      expect(container.querySelector('.demo-list-empty')).not.toBeNull();
+    });
+
+    it('should toggle tag filters', () => {
+      const tagButton = container.querySelector('button[data-tag="interactive"]');
+      tagButton.click();
+      expect(tagButton.getAttribute('aria-pressed')).toBe('true');
+      expect(visibleKeys()).toEqual(['bouncing-ball', 'procedural-terrain']);
+
+      tagButton.click();
+      expect(visibleKeys()).toHaveLength(4);
+    });
+
+    it('should report clicks and keep the active item highlighted across filtering', () => {
+      container.querySelector('li[data-demo-key="torus-knot"] .demo-title').click();
+      expect(onSelect).toHaveBeenCalledWith('torus-knot');
+
+      sidebar.setActive('torus-knot');
+      sidebar.setFilter({ query: 'knot' });
+      expect(container.querySelector('li.active').dataset.demoKey).toBe('torus-knot');
+      expect(container.querySelector('#demo-search').value).toBe('knot');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { GUI } from 'lil-gui';
+import { addGuiPresets } from '../src/utils/gui-presets.js';
+import {
+  applySnapshot,
+  captureSnapshot,
+  decodeSnapshot,
+  encodeSnapshot,
+  formatShareUrl,
+  snapshotParams,
+} from '../src/utils/snapshot.js';
+
+// Stands in for a normalized demo instance with a panel, camera, orbit target and state
+function createDemo(state = {}) {
+  const gui = new GUI({ autoPlace: false });
+  const params = { speed: 1, mode: 'orbit', shuffle() {} };
+  gui.add(params, 'speed', 0, 5, 0.1);
+  gui.add(params, 'mode', ['orbit', 'fly']);
+  gui.add(params, 'shuffle');
+
+  const camera = new THREE.PerspectiveCamera();
+  camera.position.set(0, 10, 25);
+  const controls = { target: new THREE.Vector3(), update: vi.fn() };
+  let current = state;
+
+  return {
+    metadata: { key: 'demo' },
+    gui,
+    params,
+    camera,
+    controls,
+    seed: null,
+    getState: () => current,
+    setState: vi.fn(next => { current = next; }),
+  };
+}
+
+describe('Snapshots', () => {
+  let demos = [];
+
+  function demo(state) {
+    const created = createDemo(state);
+    demos.push(created);
+    return created;
+  }
+
+  afterEach(() => {
+    demos.forEach(created => created.gui.destroy());
+    demos = [];
+    vi.restoreAllMocks();
+  });
+
+  it('should encode to URL-safe text and decode back', () => {
+    const snapshot = { p: { title: 'Über ??>>' }, c: [1, 2, 3], st: { moves: 'x0+y2-' } };
+    const text = encodeSnapshot(snapshot);
+
+    expect(text).toMatch(/^1\.[A-Za-z0-9_-]+$/);
+    expect(decodeSnapshot(text)).toEqual(snapshot);
+  });
+
+  it('should reject malformed snapshots and ones from newer versions', () => {
+    expect(() => decodeSnapshot('nonsense')).toThrow('the snapshot is malformed');
+    expect(() => decodeSnapshot('1.bm90IGpzb24')).toThrow('the snapshot is malformed');
+    expect(() => decodeSnapshot(encodeSnapshot({}).replace(/^1\./, '2.'))).toThrow('snapshot version 2 is newer');
+  });
+
+  it('should capture route params, GUI values, camera, seed and state', () => {
+    const source = demo({ size: 4, moves: 'x0+' });
+    source.params.speed = 2.5;
+    source.camera.position.set(1.23456, 2, 3);
+    source.controls.target.set(0, 0.5, 0);
+
+    addGuiPresets(source.gui, { key: 'demo', store: { load: () => null, save() {}, clear() {} } });
+
+    const snapshot = captureSnapshot(source, { size: 4, seed: 42, snapshot: '1.old' });
+
+    expect(snapshot).toEqual({
+      p: { size: 4 },
+      g: { speed: 2.5, mode: 'orbit' },
+      c: [1.235, 2, 3, 0, 0.5, 0],
+      s: 42,
+      st: { size: 4, moves: 'x0+' },
+    });
+    expect(snapshotParams(snapshot)).toEqual({ size: 4, seed: 42 });
+  });
+
+  it('should leave out empty state and prefer the demo seed over the route', () => {
+    const source = demo();
+    source.seed = 7;
+
+    const snapshot = captureSnapshot(source, { seed: 42 });
+
+    expect(snapshot.s).toBe(7);
+    expect(snapshot).not.toHaveProperty('st');
+    expect(snapshot).not.toHaveProperty('p');
+  });
+
+  it('should restore GUI values, state and camera, skipping values the panel rejects', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const target = demo();
+
+    applySnapshot(target, {
+      g: { speed: 9, mode: 'warp', missing: 1 },
+      c: [4, 5, 6, 1, 2, 3],
+      st: { moves: 'z1-' },
+    });
+
+    expect(target.params).toMatchObject({ speed: 5, mode: 'orbit' });
+    expect(warn).toHaveBeenCalledTimes(2);
+    expect(target.camera.position.toArray()).toEqual([4, 5, 6]);
+    expect(target.controls.target.toArray()).toEqual([1, 2, 3]);
+    expect(target.controls.update).toHaveBeenCalled();
+    expect(target.setState).toHaveBeenCalledWith({ moves: 'z1-' });
+  });
+
+  it('should place the camera after restoring state, even state the demo rejects', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const target = demo();
+    target.setState.mockImplementation(() => {
+      target.camera.position.set(0, 0, 99); // Like a demo reframing its view after a rebuild
+      throw new Error('bad state');
+    });
+
+    applySnapshot(target, { c: [4, 5, 6], st: { moves: '??' } });
+
+    expect(error).toHaveBeenCalledWith('Share link: could not restore the state of "demo".', expect.any(Error));
+    expect(target.camera.position.toArray()).toEqual([4, 5, 6]);
+  });
+
+  it('should skip a camera that is not made of finite numbers', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const target = demo();
+
+    applySnapshot(target, { c: ['a', null, 3, 1, 2, 3] });
+    applySnapshot(target, { c: [4, 5, 6, 1, NaN, 3] });
+    applySnapshot(target, { c: [4, 5] });
+    applySnapshot(target, { c: 'far away' });
+
+    expect(warn).toHaveBeenCalledTimes(4);
+    expect(warn).toHaveBeenCalledWith('Share link: ignoring the camera of "demo", ["a",null,3,1,2,3] is not a position and target.');
+    expect(target.camera.position.toArray()).toEqual([0, 10, 25]);
+    expect(target.controls.target.toArray()).toEqual([0, 0, 0]);
+    expect(target.controls.update).not.toHaveBeenCalled();
+  });
+
+  it('should format a link that round-trips through the hash', () => {
+    const source = demo();
+    source.params.mode = 'fly';
+
+    const url = new URL(formatShareUrl('demo', source, {}, 'http://example.test/app/?x=1#/other'));
+    const encoded = new URLSearchParams(url.hash.split('?')[1]).get('snapshot');
+
+    expect(url.pathname).toBe('/app/');
+    expect(url.hash).toMatch(/^#\/demo\?snapshot=/);
+    expect(decodeSnapshot(encoded).g).toEqual({ speed: 1, mode: 'fly' });
+  });
+});
@@ -32,24 +32,28 @@ describe('Spinning Cube Component', () => {
 
   it('init() should run without errors when given a valid container', () => {
     expect(() => {
-      cleanupFunction = init(container);
+      cleanupFunction = init(container).dispose;
     }).not.toThrow();
   });
 
   it('init() should add a canvas element to the container', () => {
-    cleanupFunction = init(container);
+    cleanupFunction = init(container).dispose;
     const canvas = container.querySelector('canvas');
     expect(canvas).not.toBeNull();
     expect(canvas).toBeInstanceOf(HTMLCanvasElement);
   });
 
-  it('init() should return a cleanup function', () => {
-    cleanupFunction = init(container);
+  it('init() should return a demo instance with a dispose function and scene objects', () => {
+    const instance = init(container);
+    cleanupFunction = instance.dispose;
     expect(cleanupFunction).toBeInstanceOf(Function);
+    expect(instance.scene).toBeDefined();
+    expect(instance.camera).toBeDefined();
+    expect(instance.renderer.domElement).toBe(container.querySelector('canvas'));
   });
 
   it('returned cleanup function should run without errors', () => {
-    cleanupFunction = init(container);
+    cleanupFunction = init(container).dispose;
     expect(cleanupFunction).toBeInstanceOf(Function); // Precondition check
     expect(() => {
       cleanupFunction();
@@ -58,7 +62,7 @@ describe('Spinning Cube Component', () => {
   });
 
   it('cleanup function should remove the canvas element from the container', () => {
-    cleanupFunction = init(container);
+    cleanupFunction = init(container).dispose;
     let canvas = container.querySelector('canvas');
     expect(canvas).not.toBeNull(); // Precondition check
 
@@ -70,12 +74,31 @@ describe('Spinning Cube Component', () => {
     expect(canvas).toBeNull();
   });
 
+  it('init() should give every container its own cube', () => {
+    const otherContainer = document.createElement('div');
+    document.body.appendChild(otherContainer);
+
+    const first = init(container);
+    const second = init(otherContainer);
+    cleanupFunction = first.dispose;
+
+    expect(second.scene).not.toBe(first.scene);
+    expect(otherContainer.querySelector('canvas')).toBe(second.renderer.domElement);
+
+    second.dispose();
+    expect(otherContainer.querySelector('canvas')).toBeNull();
+    expect(container.querySelector('canvas')).toBe(first.renderer.domElement);
+    expect(first.scene.children.length).toBeGreaterThan(0);
+
+    otherContainer.remove();
+  });
+
   it('init() should handle null container gracefully (log error, not throw)', () => {
     // Spy on console.error using Vitest's built-in mocking
     const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {}); // Mock implementation to suppress output during test
 
     expect(() => {
-      cleanupFunction = init(null); // Pass null container
+      cleanupFunction = init(null).dispose; // Pass null container
     }).not.toThrow();
 
     expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining("Initialization failed: container element not provided."));
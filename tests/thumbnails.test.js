@@ -0,0 +1,247 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import {
+  createThumbnailService,
+  fingerprintModule,
+  openThumbnailCache,
+  renderThumbnail,
+} from '../src/utils/thumbnails.js';
+import { createRenderLoop, renderLoop } from '../src/utils/render-loop.js';
+
+// In-memory stand-in for the IndexedDB store
+function memoryCache(records = {}) {
+  const map = new Map(Object.entries(records));
+  return {
+    get: vi.fn(async key => map.get(key)),
+    put: vi.fn(async record => { map.set(record.key, record); }),
+    delete: async key => { map.delete(key); },
+    clear: async () => map.clear(),
+    close() {},
+  };
+}
+
+describe('Thumbnails', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('fingerprintModule() should change with the module source', async () => {
+    const urls = ['export const a = 1;', 'export const a = 1;', 'export const a = 2;']
+      .map(source => URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+
+    const [first, same, changed] = await Promise.all(urls.map(fingerprintModule));
+
+    expect(first).toMatch(/^\d+:[0-9a-f]{8}$/);
+    expect(same).toBe(first);
+    expect(changed).not.toBe(first);
+    urls.forEach(url => URL.revokeObjectURL(url));
+  });
+
+  it('fingerprintModule() should change with the modules it imports and the import map', async () => {
+    const files = {
+      'http://demos.test/src/components/demo.js': "/* import { x } from './missing.js'; */\nimport { createDemoContext } from '../utils/context.js';\nexport function init() {}",
+      'http://demos.test/src/utils/context.js': "import { random } from './random.js';\nimport * as THREE from 'three';",
+      'http://demos.test/src/utils/random.js': "import { createDemoContext } from './context.js'; // A cycle\nexport const random = 1;",
+    };
+    const fetchFile = vi.fn(async url => (files[url] === undefined
+      ? new Response('', { status: 404 })
+      : new Response(files[url])));
+    const fingerprint = (importMap = '{}') => fingerprintModule('http://demos.test/src/components/demo.js', { fetch: fetchFile, importMap });
+
+    const first = await fingerprint();
+    expect(fetchFile).toHaveBeenCalledTimes(3); // Each module once; the commented-out import is skipped
+    expect(await fingerprint()).toBe(first);
+
+    files['http://demos.test/src/utils/random.js'] = 'export const random = 2;';
+    const changedUtil = await fingerprint();
+    expect(changedUtil).not.toBe(first);
+    expect(await fingerprint('{"imports":{"three":"three@0.164"}}')).not.toBe(changedUtil);
+  });
+
+  it('openThumbnailCache() should keep records in IndexedDB', async () => {
+    const name = `thumbnails-test-${Date.now()}`;
+    const cache = await openThumbnailCache({ name });
+    const blob = new Blob(['png'], { type: 'image/png' });
+
+    await cache.put({ key: 'torus-knot', version: 'v1', blob, createdAt: 1 });
+    const record = await cache.get('torus-knot');
+    await cache.clear();
+
+    expect(record.version).toBe('v1');
+    expect(await record.blob.text()).toBe('png');
+    expect(await cache.get('torus-knot')).toBeUndefined();
+    cache.close();
+    indexedDB.deleteDatabase(name);
+  });
+
+  describe('createThumbnailService()', () => {
+    const demos = {
+      first: { title: 'First', source: 'first.js', load: () => Promise.resolve({}) },
+      second: { title: 'Second', source: 'second.js', load: () => Promise.resolve({}) },
+    };
+    const cachedBlob = new Blob(['cached']);
+
+    it('should return the cached thumbnail while the module is unchanged', async () => {
+      const render = vi.fn();
+      const cache = memoryCache({ first: { key: 'first', version: 'v1', blob: cachedBlob } });
+      const thumbnails = createThumbnailService({ demos, cache, render, fingerprint: async () => 'v1' });
+
+      expect(await thumbnails.get('first')).toBe(cachedBlob);
+      expect(render).not.toHaveBeenCalled();
+    });
+
+    it('should render and store a thumbnail that is missing or stale', async () => {
+      const rendered = new Blob(['rendered']);
+      const render = vi.fn(async () => rendered);
+      const cache = memoryCache({ first: { key: 'first', version: 'v1', blob: cachedBlob } });
+      const thumbnails = createThumbnailService({ demos, cache, render, fingerprint: async () => 'v2' });
+
+      expect(await thumbnails.get('first')).toBe(rendered);
+      expect(await thumbnails.get('second')).toBe(rendered);
+      expect(render).toHaveBeenCalledWith('first', demos.first, expect.any(Object));
+      expect(cache.put).toHaveBeenCalledWith(expect.objectContaining({ key: 'first', version: 'v2', blob: rendered }));
+    });
+
+    it('should render one demo at a time', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      const render = vi.fn(async () => {
+        maxRunning = Math.max(maxRunning, ++running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        return new Blob([]);
+      });
+      const thumbnails = createThumbnailService({ demos, cache: memoryCache(), render, fingerprint: async () => 'v1' });
+
+      await Promise.all([thumbnails.get('first'), thumbnails.get('second')]);
+
+      expect(render).toHaveBeenCalledTimes(2);
+      expect(maxRunning).toBe(1);
+    });
+
+    it('should keep a cached thumbnail when the module cannot be fingerprinted', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const render = vi.fn();
+      const cache = memoryCache({ first: { key: 'first', version: 'v1', blob: cachedBlob } });
+      const fingerprint = async () => { throw new Error('offline'); };
+      const thumbnails = createThumbnailService({ demos, cache, render, fingerprint });
+
+      expect(await thumbnails.get('first')).toBe(cachedBlob);
+      expect(render).not.toHaveBeenCalled();
+    });
+
+    it('should skip a queued render once its request is aborted', async () => {
+      const render = vi.fn(async () => new Blob([]));
+      const thumbnails = createThumbnailService({ demos, cache: memoryCache(), render, fingerprint: async () => 'v1' });
+      const controller = new AbortController();
+
+      const first = thumbnails.get('first');
+      const second = thumbnails.get('second', { signal: controller.signal });
+      controller.abort();
+
+      await first;
+      await expect(second).rejects.toHaveProperty('name', 'AbortError');
+      expect(render).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('renderThumbnail()', () => {
+    let loop;
+    let deltas;
+    let disposed;
+    let entry;
+
+    beforeEach(() => {
+      loop = createRenderLoop();
+      deltas = [];
+      disposed = false;
+      // A demo that records its frames and draws a red background
+      const demoModule = {
+        init(container) {
+          const renderer = new THREE.WebGLRenderer();
+          container.appendChild(renderer.domElement);
+          const scene = new THREE.Scene();
+          scene.background = new THREE.Color(0xff0000);
+          const camera = new THREE.PerspectiveCamera(75, 1.6, 0.1, 100);
+          const frame = loop.add(delta => deltas.push(delta), { element: renderer.domElement });
+          return {
+            renderer, scene, camera,
+            dispose() {
+              disposed = true;
+              frame.stop();
+              renderer.domElement.remove();
+              renderer.dispose();
+              renderer.forceContextLoss();
+            },
+          };
+        },
+      };
+      entry = { title: 'Fake', load: () => Promise.resolve(demoModule) };
+    });
+
+    it('should advance the demo a few frames and render a PNG offscreen', async () => {
+      const blob = await renderThumbnail('fake', entry, { width: 32, height: 20, frames: 3, fps: 30, loop });
+
+      expect(blob.type).toBe('image/png');
+      const bitmap = await createImageBitmap(blob);
+      expect([bitmap.width, bitmap.height]).toEqual([32, 20]);
+      expect(deltas).toHaveLength(3);
+      deltas.slice(1).forEach(delta => expect(delta).toBeCloseTo(1 / 30, 10));
+      expect(disposed).toBe(true);
+      expect(document.querySelector('.thumbnail-host')).toBeNull();
+      expect(loop.isManual).toBe(false);
+    });
+
+    it('should dispose the demo and hand the clock back when aborted', async () => {
+      const controller = new AbortController();
+      const pending = renderThumbnail('fake', entry, { frames: 100, loop, signal: controller.signal });
+      setTimeout(() => controller.abort(), 0);
+
+      await expect(pending).rejects.toHaveProperty('name', 'AbortError');
+      expect(disposed).toBe(true);
+      expect(loop.isManual).toBe(false);
+    });
+
+    it('should leave a loop that was already manual in manual mode', async () => {
+      loop.setManual(true); // e.g. an offline render in progress
+      await renderThumbnail('fake', entry, { frames: 1, loop });
+      expect(loop.isManual).toBe(true);
+    });
+
+    it('should run the demo on a loop of its own by default, leaving the shared one alone', async () => {
+      let demoLoop;
+      const demoModule = {
+        init(container, options) {
+          demoLoop = options.loop;
+          return loopDemo(container, options.loop);
+        },
+      };
+      // Same red demo as above, on the loop it is given
+      function loopDemo(container, givenLoop) {
+        const renderer = new THREE.WebGLRenderer();
+        container.appendChild(renderer.domElement);
+        const frame = givenLoop.add(delta => deltas.push(delta), { element: renderer.domElement });
+        return {
+          renderer, scene: new THREE.Scene(), camera: new THREE.PerspectiveCamera(),
+          dispose() {
+            frame.stop();
+            renderer.domElement.remove();
+            renderer.dispose();
+            renderer.forceContextLoss();
+          },
+        };
+      }
+
+      await renderThumbnail('fake', { load: () => Promise.resolve(demoModule) }, { frames: 2 });
+
+      expect(demoLoop).toBeDefined();
+      expect(demoLoop).not.toBe(renderLoop);
+      expect(deltas).toHaveLength(2);
+      expect(renderLoop.isManual).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { createZipWriter, crc32 } from '../src/utils/zip.js';
+
+// Reads the entries back through the central directory, as an unzip tool would
+async function readZip(blob) {
+  const view = new DataView(await blob.arrayBuffer());
+  const end = view.byteLength - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(position, true)).toBe(0x02014b50);
+    const crc = view.getUint32(position + 16, true);
+    const size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = decoder.decode(new Uint8Array(view.buffer, position + 46, nameLength));
+
+    expect(view.getUint32(localOffset, true)).toBe(0x04034b50);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    entries.push({ name, crc, data: new Uint8Array(view.buffer, dataStart, size) });
+    position += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('Zip Writer', () => {
+  it('crc32() should match the standard check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+
+  it('should store Blob and byte array entries that read back intact', async () => {
+    const zip = createZipWriter();
+    await zip.add('frames/a-00000.png', new Blob(['first frame']));
+    await zip.add('b.txt', new TextEncoder().encode('second'));
+    const archive = zip.finish();
+
+    expect(archive.type).toBe('application/zip');
+    const entries = await readZip(archive);
+    expect(entries.map(entry => entry.name)).toEqual(['frames/a-00000.png', 'b.txt']);
+    expect(new TextDecoder().decode(entries[0].data)).toBe('first frame');
+    expect(new TextDecoder().decode(entries[1].data)).toBe('second');
+    entries.forEach(entry => expect(entry.crc).toBe(crc32(entry.data)));
+  });
+
+  it('should produce a valid empty archive', async () => {
+    const archive = createZipWriter().finish();
+    expect(archive.size).toBe(22);
+    expect(await readZip(archive)).toEqual([]);
+  });
+
+  it('should refuse entries after finish()', async () => {
+    const zip = createZipWriter();
+    zip.finish();
+    await expect(zip.add('late.txt', new Uint8Array(1))).rejects.toThrow('Zip: add() called after finish().');
+    expect(() => zip.finish()).toThrow('Zip: finish() called twice.');
+  });
+});